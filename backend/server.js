@@ -64,716 +64,12 @@ const mockData = {
   ]
 };
 
-// ============================
-// Country helpers
-// ============================
-const COUNTRY_NAMES = {
-  US: 'United States',
-  GB: 'United Kingdom',
-  CA: 'Canada',
-  AU: 'Australia',
-  DE: 'Germany',
-  FR: 'France',
-  IT: 'Italy',
-  ES: 'Spain',
-  NL: 'Netherlands',
-  BE: 'Belgium',
-  CH: 'Switzerland',
-  AT: 'Austria',
-  SE: 'Sweden',
-  NO: 'Norway',
-  DK: 'Denmark',
-  FI: 'Finland',
-  IE: 'Ireland',
-  PT: 'Portugal',
-  GR: 'Greece',
-  PL: 'Poland',
-  CZ: 'Czech Republic',
-  HU: 'Hungary',
-  RO: 'Romania',
-  BG: 'Bulgaria',
-  HR: 'Croatia',
-  SI: 'Slovenia',
-  SK: 'Slovakia',
-  JP: 'Japan',
-  CN: 'China',
-  IN: 'India',
-  KR: 'South Korea',
-  SG: 'Singapore',
-  MY: 'Malaysia',
-  TH: 'Thailand',
-  ID: 'Indonesia',
-  PH: 'Philippines',
-  VN: 'Vietnam',
-  NZ: 'New Zealand',
-  ZA: 'South Africa',
-  EG: 'Egypt',
-  KE: 'Kenya',
-  NG: 'Nigeria',
-  BR: 'Brazil',
-  MX: 'Mexico',
-  AR: 'Argentina',
-  CL: 'Chile',
-  CO: 'Colombia',
-  PE: 'Peru',
-  AE: 'United Arab Emirates',
-  SA: 'Saudi Arabia',
-  IL: 'Israel',
-  TR: 'Turkey',
-  RU: 'Russia',
-  UA: 'Ukraine'
-};
-
-function getCountryName(countryCode) {
-  return COUNTRY_NAMES[countryCode] || null;
-}
-
-function buildQueryWithCountry(originalQuery, countryCode) {
-  const countryName = getCountryName(countryCode);
-  if (!countryName) {
-    console.log('Country code not found in mapping:', countryCode);
-    return originalQuery;
-  }
-
-  const countryVariations = {
-    US: ['United States', 'USA', 'US', 'America', 'American'],
-    GB: ['United Kingdom', 'UK', 'Britain', 'British', 'England', 'English'],
-    CA: ['Canada', 'Canadian'],
-    AU: ['Australia', 'Australian'],
-    DE: ['Germany', 'German'],
-    FR: ['France', 'French'],
-    IT: ['Italy', 'Italian'],
-    ES: ['Spain', 'Spanish'],
-    JP: ['Japan', 'Japanese'],
-    CN: ['China', 'Chinese'],
-    IN: ['India', 'Indian'],
-    BR: ['Brazil', 'Brazilian'],
-    MX: ['Mexico', 'Mexican'],
-    RU: ['Russia', 'Russian'],
-    KR: ['South Korea', 'Korean']
-  };
-
-  const variations = countryVariations[countryCode] || [countryName, countryCode];
-  const countryTerms = variations.map(term => `"${term}"`).join(' OR ');
-
-  if (originalQuery) {
-    return `(${originalQuery}) AND (${countryTerms})`;
-  }
-  return countryTerms;
-}
-
-// ---------------------------------------------------------------------
-// Country relevance helpers (used by /api/news/aggregate only)
-// ---------------------------------------------------------------------
-function articleMatchesCountry(article, targetCountryCode, section) {
-  const targetCountryName = getCountryName(targetCountryCode);
-  if (!targetCountryName) {
-    return { matches: true, confidence: 'low', reason: 'Unknown country code' };
-  }
-
-  const title = (article.webTitle || '').toLowerCase();
-  const trailText = (article.fields?.trailText || '').toLowerCase();
-  const bodyText = (article.fields?.bodyText || '').toLowerCase();
-  const sectionName = (article.sectionName || '').toLowerCase();
-  const sectionId = (article.sectionId || '').toLowerCase();
-  const tags = (article.tags || [])
-    .map(tag =>
-      typeof tag === 'string'
-        ? tag.toLowerCase()
-        : (tag.webTitle || tag.id || '').toLowerCase()
-    )
-    .filter(Boolean);
-
-  const allText = `${title} ${trailText} ${bodyText} ${sectionName} ${tags.join(
-    ' '
-  )}`.toLowerCase();
-
-  const countryIndicators = {
-    US: {
-      sports: {
-        positive: [
-          'united states',
-          'usa',
-          'us ',
-          'american',
-          'america',
-          'nfl',
-          'nba',
-          'mlb',
-          'nhl',
-          'mls',
-          'ncaa',
-          'college football',
-          'super bowl',
-          'world series',
-          'stanley cup',
-          'nba finals',
-          'march madness',
-          'nfl playoffs',
-          'nba playoffs',
-          'mlb playoffs',
-          'nhl playoffs',
-          'dodgers',
-          'yankees',
-          'lakers',
-          'warriors',
-          'cowboys',
-          'patriots'
-        ],
-        negative: [
-          'premier league',
-          'english',
-          'england',
-          'uk',
-          'british',
-          'britain',
-          'efl',
-          'championship',
-          'fa cup',
-          'scotland',
-          'wales',
-          'celtic',
-          'rangers',
-          'manchester',
-          'liverpool',
-          'chelsea',
-          'arsenal',
-          'tottenham',
-          'west ham',
-          'newcastle',
-          'brighton'
-        ]
-      },
-      politics: {
-        positive: [
-          'united states',
-          'usa',
-          'us ',
-          'american',
-          'america',
-          'congress',
-          'senate',
-          'house of representatives',
-          'white house',
-          'supreme court',
-          'washington dc',
-          'capitol hill',
-          'president',
-          'senator',
-          'representative',
-          'democrat',
-          'republican',
-          'biden',
-          'trump',
-          'federal',
-          'us government',
-          'us politics'
-        ],
-        negative: [
-          'westminster',
-          'number 10',
-          'downing street',
-          'uk parliament',
-          'british parliament',
-          'house of commons',
-          'house of lords',
-          'prime minister',
-          'mp ',
-          'mps',
-          'tory',
-          'labour party',
-          'scottish parliament',
-          'welsh assembly'
-        ]
-      },
-      business: {
-        positive: [
-          'united states',
-          'usa',
-          'us ',
-          'american',
-          'america',
-          'nyse',
-          'nasdaq',
-          'dow jones',
-          's&p 500',
-          'federal reserve',
-          'fed',
-          'us economy',
-          'us market',
-          'wall street',
-          'us dollar',
-          'us companies',
-          'us business',
-          'us trade'
-        ],
-        negative: [
-          'ftse',
-          'london stock exchange',
-          'uk economy',
-          'uk market',
-          'pound sterling',
-          'bank of england',
-          'uk companies',
-          'uk business'
-        ]
-      },
-      positive: ['united states', 'usa', 'us ', 'american', 'america'],
-      negative: [
-        'premier league',
-        'english',
-        'england',
-        'uk',
-        'british',
-        'britain',
-        'westminster',
-        'number 10',
-        'uk parliament',
-        'ftse',
-        'london stock exchange'
-      ]
-    },
-    GB: {
-      sports: {
-        positive: [
-          'united kingdom',
-          'uk',
-          'britain',
-          'british',
-          'england',
-          'english',
-          'scotland',
-          'scottish',
-          'wales',
-          'welsh',
-          'premier league',
-          'efl',
-          'championship',
-          'fa cup',
-          'celtic',
-          'rangers',
-          'manchester',
-          'liverpool',
-          'chelsea',
-          'arsenal',
-          'tottenham',
-          'west ham',
-          'newcastle',
-          'brighton'
-        ],
-        negative: [
-          'nfl',
-          'nba',
-          'mlb',
-          'nhl',
-          'american football',
-          'super bowl',
-          'world series',
-          'stanley cup',
-          'nba finals'
-        ]
-      },
-      politics: {
-        positive: [
-          'united kingdom',
-          'uk',
-          'britain',
-          'british',
-          'england',
-          'english',
-          'westminster',
-          'number 10',
-          'downing street',
-          'uk parliament',
-          'british parliament',
-          'house of commons',
-          'house of lords',
-          'prime minister',
-          'mp ',
-          'mps',
-          'tory',
-          'labour party',
-          'scottish parliament',
-          'welsh assembly'
-        ],
-        negative: [
-          'congress',
-          'senate',
-          'house of representatives',
-          'white house',
-          'supreme court',
-          'washington dc',
-          'capitol hill',
-          'president',
-          'senator',
-          'representative'
-        ]
-      },
-      business: {
-        positive: [
-          'united kingdom',
-          'uk',
-          'britain',
-          'british',
-          'ftse',
-          'london stock exchange',
-          'uk economy',
-          'uk market',
-          'pound sterling',
-          'bank of england',
-          'uk companies',
-          'uk business'
-        ],
-        negative: [
-          'nyse',
-          'nasdaq',
-          'dow jones',
-          's&p 500',
-          'federal reserve',
-          'fed',
-          'us economy',
-          'us market',
-          'wall street'
-        ]
-      },
-      positive: ['united kingdom', 'uk', 'britain', 'british', 'england', 'english'],
-      negative: [
-        'nfl',
-        'nba',
-        'mlb',
-        'nhl',
-        'congress',
-        'senate',
-        'white house',
-        'nyse',
-        'nasdaq'
-      ]
-    },
-    CA: {
-      sports: {
-        positive: [
-          'canada',
-          'canadian',
-          'cfl',
-          'maple leafs',
-          'blue jays',
-          'raptors',
-          'canucks',
-          'flames',
-          'oilers'
-        ],
-        negative: ['premier league', 'nfl', 'nba', 'mlb']
-      },
-      positive: ['canada', 'canadian'],
-      negative: ['premier league', 'nfl', 'nba', 'mlb']
-    },
-    AU: {
-      sports: {
-        positive: ['australia', 'australian', 'afl', 'nrl', 'a-league'],
-        negative: ['premier league', 'nfl', 'nba']
-      },
-      positive: ['australia', 'australian'],
-      negative: ['premier league', 'nfl', 'nba']
-    }
-  };
-
-  const indicators = countryIndicators[targetCountryCode];
-  if (!indicators) {
-    const countryVariationsMap = {
-      US: ['United States', 'USA', 'US', 'America', 'American'],
-      GB: ['United Kingdom', 'UK', 'Britain', 'British', 'England', 'English'],
-      CA: ['Canada', 'Canadian'],
-      AU: ['Australia', 'Australian'],
-      DE: ['Germany', 'German'],
-      FR: ['France', 'French'],
-      IT: ['Italy', 'Italian'],
-      ES: ['Spain', 'Spanish'],
-      JP: ['Japan', 'Japanese'],
-      CN: ['China', 'Chinese'],
-      IN: ['India', 'Indian'],
-      BR: ['Brazil', 'Brazilian'],
-      MX: ['Mexico', 'Mexican'],
-      RU: ['Russia', 'Russian'],
-      KR: ['South Korea', 'Korean']
-    };
-    const countryTerms = [
-      targetCountryName.toLowerCase(),
-      targetCountryCode.toLowerCase(),
-      ...(countryVariationsMap[targetCountryCode] || []).map(v => v.toLowerCase())
-    ];
-    const hasCountryTerm = countryTerms.some(term => allText.includes(term));
-    return {
-      matches: hasCountryTerm,
-      confidence: hasCountryTerm ? 'medium' : 'low',
-      reason: hasCountryTerm ? 'Contains country term' : 'No country match'
-    };
-  }
-
-  const isSports = section === 'sport' || sectionId === 'sport';
-  const isPolitics =
-    section === 'politics' || sectionId === 'politics' || sectionName.includes('politics');
-  const isBusiness =
-    section === 'business' ||
-    sectionId === 'business' ||
-    sectionName.includes('business') ||
-    sectionName.includes('economy');
-
-  let categoryIndicators = null;
-  if (isSports && indicators.sports) {
-    categoryIndicators = indicators.sports;
-  } else if (isPolitics && indicators.politics) {
-    categoryIndicators = indicators.politics;
-  } else if (isBusiness && indicators.business) {
-    categoryIndicators = indicators.business;
-  }
-
-  const activeIndicators = categoryIndicators || {
-    positive: indicators.positive || [],
-    negative: indicators.negative || []
-  };
-
-  let positiveCount = 0;
-  let negativeCount = 0;
-
-  activeIndicators.positive.forEach(term => {
-    if (allText.includes(term)) positiveCount++;
-  });
-
-  activeIndicators.negative.forEach(term => {
-    if (allText.includes(term)) negativeCount++;
-  });
-
-  const sectionNameLower = sectionName.toLowerCase();
-  if (
-    sectionNameLower.includes('us') ||
-    sectionNameLower.includes('usa') ||
-    sectionNameLower.includes('united states')
-  ) {
-    if (targetCountryCode === 'US') positiveCount++;
-    else negativeCount++;
-  }
-  if (
-    sectionNameLower.includes('uk') ||
-    sectionNameLower.includes('britain') ||
-    sectionNameLower.includes('united kingdom')
-  ) {
-    if (targetCountryCode === 'GB') positiveCount++;
-    else negativeCount++;
-  }
-
-  if (isSports) {
-    if (negativeCount > 0 && positiveCount === 0) {
-      return {
-        matches: false,
-        confidence: 'high',
-        reason: `Contains ${negativeCount} negative indicator(s) for sports`
-      };
-    }
-    if (positiveCount === 0 && negativeCount === 0) {
-      const genericCountryTerms = [
-        targetCountryName.toLowerCase(),
-        targetCountryCode.toLowerCase()
-      ];
-      const hasGenericTerm = genericCountryTerms.some(term => allText.includes(term));
-      if (hasGenericTerm) {
-        return {
-          matches: true,
-          confidence: 'medium',
-          reason: 'Contains country name in content'
-        };
-      }
-      return {
-        matches: false,
-        confidence: 'medium',
-        reason: 'No country-specific sports indicators'
-      };
-    }
-    if (positiveCount > 0) {
-      return {
-        matches: true,
-        confidence: positiveCount >= 2 ? 'high' : 'medium',
-        reason: `Contains ${positiveCount} positive indicator(s)`
-      };
-    }
-  } else {
-    const isStrictCategory = isPolitics || isBusiness;
-
-    if (isStrictCategory) {
-      if (negativeCount > 0 && positiveCount === 0) {
-        return {
-          matches: false,
-          confidence: 'high',
-          reason: `Contains ${negativeCount} negative indicator(s) for ${section}`
-        };
-      }
-      if (positiveCount === 0 && negativeCount === 0) {
-        const genericCountryTerms = [
-          targetCountryName.toLowerCase(),
-          targetCountryCode.toLowerCase()
-        ];
-        const hasGenericTerm = genericCountryTerms.some(term => allText.includes(term));
-        if (hasGenericTerm) {
-          return {
-            matches: true,
-            confidence: 'medium',
-            reason: 'Contains country name in content'
-          };
-        }
-        return {
-          matches: false,
-          confidence: 'medium',
-          reason: `No country-specific indicators for ${section}`
-        };
-      }
-    } else {
-      if (negativeCount > positiveCount && negativeCount >= 2) {
-        return {
-          matches: false,
-          confidence: 'medium',
-          reason: 'More negative than positive indicators'
-        };
-      }
-    }
-
-    if (positiveCount > 0) {
-      return {
-        matches: true,
-        confidence: positiveCount >= 2 ? 'high' : 'medium',
-        reason: `Contains ${positiveCount} positive indicator(s)`
-      };
-    }
-
-    if (!isStrictCategory) {
-      const genericCountryTerms = [
-        targetCountryName.toLowerCase(),
-        targetCountryCode.toLowerCase()
-      ];
-      const hasGenericTerm = genericCountryTerms.some(term => allText.includes(term));
-      if (hasGenericTerm) {
-        return {
-          matches: true,
-          confidence: 'low',
-          reason: 'Contains country name in content'
-        };
-      }
-    }
-  }
-
-  if (isSports || isPolitics || isBusiness) {
-    return {
-      matches: false,
-      confidence: 'low',
-      reason: `No country indicators found for ${section} article`
-    };
-  }
-  return {
-    matches: true,
-    confidence: 'low',
-    reason: 'No clear country indicators - allowing as global content'
-  };
-}
-
-function filterArticlesByCountry(articles, countryCode, section, includeInternational = false) {
-  if (!countryCode) {
-    return articles;
-  }
-
-  const filtered = [];
-  const isSports = section === 'sport';
-  const isStrictCategory = isSports || section === 'politics' || section === 'business';
-
-  for (const article of articles) {
-    const match = articleMatchesCountry(article, countryCode, section);
-
-    if (match.matches) {
-      filtered.push(article);
-    } else if (includeInternational && match.confidence === 'low') {
-      filtered.push(article);
-    } else if (!isStrictCategory && match.confidence === 'low' && !includeInternational) {
-      filtered.push(article);
-    }
-  }
-
-  console.log(
-    `[COUNTRY FILTER] Filtered ${articles.length} articles to ${filtered.length} for country ${countryCode} (section: ${section}, strict: ${isStrictCategory})`
-  );
-  return filtered;
-}
-
 // =====================================================================
-// 1) SEARCH ENDPOINT - Uses multi-source aggregation (Guardian, Currents, Mediastack, GDELT)
-//    GET /api/search?q=...&country=US
-//    Calls the aggregate endpoint internally and formats response for search_results_loader.js
+// 1) SEARCH ENDPOINT - Local BM25 index plus multi-source aggregation
+//    GET /api/search?q=...&country=US&mode=local|live|hybrid
+//    See routes/search.js; formats results for search_results_loader.js
 // =====================================================================
-app.get('/api/search', async (req, res) => {
-  try {
-    const q = (req.query.q || '').trim();
-    const country = req.query.country || '';
-    const limit = Number(req.query.limit) || 30;
-
-    console.log('[Search] Request:', { q, country, limit });
-
-    if (!q) {
-      return res.status(400).json({ error: 'Missing search query (?q=...)' });
-    }
-
-    // Make internal HTTP request to aggregate endpoint
-    const baseUrl = `http://localhost:${PORT}`;
-    const aggregateUrl = `${baseUrl}/api/news/aggregate?query=${encodeURIComponent(q)}${country ? `&country=${encodeURIComponent(country)}` : ''}&page=1`;
-    
-    console.log('[Search] Calling aggregate endpoint:', aggregateUrl);
-    
-    const aggregateResponse = await axios.get(aggregateUrl);
-    const aggregateData = aggregateResponse.data;
-    
-    console.log('[Search] Aggregate returned', aggregateData.groupedArticles?.length || 0, 'groups');
-    
-    // Extract all articles from grouped articles and raw articles
-    const allArticles = [];
-    
-    // Add articles from grouped articles
-    if (aggregateData.groupedArticles && Array.isArray(aggregateData.groupedArticles)) {
-      aggregateData.groupedArticles.forEach(group => {
-        if (group.articles && Array.isArray(group.articles)) {
-          allArticles.push(...group.articles);
-        }
-      });
-    }
-    
-    // Add raw articles if available
-    if (aggregateData.rawArticles && Array.isArray(aggregateData.rawArticles)) {
-      allArticles.push(...aggregateData.rawArticles);
-    }
-    
-    // Remove duplicates based on URL
-    const uniqueArticles = [];
-    const seenUrls = new Set();
-    for (const article of allArticles) {
-      const url = article.url || article.link || '';
-      if (url && !seenUrls.has(url)) {
-        seenUrls.add(url);
-        uniqueArticles.push({
-          title: article.title || 'Untitled',
-          description: article.description || '',
-          url: url,
-          publishedAt: article.publishedAt || article.published || '',
-          sourceName: article.sourceName || article.source || 'Unknown'
-        });
-      }
-    }
-    
-    // Limit to requested number
-    const articles = uniqueArticles.slice(0, limit);
-    
-    console.log('[Search] Returning', articles.length, 'articles from multiple sources');
-    return res.json({ articles });
-  } catch (err) {
-    console.error('[Search] ERROR:', err.message);
-    res.status(500).json({
-      error: err.message || 'Internal server error'
-    });
-  }
-});
+app.use('/api/search', require('../routes/search'));
 
 // =====================================================================
 // 2) AGGREGATE ENDPOINT FOR CATEGORY PAGES
@@ -783,6 +79,19 @@ app.get('/api/search', async (req, res) => {
 // =====================================================================
 const newsAggregateRouter = require('../routes/newsAggregate');
 app.use('/api/news', newsAggregateRouter);
+const { startPrewarmScheduler } = require('../services/prewarmScheduler');
+
+// Archive of past pages: GET /api/archive?category=business&date=YYYY-MM-DD
+app.use('/api/archive', require('../routes/archive'));
+
+// A developing story's article history: GET /api/stories/:id
+app.use('/api/stories', require('../routes/stories'));
+
+// Supported countries for the country picker: GET /api/countries
+app.use('/api/countries', require('../routes/countries'));
+
+// Category taxonomy for the nav pills and category pages: GET /api/categories
+app.use('/api/categories', require('../routes/categories'));
 
 // =====================================================================
 // 3) SINGLE-ARTICLE SUMMARIZER (used by article_loader.js)
@@ -1065,4 +374,7 @@ app.listen(PORT, () => {
   );
   console.log('Search example:  http://localhost:' + PORT + '/api/search?q=technology');
   console.log('========================================');
+
+  // Keep category pages warm so the first visitor doesn't wait for summarization
+  startPrewarmScheduler();
 });
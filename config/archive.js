@@ -0,0 +1,27 @@
+/**
+ * Article archive settings used by services/archiveStore.js
+ *
+ * Every pipeline run (visitor request on a cache miss or pre-warm job) is
+ * archived as a snapshot of its summarized groups, and every normalized
+ * article is stored once per day. Files live in one directory per UTC day:
+ *
+ *   data/archive/2026-10-01/articles.jsonl
+ *   data/archive/2026-10-01/snapshots.jsonl
+ *
+ * Environment overrides:
+ *   ARCHIVE_ENABLED=false        stops archiving (the endpoints keep serving old days)
+ *   ARCHIVE_DIR=data/archive     archive location (relative to the repo root)
+ *   ARCHIVE_RETENTION_DAYS=0     delete days older than this (0 keeps everything)
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+const retentionDays = Number(process.env.ARCHIVE_RETENTION_DAYS);
+
+module.exports = {
+  ARCHIVE_ENABLED: process.env.ARCHIVE_ENABLED !== 'false',
+  ARCHIVE_DIR: path.resolve(REPO_ROOT, process.env.ARCHIVE_DIR || 'data/archive'),
+  ARCHIVE_RETENTION_DAYS: Number.isFinite(retentionDays) && retentionDays > 0 ? retentionDays : 0
+};
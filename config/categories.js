@@ -0,0 +1,19 @@
+/**
+ * Category taxonomy settings used by services/categoryTaxonomy.js
+ *
+ * config/categories.json is the one list of categories and their sections,
+ * with each provider's own category id. GET /api/categories serves it to the
+ * nav pills and category pages and the provider clients read their mapping
+ * from it, so adding a category or section is a single edit.
+ *
+ * Environment overrides:
+ *   CATEGORIES_FILE=config/categories.json   taxonomy location (relative to the repo root)
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+module.exports = {
+  CATEGORIES_FILE: path.resolve(REPO_ROOT, process.env.CATEGORIES_FILE || 'config/categories.json')
+};
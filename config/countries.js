@@ -0,0 +1,19 @@
+/**
+ * Country registry settings used by services/countryRegistry.js
+ *
+ * config/countries.json is the one list of countries the site supports: ISO
+ * code, name, demonyms, aliases, region and the country filter's indicators.
+ * GET /api/countries serves it to the country picker and the provider clients
+ * read it, so adding a country is a single edit.
+ *
+ * Environment overrides:
+ *   COUNTRIES_FILE=config/countries.json   registry location (relative to the repo root)
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+module.exports = {
+  COUNTRIES_FILE: path.resolve(REPO_ROOT, process.env.COUNTRIES_FILE || 'config/countries.json')
+};
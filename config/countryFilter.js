@@ -0,0 +1,18 @@
+/**
+ * Country relevance settings used by services/countryFilter.js
+ *
+ * When a request names a country, every fetched article is scored against
+ * that country's indicators in the country registry (config/countries.json:
+ * names, demonyms, capital, institutions, plus sport / politics / business
+ * terms), and articles about other countries are dropped before grouping.
+ *
+ * Environment overrides:
+ *   COUNTRY_FILTER_ENABLED=false   pass the country to providers only
+ */
+
+module.exports = {
+  COUNTRY_FILTER_ENABLED: process.env.COUNTRY_FILTER_ENABLED !== 'false',
+  // Categories where an article must mention the country to be kept; on
+  // other pages articles without any country indicators count as global news
+  COUNTRY_FILTER_STRICT_CATEGORIES: ['sport', 'politics', 'business']
+};
@@ -0,0 +1,20 @@
+/**
+ * Date-range filter settings used by services/dateRange.js
+ *
+ * /api/news/aggregate and /api/search take ?from= and ?to= (YYYY-MM-DD or an
+ * ISO 8601 timestamp) or a relative ?since= (24h, 7d). Each provider gets the
+ * window in its own date filter and the pipeline drops anything outside it.
+ *
+ * Environment overrides:
+ *   DATE_RANGE_MAX_DAYS=365    longest ?since= accepted, and how far back
+ *                              Mediastack looks when only ?to= is given
+ */
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+  DATE_RANGE_MAX_DAYS: readNumber('DATE_RANGE_MAX_DAYS', 365)
+};
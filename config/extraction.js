@@ -0,0 +1,29 @@
+/**
+ * Full-text extraction settings used by services/articleExtractor.js
+ *
+ * Articles whose provider only supplies a short description (GDELT, Currents,
+ * Mediastack, many RSS feeds) are downloaded from the publisher before they are
+ * summarized, and the main body text is stored as the article's `content`.
+ *
+ * Environment overrides:
+ *   EXTRACTION_ENABLED=false        never download publisher pages
+ *   EXTRACTION_TIMEOUT_MS=8000      per-page download timeout
+ *   EXTRACTION_MAX_BYTES=1500000    pages larger than this are skipped
+ *   EXTRACTION_MAX_PER_RUN=40       max pages downloaded per pipeline run
+ *   EXTRACTION_RUN_BUDGET_MS=20000  stop starting new downloads after this long
+ *   EXTRACTION_RESPECT_ROBOTS=false skip the robots.txt check (local testing only)
+ */
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+  EXTRACTION_ENABLED: process.env.EXTRACTION_ENABLED !== 'false',
+  EXTRACTION_TIMEOUT_MS: readNumber('EXTRACTION_TIMEOUT_MS', 8000),
+  EXTRACTION_MAX_BYTES: readNumber('EXTRACTION_MAX_BYTES', 1500000),
+  EXTRACTION_MAX_PER_RUN: readNumber('EXTRACTION_MAX_PER_RUN', 40),
+  EXTRACTION_RUN_BUDGET_MS: readNumber('EXTRACTION_RUN_BUDGET_MS', 20000),
+  EXTRACTION_RESPECT_ROBOTS: process.env.EXTRACTION_RESPECT_ROBOTS !== 'false'
+};
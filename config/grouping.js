@@ -0,0 +1,97 @@
+/**
+ * Story grouping settings used by services/articleGrouper.js
+ *
+ * Two similarity scorers are available:
+ * - tfidf (default): stemmed, stopword-free TF-IDF vectors weighted over the
+ *   current batch, compared with cosine similarity
+ * - legacy: the original Jaccard-over-key-terms score with title boosts, kept
+ *   so groupings can be compared side by side
+ *
+ * Each mode has its own thresholds because the scores live on different scales.
+ *
+ * Whatever the scorer, only articles that share one of their top TF-IDF terms
+ * are compared (candidate blocking), which keeps grouping fast for large batches.
+ *
+ * Named entities (services/entityExtractor.js) add to either score, so
+ * "Fed raises rates" and "Powell announces hike" can group despite sharing
+ * almost no words. Shared entities also make articles blocking candidates.
+ *
+ * Environment overrides:
+ *   GROUPING_SIMILARITY_MODE=legacy   use the original scorer
+ *   GROUPING_THRESHOLDS={"tfidf":{"search":0.2}}   per-mode threshold overrides (JSON)
+ *   GROUPING_BLOCKING=false           compare every pair of articles (slow)
+ *   GROUPING_ENTITIES=false           ignore named entities when scoring
+ *   GROUPING_ENTITY_WEIGHT=0.45       how far shared entities move the score toward 1 (0-1)
+ */
+
+const SIMILARITY_MODES = ['tfidf', 'legacy'];
+
+const DEFAULT_MODE_SETTINGS = {
+  tfidf: {
+    // Minimum score for an article to join a group (search pages group more loosely)
+    search: 0.22,
+    category: 0.26,
+    // Multiplier applied when the article comes from a source the group doesn't have yet
+    crossSourceBoost: 1.1,
+    // Headline words count this many times in the TF-IDF vector
+    titleWeight: 2,
+    // Share of the score that comes from publish-time proximity (same week)
+    timeWeight: 0.05
+  },
+  legacy: {
+    search: 0.2,
+    category: 0.25,
+    crossSourceBoost: 1.3
+  }
+};
+
+/**
+ * Merges GROUPING_THRESHOLDS (JSON object keyed by mode) over the defaults
+ */
+function loadModeSettings() {
+  let overrides = {};
+  if (process.env.GROUPING_THRESHOLDS) {
+    try {
+      overrides = JSON.parse(process.env.GROUPING_THRESHOLDS);
+    } catch (error) {
+      console.warn(`[CONFIG] Invalid GROUPING_THRESHOLDS: ${error.message}`);
+      console.warn('   Falling back to built-in grouping thresholds');
+    }
+  }
+
+  const settings = {};
+  SIMILARITY_MODES.forEach(mode => {
+    settings[mode] = { ...DEFAULT_MODE_SETTINGS[mode], ...(overrides[mode] || {}) };
+  });
+  return settings;
+}
+
+// Each article is indexed under its highest-weighted terms; terms found in more
+// than blockingMaxShare of the batch are too common to be useful keys
+const GROUPING_BLOCKING = {
+  enabled: process.env.GROUPING_BLOCKING !== 'false',
+  blockingTerms: 10,
+  blockingMaxShare: 0.05
+};
+
+// An article's entity score is the cosine of its entity vector (people and
+// organizations weigh 1, places and gazetteer affiliations less) scaled by how
+// rare the most specific shared entity is in the batch, so a name that appears
+// in every other article can't group stories on its own
+const entityWeight = Number(process.env.GROUPING_ENTITY_WEIGHT);
+const GROUPING_ENTITIES = {
+  enabled: process.env.GROUPING_ENTITIES !== 'false',
+  weight: Number.isFinite(entityWeight) && entityWeight >= 0 && entityWeight <= 1 ? entityWeight : 0.45,
+  placeWeight: 0.4,
+  affiliationWeight: 0.8
+};
+
+const requestedMode = (process.env.GROUPING_SIMILARITY_MODE || 'tfidf').toLowerCase();
+
+module.exports = {
+  SIMILARITY_MODES,
+  GROUPING_SIMILARITY_MODE: SIMILARITY_MODES.includes(requestedMode) ? requestedMode : 'tfidf',
+  GROUPING_MODE_SETTINGS: loadModeSettings(),
+  GROUPING_BLOCKING,
+  GROUPING_ENTITIES
+};
@@ -0,0 +1,26 @@
+/**
+ * Language settings used by services/languageRegistry.js
+ *
+ * config/languages.json lists the languages the site can ingest: ISO 639-1
+ * code, English name (GDELT's sourcelang), script and stopwords. Requests pick
+ * languages with ?lang=es or ?lang=en,fr; ?lang=all takes every language.
+ *
+ * Environment overrides:
+ *   LANGUAGES_FILE=config/languages.json   registry location (relative to the repo root)
+ *   DEFAULT_NEWS_LANGUAGES=en              languages used when a request has no ?lang=
+ *                                          (comma-separated codes, or "all")
+ *
+ * The language filter keeps articles of unknown language: those no provider
+ * reported a language for and detection couldn't place. Articles reported in
+ * a language missing from the registry (an RSS feed's <language>hi</language>)
+ * never match a selection other than "all".
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+module.exports = {
+  LANGUAGES_FILE: path.resolve(REPO_ROOT, process.env.LANGUAGES_FILE || 'config/languages.json'),
+  DEFAULT_NEWS_LANGUAGES: (process.env.DEFAULT_NEWS_LANGUAGES || 'en').trim().toLowerCase() || 'en'
+};
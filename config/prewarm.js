@@ -0,0 +1,121 @@
+/**
+ * Pre-warming scheduler settings used by services/prewarmScheduler.js
+ *
+ * The scheduler periodically runs the aggregate pipeline for every category
+ * in the taxonomy (config/categories.json) so the response
+ * cache is already filled when the first visitor arrives. Every run costs one
+ * request per enabled news provider plus LLM calls for groups that are not in
+ * the summary cache, so runs are sequential and capped per day. The scheduler
+ * is off unless PREWARM_ENABLED=true, since it spends provider quota and LLM
+ * calls around the clock.
+ *
+ * Each category is scheduled one minute before its response cache TTL
+ * (config/responseCache.js) expires. When those intervals would add up to more
+ * than PREWARM_MAX_RUNS_PER_DAY runs, every interval is stretched by the same
+ * factor to fit the cap (GET /api/news/prewarm shows it as intervalStretch),
+ * and cached pages then expire before they are refreshed. Fewer categories or
+ * countries, or a higher cap, keep the refresh ahead of the TTL.
+ *
+ * Environment overrides:
+ *   PREWARM_ENABLED=true           enables the scheduler (off by default)
+ *   PREWARM_SCHEDULE={"world":{"intervalMinutes":5},"culture":{"enabled":false}}
+ *   PREWARM_COUNTRIES=none,US      countries always warmed ("none" = no country filter)
+ *   PREWARM_TOP_COUNTRIES=2        also warm the N most requested other countries
+ *   PREWARM_MAX_RUNS_PER_DAY=300   hard cap on pipeline runs per UTC day
+ *   PREWARM_INITIAL_DELAY_SECONDS=30
+ */
+
+const fs = require('fs');
+const { RESPONSE_CACHE_TTLS } = require('./responseCache');
+const { CATEGORIES_FILE } = require('./categories');
+
+/**
+ * Top-level category ids from the taxonomy (config/categories.json); sections
+ * are only fetched when someone opens them
+ */
+function loadCategoryIds() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(CATEGORIES_FILE, 'utf8'));
+    return (parsed.categories || [])
+      .map(category => (category && typeof category.id === 'string' ? category.id.trim().toLowerCase() : ''))
+      .filter(Boolean);
+  } catch (error) {
+    console.warn(`[CONFIG] Could not read categories for pre-warming: ${error.message}`);
+    return [];
+  }
+}
+
+const PREWARM_CATEGORIES = loadCategoryIds();
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Default interval for a category: refresh just before its cached response expires
+ */
+function getDefaultInterval(category) {
+  const ttlSeconds = RESPONSE_CACHE_TTLS[category] !== undefined
+    ? RESPONSE_CACHE_TTLS[category]
+    : RESPONSE_CACHE_TTLS.default;
+  return Math.max(5, Math.floor(ttlSeconds / 60) - 1);
+}
+
+/**
+ * Builds { category: { enabled, intervalMinutes } } with PREWARM_SCHEDULE merged in
+ */
+function loadSchedule() {
+  const schedule = {};
+  PREWARM_CATEGORIES.forEach(category => {
+    schedule[category] = { enabled: true, intervalMinutes: getDefaultInterval(category) };
+  });
+
+  const override = process.env.PREWARM_SCHEDULE;
+  if (!override) {
+    return schedule;
+  }
+
+  try {
+    const parsed = JSON.parse(override);
+    Object.entries(parsed).forEach(([category, settings]) => {
+      if (!settings || typeof settings !== 'object') return;
+      const current = schedule[category] || { enabled: true, intervalMinutes: getDefaultInterval(category) };
+      const interval = Number(settings.intervalMinutes);
+      schedule[category] = {
+        enabled: settings.enabled !== undefined ? settings.enabled !== false : current.enabled,
+        intervalMinutes: Number.isFinite(interval) && interval > 0 ? interval : current.intervalMinutes
+      };
+    });
+    console.log('[CONFIG] Pre-warm schedule loaded from PREWARM_SCHEDULE');
+  } catch (error) {
+    console.warn(`[CONFIG] Invalid PREWARM_SCHEDULE: ${error.message}`);
+    console.warn('   Falling back to the default pre-warm schedule');
+  }
+
+  return schedule;
+}
+
+/**
+ * Parses PREWARM_COUNTRIES; "none" (or an empty entry) means no country filter
+ */
+function loadCountries() {
+  const raw = process.env.PREWARM_COUNTRIES;
+  if (raw === undefined) {
+    return [null, 'US'];
+  }
+  const countries = raw.split(',').map(value => {
+    const code = value.trim().toUpperCase();
+    return !code || code === 'NONE' ? null : code;
+  });
+  return [...new Set(countries)];
+}
+
+module.exports = {
+  PREWARM_ENABLED: process.env.PREWARM_ENABLED === 'true',
+  PREWARM_SCHEDULE: loadSchedule(),
+  PREWARM_COUNTRIES: loadCountries(),
+  PREWARM_TOP_COUNTRIES: readNumber('PREWARM_TOP_COUNTRIES', 2),
+  PREWARM_MAX_RUNS_PER_DAY: readNumber('PREWARM_MAX_RUNS_PER_DAY', 300),
+  PREWARM_INITIAL_DELAY_SECONDS: readNumber('PREWARM_INITIAL_DELAY_SECONDS', 30)
+};
@@ -0,0 +1,20 @@
+/**
+ * Publisher registry settings used by services/publisherRegistry.js
+ *
+ * The registry maps publisher domains to a display name, trust score (0-100),
+ * political lean, country and ownership. It is a plain JSON file so editors
+ * can change it without touching code; edits are picked up within a minute.
+ *
+ * Environment overrides:
+ *   PUBLISHERS_FILE=config/publishers.json   registry location (relative to the repo root)
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+module.exports = {
+  PUBLISHERS_FILE: path.resolve(REPO_ROOT, process.env.PUBLISHERS_FILE || 'config/publishers.json'),
+  // How often the file's modification time is checked for edits
+  PUBLISHERS_RELOAD_INTERVAL_MS: 60 * 1000
+};
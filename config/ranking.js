@@ -0,0 +1,62 @@
+/**
+ * Story group ranking settings used by services/groupRanker.js
+ *
+ * A group's score is the weighted sum of named signals, each scaled to 0-1:
+ * - sourceDiversity: independent publishers covering the story (1 source = 0,
+ *   diversitySaturation or more = 1)
+ * - sourceTrust: the most trusted article's publisher trust score
+ *   (config/publishers.json), or for unrated publishers the provider's adapter
+ *   priority (priority 1 = 1, priority 2 = 0.5, ...)
+ * - recency: halves every recencyHalfLifeHours since the newest article
+ * - articleCount: articles and collapsed wire copies, on a log scale up to
+ *   articleCountSaturation
+ * - contentRichness: share of articles with a real description, an image and
+ *   full text
+ *
+ * Environment overrides:
+ *   RANKING_WEIGHTS={"recency":0.5}         per-signal weight overrides (JSON)
+ *   RANKING_RECENCY_HALF_LIFE_HOURS=12      recency decay half-life
+ */
+
+const DEFAULT_WEIGHTS = {
+  sourceDiversity: 0.4,
+  sourceTrust: 0.2,
+  recency: 0.3,
+  articleCount: 0.05,
+  contentRichness: 0.05
+};
+
+/**
+ * Merges RANKING_WEIGHTS (JSON object keyed by signal) over the defaults
+ */
+function loadWeights() {
+  let overrides = {};
+  if (process.env.RANKING_WEIGHTS) {
+    try {
+      overrides = JSON.parse(process.env.RANKING_WEIGHTS);
+    } catch (error) {
+      console.warn(`[CONFIG] Invalid RANKING_WEIGHTS: ${error.message}`);
+      console.warn('   Falling back to built-in ranking weights');
+    }
+  }
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  Object.keys(DEFAULT_WEIGHTS).forEach(signal => {
+    const value = Number(overrides[signal]);
+    if (overrides[signal] !== undefined && Number.isFinite(value) && value >= 0) weights[signal] = value;
+  });
+  return weights;
+}
+
+const halfLife = Number(process.env.RANKING_RECENCY_HALF_LIFE_HOURS);
+
+module.exports = {
+  RANKING_WEIGHTS: loadWeights(),
+  RANKING_SETTINGS: {
+    recencyHalfLifeHours: Number.isFinite(halfLife) && halfLife > 0 ? halfLife : 24,
+    diversitySaturation: 4,
+    articleCountSaturation: 8,
+    // Bodies at least this long count as full text
+    fullTextChars: 600
+  }
+};
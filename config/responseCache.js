@@ -0,0 +1,65 @@
+/**
+ * Response cache settings used by services/responseCache.js
+ *
+ * TTLs are in seconds and keyed by the category ids in config/categories.json.
+ * Fast-moving categories expire sooner than slow ones; a section (sport/tennis)
+ * uses its parent's TTL unless listed itself, search results use the "search"
+ * entry and any category not listed here uses "default".
+ *
+ * Environment overrides:
+ *   RESPONSE_CACHE_ENABLED=false      disables caching entirely
+ *   RESPONSE_CACHE_TTLS={"world":120} merges per-category TTLs over the defaults
+ *   RESPONSE_CACHE_MAX_ENTRIES=200    caps the number of cached responses
+ *   CACHE_ADMIN_TOKEN=secret          enables GET/DELETE /api/news/cache, which then require it
+ *                                     in the x-admin-token header (unset: both return 403)
+ */
+
+const DEFAULT_TTL_SECONDS = {
+  default: 900,
+  search: 600,
+  world: 600,
+  'us-news': 600,
+  politics: 600,
+  business: 900,
+  sport: 900,
+  technology: 1800,
+  culture: 3600,
+  science: 3600,
+  health: 3600
+};
+
+/**
+ * Merges RESPONSE_CACHE_TTLS (JSON object) over the default TTLs
+ */
+function loadTtls() {
+  const override = process.env.RESPONSE_CACHE_TTLS;
+  if (!override) {
+    return { ...DEFAULT_TTL_SECONDS };
+  }
+
+  try {
+    const parsed = JSON.parse(override);
+    const ttls = { ...DEFAULT_TTL_SECONDS };
+    Object.entries(parsed).forEach(([category, seconds]) => {
+      const value = Number(seconds);
+      if (Number.isFinite(value) && value >= 0) {
+        ttls[category] = value;
+      }
+    });
+    console.log('[CONFIG] Response cache TTLs loaded from RESPONSE_CACHE_TTLS');
+    return ttls;
+  } catch (error) {
+    console.warn(`[CONFIG] Invalid RESPONSE_CACHE_TTLS: ${error.message}`);
+    console.warn('   Falling back to built-in cache TTLs');
+    return { ...DEFAULT_TTL_SECONDS };
+  }
+}
+
+const maxEntries = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10);
+
+module.exports = {
+  RESPONSE_CACHE_ENABLED: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+  RESPONSE_CACHE_TTLS: loadTtls(),
+  RESPONSE_CACHE_MAX_ENTRIES: Number.isFinite(maxEntries) && maxEntries > 0 ? maxEntries : 200,
+  CACHE_ADMIN_TOKEN: process.env.CACHE_ADMIN_TOKEN || ''
+};
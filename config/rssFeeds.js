@@ -0,0 +1,113 @@
+/**
+ * RSS / Atom feeds pulled by services/rssClient.js
+ *
+ * Feeds are keyed by the category ids in config/categories.json. A section
+ * (e.g. "sport/tennis") can have feeds of its own; otherwise it reads its
+ * parent category's feeds, keeping items that match the section's keywords.
+ * Country feeds are keyed by ISO country code and then by category id; a
+ * country's "general" feeds are only used for search queries, where every
+ * configured feed is searched. Each entry is
+ * either a URL string or { name, url }. Local files are supported too
+ * (absolute path, path relative to the repository root, or file:// URL) which
+ * is how the fixtures in fixtures/feeds/ can be used during development.
+ *
+ * To use a different set of feeds without editing this file, point
+ * RSS_FEEDS_CONFIG at a JSON file with the same { categories, countries } shape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FEEDS = {
+  categories: {
+    world: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/world/rss.xml' },
+      { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml' },
+      { name: 'NPR', url: 'https://feeds.npr.org/1004/rss.xml' }
+    ],
+    'us-news': [
+      { name: 'NPR', url: 'https://feeds.npr.org/1003/rss.xml' },
+      { name: 'CBS News', url: 'https://www.cbsnews.com/latest/rss/us' }
+    ],
+    business: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/business/rss.xml' },
+      { name: 'NPR', url: 'https://feeds.npr.org/1006/rss.xml' }
+    ],
+    technology: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/technology/rss.xml' },
+      { name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index' },
+      { name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml' }
+    ],
+    sport: [
+      { name: 'BBC Sport', url: 'https://feeds.bbci.co.uk/sport/rss.xml' },
+      { name: 'ESPN', url: 'https://www.espn.com/espn/rss/news' }
+    ],
+    culture: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/entertainment_and_arts/rss.xml' },
+      { name: 'NPR', url: 'https://feeds.npr.org/1008/rss.xml' }
+    ],
+    science: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/science_and_environment/rss.xml' },
+      { name: 'NASA', url: 'https://www.nasa.gov/news-release/feed/' }
+    ],
+    health: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/health/rss.xml' },
+      { name: 'NPR', url: 'https://feeds.npr.org/1128/rss.xml' }
+    ],
+    politics: [
+      { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/politics/rss.xml' },
+      { name: 'NPR', url: 'https://feeds.npr.org/1014/rss.xml' }
+    ]
+  },
+  countries: {
+    US: {
+      general: [{ name: 'NPR', url: 'https://feeds.npr.org/1001/rss.xml' }],
+      politics: [{ name: 'NPR', url: 'https://feeds.npr.org/1014/rss.xml' }]
+    },
+    GB: {
+      general: [{ name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/uk/rss.xml' }],
+      politics: [{ name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/politics/rss.xml' }]
+    },
+    CA: {
+      general: [{ name: 'CBC News', url: 'https://www.cbc.ca/webfeed/rss/rss-canada' }],
+      business: [{ name: 'CBC News', url: 'https://www.cbc.ca/webfeed/rss/rss-business' }]
+    },
+    AU: {
+      general: [{ name: 'ABC News', url: 'https://www.abc.net.au/news/feed/51120/rss.xml' }]
+    },
+    IE: {
+      general: [{ name: 'RTÉ News', url: 'https://www.rte.ie/feeds/rss/?index=/news/' }]
+    },
+    IN: {
+      general: [{ name: 'The Hindu', url: 'https://www.thehindu.com/news/national/feeder/default.rss' }]
+    }
+  }
+};
+
+/**
+ * Loads the feed configuration (RSS_FEEDS_CONFIG JSON file or the defaults above)
+ */
+function loadFeedConfig() {
+  const configPath = process.env.RSS_FEEDS_CONFIG;
+  if (!configPath) {
+    return DEFAULT_FEEDS;
+  }
+
+  try {
+    const resolved = path.resolve(__dirname, '..', configPath);
+    const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    console.log(`[CONFIG] RSS feeds loaded from ${resolved}`);
+    return {
+      categories: parsed.categories || {},
+      countries: parsed.countries || {}
+    };
+  } catch (error) {
+    console.warn(`[CONFIG] Failed to load RSS_FEEDS_CONFIG (${configPath}): ${error.message}`);
+    console.warn('   Falling back to built-in RSS feed list');
+    return DEFAULT_FEEDS;
+  }
+}
+
+module.exports = {
+  RSS_FEEDS: loadFeedConfig()
+};
@@ -0,0 +1,28 @@
+/**
+ * Local search index settings used by services/searchIndex.js
+ *
+ * Every article the server fetches is added to an in-memory BM25 index, which
+ * is rebuilt from the article archive (config/archive.js) on startup.
+ *
+ * Environment overrides:
+ *   SEARCH_INDEX_MAX_DOCS=50000     oldest articles are dropped beyond this
+ *   SEARCH_DEFAULT_MODE=hybrid      mode used when /api/search has no ?mode=
+ *   SEARCH_HYBRID_MIN_RESULTS=10    hybrid mode only calls the providers when the
+ *                                   local index has fewer matches than this
+ */
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const SEARCH_MODES = ['local', 'live', 'hybrid'];
+
+module.exports = {
+  SEARCH_MODES,
+  SEARCH_DEFAULT_MODE: SEARCH_MODES.includes(process.env.SEARCH_DEFAULT_MODE)
+    ? process.env.SEARCH_DEFAULT_MODE
+    : 'hybrid',
+  SEARCH_INDEX_MAX_DOCS: readNumber('SEARCH_INDEX_MAX_DOCS', 50000),
+  SEARCH_HYBRID_MIN_RESULTS: readNumber('SEARCH_HYBRID_MIN_RESULTS', 10)
+};
@@ -0,0 +1,35 @@
+/**
+ * Story tracking settings used by services/storyTracker.js
+ *
+ * Every summarized group is matched against stories seen in earlier pipeline
+ * runs so a developing story keeps one id (storyId) across requests and
+ * restarts. Stories are stored as JSON lines; the last line for an id wins,
+ * and the file is rewritten with one line per story once it holds more than
+ * twice as many lines as there are stories.
+ *
+ * Environment overrides:
+ *   STORIES_ENABLED=false             groups get no storyId and nothing is stored
+ *   STORIES_FILE=data/stories.jsonl   store location (relative to the repo root)
+ *   STORIES_MATCH_WINDOW_HOURS=72     only stories a pipeline run showed this recently can
+ *                                     gain articles by similar wording
+ *   STORIES_MATCH_SIMILARITY=0.4      word similarity (0-1) a group needs to continue a
+ *                                     story it shares no article with
+ *   STORIES_MAX_AGE_DAYS=30           stories not updated for this long are forgotten
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+function readNumber(name, fallback, max = Infinity) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 && value <= max ? value : fallback;
+}
+
+module.exports = {
+  STORIES_ENABLED: process.env.STORIES_ENABLED !== 'false',
+  STORIES_FILE: path.resolve(REPO_ROOT, process.env.STORIES_FILE || 'data/stories.jsonl'),
+  STORIES_MATCH_WINDOW_HOURS: readNumber('STORIES_MATCH_WINDOW_HOURS', 72),
+  STORIES_MATCH_SIMILARITY: readNumber('STORIES_MATCH_SIMILARITY', 0.4, 1),
+  STORIES_MAX_AGE_DAYS: readNumber('STORIES_MAX_AGE_DAYS', 30)
+};
@@ -0,0 +1,33 @@
+/**
+ * Summary cache settings used by services/summaryCache.js
+ *
+ * LLM summaries are stored on disk (JSON lines) keyed by the set of article
+ * URLs they were generated from, so they survive restarts and overlapping
+ * category pages never pay for the same summary twice.
+ *
+ * Environment overrides:
+ *   SUMMARY_CACHE_ENABLED=false            disables the cache
+ *   SUMMARY_CACHE_FILE=data/summaries.jsonl  store location (relative to the repo root)
+ *   SUMMARY_CACHE_MAX_AGE_DAYS=7           entries older than this are dropped (checked
+ *                                          hourly while the server runs)
+ *   SUMMARY_CACHE_MAX_ENTRIES=5000         summaries kept in memory; the oldest go first
+ *   SUMMARY_CACHE_MAX_NEW_ARTICLES=1       how many extra articles a group may gain
+ *                                          and still reuse an earlier summary
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+module.exports = {
+  SUMMARY_CACHE_ENABLED: process.env.SUMMARY_CACHE_ENABLED !== 'false',
+  SUMMARY_CACHE_FILE: path.resolve(REPO_ROOT, process.env.SUMMARY_CACHE_FILE || 'data/summary-cache.jsonl'),
+  SUMMARY_CACHE_MAX_AGE_DAYS: readNumber('SUMMARY_CACHE_MAX_AGE_DAYS', 7),
+  SUMMARY_CACHE_MAX_ENTRIES: Math.floor(readNumber('SUMMARY_CACHE_MAX_ENTRIES', 5000)) || 5000,
+  SUMMARY_CACHE_MAX_NEW_ARTICLES: readNumber('SUMMARY_CACHE_MAX_NEW_ARTICLES', 1)
+};
@@ -0,0 +1,25 @@
+/**
+ * Wire-copy detection settings used by services/syndicationDetector.js
+ *
+ * Agency stories (Reuters, AP, AFP...) are republished by many outlets with
+ * small edits. Articles whose headline and lead are near-identical are
+ * collapsed under one canonical article so they count as a single source.
+ *
+ * Environment overrides:
+ *   SYNDICATION_ENABLED=false        keep every copy as an independent article
+ *   SYNDICATION_SIMILARITY=0.7       estimated shingle Jaccard similarity (0-1)
+ *                                    above which two articles are copies
+ *   SYNDICATION_MIN_WORDS=15         articles with fewer headline + lead words
+ *                                    are never treated as copies
+ */
+
+function readNumber(name, fallback, max = Infinity) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 && value <= max ? value : fallback;
+}
+
+module.exports = {
+  SYNDICATION_ENABLED: process.env.SYNDICATION_ENABLED !== 'false',
+  SYNDICATION_SIMILARITY: readNumber('SYNDICATION_SIMILARITY', 0.7, 1),
+  SYNDICATION_MIN_WORDS: readNumber('SYNDICATION_MIN_WORDS', 15)
+};
@@ -0,0 +1,42 @@
+/**
+ * Translation settings used by services/translation.js
+ *
+ * Articles that are not in English get a short English gist (headline plus one
+ * sentence) before grouping, so a German and an English article about the same
+ * event share vocabulary. Gists come from a translation provider:
+ * - llm: the summarizer's LLM (OPENROUTER_API_KEY), a batch of articles per call
+ * - glossary: offline word-by-word stub using config/translationGlossary.json;
+ *   names and words it doesn't know pass through unchanged
+ * - none: no gists, articles are only compared with articles in their own language
+ * - auto (default): llm when OPENROUTER_API_KEY is set, else glossary
+ *
+ * LLM batches run a few at a time, and no new batch starts after the run
+ * budget; articles the llm provider fails on or never reaches fall back to the
+ * glossary, so grouping is never held up for long.
+ *
+ * Environment overrides:
+ *   TRANSLATION_PROVIDER=auto                               llm, glossary, none or auto
+ *   TRANSLATION_GLOSSARY_FILE=config/translationGlossary.json   glossary location (relative to the repo root)
+ *   TRANSLATION_BATCH_SIZE=20                               articles per LLM call
+ *   TRANSLATION_CONCURRENCY=3                               LLM calls in flight at once
+ *   TRANSLATION_RUN_BUDGET_MS=15000                         per pipeline run, including the calls in flight
+ *   TRANSLATION_CACHE_SIZE=5000                             gists kept in memory
+ */
+
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 1 ? Math.floor(value) : fallback;
+}
+
+module.exports = {
+  TRANSLATION_PROVIDER: (process.env.TRANSLATION_PROVIDER || 'auto').trim().toLowerCase(),
+  TRANSLATION_GLOSSARY_FILE: path.resolve(REPO_ROOT, process.env.TRANSLATION_GLOSSARY_FILE || 'config/translationGlossary.json'),
+  TRANSLATION_BATCH_SIZE: readNumber('TRANSLATION_BATCH_SIZE', 20),
+  TRANSLATION_CONCURRENCY: readNumber('TRANSLATION_CONCURRENCY', 3),
+  TRANSLATION_RUN_BUDGET_MS: readNumber('TRANSLATION_RUN_BUDGET_MS', 15000),
+  TRANSLATION_CACHE_SIZE: readNumber('TRANSLATION_CACHE_SIZE', 5000)
+};
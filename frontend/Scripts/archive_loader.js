@@ -0,0 +1,319 @@
+(function () {
+  // ==========================
+  // API base URL (dev vs prod)
+  // ==========================
+  const API_BASE = (function () {
+    if (
+      window.location.hostname === "localhost" ||
+      window.location.hostname === "127.0.0.1"
+    ) {
+      console.log("[Archive Loader] Using localhost for development");
+      return "http://localhost:4000";
+    }
+
+    const renderUrl = "https://capstone-awsupload-1.onrender.com";
+    console.log("[Archive Loader] Using Render backend for production:", renderUrl);
+    return renderUrl;
+  })();
+
+  // ==========================
+  // Helpers
+  // ==========================
+  function getCountryCode() {
+    if (window.LocationService) {
+      return window.LocationService.getSelectedCountry();
+    }
+    return null;
+  }
+
+  function todayUtc() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function formatDate(dateString) {
+    if (!dateString) return "";
+    const d = new Date(dateString);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  }
+
+  function formatTime(dateString) {
+    const d = new Date(dateString);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+
+  // Archived pages are stored per country; "none" = viewed without a country
+  function buildArchiveUrl(category, date, snapshotId) {
+    const base = API_BASE.endsWith("/") ? API_BASE.slice(0, -1) : API_BASE;
+    const url = new URL("/api/archive", base);
+
+    url.searchParams.set("category", category);
+    url.searchParams.set("date", date);
+    url.searchParams.set("country", getCountryCode() || "none");
+    // The country page with international news is archived separately
+    if (getCountryCode() && window.LocationService?.getIncludeInternational?.()) {
+      url.searchParams.set("includeInternational", "1");
+    }
+    if (snapshotId) {
+      url.searchParams.set("snapshot", snapshotId);
+    }
+
+    return url.toString();
+  }
+
+  // ==========================
+  // Archived Story Card Renderer
+  // ==========================
+  function renderArchivedGroup(group, container) {
+    const groupDiv = document.createElement("div");
+    groupDiv.className = "story-group-card";
+    groupDiv.setAttribute("data-group-id", group.groupId || "");
+
+    const articles = group.articles || [];
+    const primaryArticle = articles[0] || null;
+
+    const imageArticle = articles.find((a) => a && a.imageUrl);
+    if (imageArticle) {
+      const imageEl = document.createElement("img");
+      imageEl.className = "story-image";
+      imageEl.src = imageArticle.imageUrl;
+      imageEl.alt = "";
+      imageEl.loading = "lazy";
+      imageEl.addEventListener("error", () => imageEl.remove());
+      groupDiv.appendChild(imageEl);
+    }
+
+    const titleEl = document.createElement("h3");
+    titleEl.className = "story-title";
+    titleEl.textContent =
+      group.groupTitle || (primaryArticle && primaryArticle.title) || "Untitled story";
+    groupDiv.appendChild(titleEl);
+
+    if (primaryArticle) {
+      const metaEl = document.createElement("p");
+      metaEl.className = "story-meta";
+      const sourceCount = group.sourceCount || new Set(articles.map((a) => a.sourceName)).size;
+      const dateStr = formatDate(primaryArticle.publishedAt);
+      metaEl.textContent = `${sourceCount} source${sourceCount === 1 ? "" : "s"}${
+        dateStr ? ` · first published ${dateStr}` : ""
+      }`;
+      groupDiv.appendChild(metaEl);
+    }
+
+    // Summary as it was shown at the time; hidden until requested
+    const summary = String(group.aiSummary || group.summary || "").replace(/<[^>]+>/g, "").trim();
+    if (summary) {
+      const summaryDiv = document.createElement("div");
+      summaryDiv.className = "story-summary";
+      summaryDiv.style.display = "none";
+
+      const summaryText = document.createElement("p");
+      summaryText.className = "summary-text";
+      summaryText.textContent = summary;
+      summaryDiv.appendChild(summaryText);
+      groupDiv.appendChild(summaryDiv);
+
+      const summaryButton = document.createElement("button");
+      summaryButton.type = "button";
+      summaryButton.className = "summary-read-more";
+      summaryButton.textContent = "View Archived Summary";
+      summaryButton.addEventListener("click", () => {
+        const isHidden = summaryDiv.style.display === "none";
+        summaryDiv.style.display = isHidden ? "block" : "none";
+        summaryButton.textContent = isHidden ? "Hide Summary" : "View Archived Summary";
+      });
+      groupDiv.appendChild(summaryButton);
+    }
+
+    if (articles.length > 0) {
+      const sourcesList = document.createElement("ul");
+      sourcesList.className = "sources-list";
+
+      articles.forEach((article) => {
+        const listItem = document.createElement("li");
+        listItem.className = "source-item";
+
+        const sourceNameSpan = document.createElement("span");
+        sourceNameSpan.className = "source-name";
+        sourceNameSpan.textContent = article.sourceName || article.source || "Unknown";
+
+        const articleLink = document.createElement("a");
+        articleLink.href = article.url;
+        articleLink.target = "_blank";
+        articleLink.rel = "noopener noreferrer";
+        articleLink.className = "source-article-link";
+        articleLink.textContent = article.title || "View article";
+
+        listItem.appendChild(sourceNameSpan);
+        listItem.appendChild(document.createTextNode(": "));
+        listItem.appendChild(articleLink);
+        sourcesList.appendChild(listItem);
+      });
+
+      groupDiv.appendChild(sourcesList);
+    }
+
+    container.appendChild(groupDiv);
+  }
+
+  // ==========================
+  // Snapshot picker
+  // ==========================
+  function fillSnapshotSelect(select, snapshots, selectedId) {
+    select.innerHTML = "";
+
+    const latest = document.createElement("option");
+    latest.value = "";
+    latest.textContent = "Latest of the day";
+    select.appendChild(latest);
+
+    snapshots.forEach((snapshot) => {
+      const option = document.createElement("option");
+      option.value = snapshot.id;
+      option.textContent = `${formatTime(snapshot.archivedAt)} (${snapshot.groupCount} stories)`;
+      select.appendChild(option);
+    });
+
+    select.value = selectedId || "";
+    select.disabled = snapshots.length === 0;
+  }
+
+  // ==========================
+  // Load an archived page
+  // ==========================
+  function loadArchive() {
+    const main = document.querySelector("main");
+    const categorySelect = document.getElementById("archiveCategory");
+    const dateInput = document.getElementById("archiveDate");
+    const snapshotSelect = document.getElementById("archiveSnapshot");
+    const statusEl = document.getElementById("archiveStatus");
+    if (!main || !categorySelect || !dateInput || !snapshotSelect) return;
+
+    let articlesContainer = main.querySelector(".articles-container");
+    if (!articlesContainer) {
+      articlesContainer = document.createElement("div");
+      articlesContainer.className = "articles-container";
+      main.appendChild(articlesContainer);
+    }
+
+    const category = categorySelect.value;
+    const date = dateInput.value || todayUtc();
+    const snapshotId = snapshotSelect.value;
+
+    articlesContainer.innerHTML = '<div class="card"><p>Loading archive...</p></div>';
+    statusEl.textContent = "";
+
+    const url = buildArchiveUrl(category, date, snapshotId);
+    console.log("[Archive Loader] Fetching:", url);
+
+    fetch(url)
+      .then((response) => {
+        if (!response.ok && response.status !== 400) {
+          throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        articlesContainer.innerHTML = "";
+        fillSnapshotSelect(snapshotSelect, data.snapshots || [], data.snapshot && snapshotId ? data.snapshot.id : "");
+
+        if (!data.snapshot) {
+          articlesContainer.innerHTML = `<div class="card"><p>${
+            (data.warnings && data.warnings[0]) || "Nothing was archived for this page on that day."
+          }</p></div>`;
+          return;
+        }
+
+        const groups = data.snapshot.groupedArticles || [];
+        statusEl.textContent = `Showing ${groups.length} stories as of ${formatDate(
+          data.snapshot.archivedAt
+        )} ${formatTime(data.snapshot.archivedAt)}.`;
+
+        groups.forEach((group) => renderArchivedGroup(group, articlesContainer));
+      })
+      .catch((error) => {
+        console.error("[Archive Loader] Error loading archive:", error);
+        articlesContainer.innerHTML = `<div class="card"><p>Error loading archive. Please try again.<br><small>${error.message}</small></p></div>`;
+      });
+  }
+
+  // ==========================
+  // Page options from GET /api/categories (static options stay on failure)
+  // ==========================
+  async function fillCategorySelect(select) {
+    if (!select || !window.CategoryService) return;
+    try {
+      const categories = await window.CategoryService.getCategories();
+      if (categories.length === 0) return;
+
+      const selected = select.value;
+      select.innerHTML = "";
+      categories.forEach((category) => {
+        select.appendChild(new Option(category.label, category.id));
+        (category.sections || []).forEach((section) => {
+          select.appendChild(new Option(`${category.label} › ${section.label}`, section.id));
+        });
+      });
+      if (select.querySelector(`option[value="${selected}"]`)) {
+        select.value = selected;
+      }
+    } catch (error) {
+      console.warn("[Archive Loader] Using the built-in page list:", error.message);
+    }
+  }
+
+  // ==========================
+  // Wire up controls + initial load
+  // ==========================
+  async function init() {
+    const form = document.getElementById("archiveForm");
+    const dateInput = document.getElementById("archiveDate");
+    const categorySelect = document.getElementById("archiveCategory");
+    const snapshotSelect = document.getElementById("archiveSnapshot");
+    if (!form || !dateInput) return;
+
+    // Allow deep links like archive.html?category=business&date=2026-10-01
+    const params = new URLSearchParams(window.location.search);
+    dateInput.value = params.get("date") || todayUtc();
+    dateInput.max = todayUtc();
+    await fillCategorySelect(categorySelect);
+    if (params.get("category")) {
+      categorySelect.value = params.get("category");
+    }
+
+    // A different page or day has its own snapshots
+    [categorySelect, dateInput].forEach((el) =>
+      el.addEventListener("change", () => {
+        snapshotSelect.value = "";
+      })
+    );
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      loadArchive();
+    });
+
+    loadArchive();
+  }
+
+  document.addEventListener("countryChanged", () => {
+    const snapshotSelect = document.getElementById("archiveSnapshot");
+    if (snapshotSelect) snapshotSelect.value = "";
+    loadArchive();
+  });
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -27,29 +27,14 @@
   const ARTICLES_PER_PAGE = 9;
 
   // ==========================
-  // Maps API category Ids to the Correct Pages
+  // Category for this page (GET /api/categories, see category_service.js)
   // ==========================
-  const pageToCategory = {
-    world_news: "world",
-    united_states: "us-news",
-    business: "business",
-    technology: "technology",
-    sports: "sport",
-    entertainment: "culture",
-    science: "science",
-    health: "health",
-    politics: "politics",
-  };
-
-  function getCurrentPage() {
-    const path = window.location.pathname;
-    const filename = path.split("/").pop() || "index.html";
-    return filename.replace(".html", "");
-  }
-
-  function getCategoryId() {
-    const page = getCurrentPage();
-    return pageToCategory[page] || null;
+  async function getCategoryId() {
+    if (!window.CategoryService) {
+      console.warn("[Article Loader] CategoryService not loaded");
+      return null;
+    }
+    return window.CategoryService.getPageCategoryId();
   }
 
   function getCountryCode() {
@@ -73,10 +58,19 @@
     }
     if (countryCode) {
       url.searchParams.set("country", countryCode);
+      // Also show news that isn't clearly about another country
+      if (window.LocationService?.getIncludeInternational?.()) {
+        url.searchParams.set("includeInternational", "1");
+      }
     }
     if (page > 1) {
       url.searchParams.set("page", page);
     }
+    // Pages opened with ?lang=es (or en,fr / all) ask for those languages
+    const lang = new URLSearchParams(window.location.search).get("lang");
+    if (lang) {
+      url.searchParams.set("lang", lang);
+    }
 
     // Asks the Backend for Articles and then Randomly Selects based on ARTICLES_PER_PAGE
     url.searchParams.set("limit", 50);
@@ -112,6 +106,52 @@
   // ==========================
   // Source Dropdown 
   // ==========================
+  // Trust / lean badge from the server's publisher registry
+  // (config/publishers.json); unrated publishers get no badge
+  function createPublisherBadge(publisher) {
+    if (!publisher || !publisher.rated) {
+      return null;
+    }
+
+    const formatLean = (lean) =>
+      lean.charAt(0).toUpperCase() + lean.slice(1);
+
+    const parts = [];
+    if (typeof publisher.trust === "number") {
+      parts.push(`Trust ${publisher.trust}`);
+    }
+    if (publisher.lean) {
+      parts.push(formatLean(publisher.lean));
+    }
+    if (parts.length === 0) {
+      return null;
+    }
+
+    const badge = document.createElement("span");
+    badge.className = "publisher-badge";
+    if (publisher.lean) {
+      badge.classList.add(`publisher-lean-${publisher.lean}`);
+    }
+    badge.textContent = parts.join(" · ");
+
+    const details = [publisher.name];
+    if (typeof publisher.trust === "number") {
+      details.push(`Trust score: ${publisher.trust}/100`);
+    }
+    if (publisher.lean) {
+      details.push(`Political lean: ${formatLean(publisher.lean)}`);
+    }
+    if (publisher.country) {
+      details.push(`Country: ${publisher.country}`);
+    }
+    if (publisher.ownership) {
+      details.push(`Owner: ${publisher.ownership}`);
+    }
+    badge.title = details.join("\n");
+
+    return badge;
+  }
+
   function createSourceDropdown(group) {
     if (!group.articles || group.articles.length === 0) {
       return null;
@@ -168,6 +208,10 @@
       const sourceNameSpan = document.createElement("span");
       sourceNameSpan.className = "source-name";
       sourceNameSpan.textContent = sourceName;
+      // Aggregator APIs relay many outlets; name the provider in the tooltip
+      if (article.providerName && article.providerName !== sourceName) {
+        sourceNameSpan.title = `via ${article.providerName}`;
+      }
 
       const articleLink = document.createElement("a");
       articleLink.href = article.url;
@@ -181,8 +225,36 @@
         "View article";
 
       listItem.appendChild(sourceNameSpan);
+      const publisherBadge = createPublisherBadge(article.publisher);
+      if (publisherBadge) {
+        listItem.appendChild(publisherBadge);
+      }
       listItem.appendChild(document.createTextNode(": "));
       listItem.appendChild(articleLink);
+
+      // Same article delivered by other providers (merged by canonical URL)
+      const alsoVia = [...new Set((article.mergedSources || [])
+        .map((merged) => merged.sourceName || merged.source)
+        .filter((name) => name && name !== sourceName))];
+      if (alsoVia.length > 0) {
+        const alsoViaSpan = document.createElement("span");
+        alsoViaSpan.className = "source-also-via";
+        alsoViaSpan.textContent = ` (also via ${alsoVia.join(", ")})`;
+        listItem.appendChild(alsoViaSpan);
+      }
+
+      // Syndicated (wire) copies of this article collapsed on the server
+      const republishedBy = [...new Set((article.alsoPublishedBy || [])
+        .map((copy) => copy.publisher || copy.sourceName)
+        .filter(Boolean))];
+      if (republishedBy.length > 0) {
+        const republishedSpan = document.createElement("span");
+        republishedSpan.className = "source-also-via";
+        republishedSpan.textContent = ` (also published by ${republishedBy.join(", ")})`;
+        republishedSpan.title = "Syndicated copies of the same story; counted as one source";
+        listItem.appendChild(republishedSpan);
+      }
+
       sourcesList.appendChild(listItem);
     });
 
@@ -226,6 +298,19 @@
       group.article ||
       null;
 
+    // Story Image; First Article in the Group that Provides One
+    const imageArticle = (group.articles || []).find((a) => a && a.imageUrl);
+    if (imageArticle) {
+      const imageEl = document.createElement("img");
+      imageEl.className = "story-image";
+      imageEl.src = imageArticle.imageUrl;
+      imageEl.alt = "";
+      imageEl.loading = "lazy";
+      // Hide Broken Images Instead of Showing the Browser Placeholder
+      imageEl.addEventListener("error", () => imageEl.remove());
+      groupDiv.appendChild(imageEl);
+    }
+
     // Gets the Story Title
     const titleEl = document.createElement("h3");
     titleEl.className = "story-title";
@@ -247,14 +332,27 @@
       const sourceName =
         primaryArticle.sourceName || primaryArticle.source || "Unknown source";
       const dateStr = formatDate(primaryArticle.publishedAt);
+      const byline = primaryArticle.author ? ` (by ${primaryArticle.author})` : "";
 
       if (dateStr) {
-        metaEl.textContent = `From: ${sourceName} on ${dateStr}`;
+        metaEl.textContent = `From: ${sourceName}${byline} on ${dateStr}`;
       } else {
-        metaEl.textContent = `From: ${sourceName}`;
+        metaEl.textContent = `From: ${sourceName}${byline}`;
       }
 
       linkWrapper.appendChild(metaEl);
+
+      // Languages the Story Was Covered In; Only Shown for Multilingual Groups
+      const languages = Array.isArray(group.languages) ? group.languages : [];
+      if (languages.length > 1) {
+        const languagesEl = document.createElement("p");
+        languagesEl.className = "story-meta story-languages";
+        languagesEl.textContent = `Covered in: ${languages
+          .map((language) => `${language.name} (${language.sources.length})`)
+          .join(", ")}`;
+        linkWrapper.appendChild(languagesEl);
+      }
+
       groupDiv.appendChild(linkWrapper);
     }
 
@@ -461,15 +559,9 @@
   // ==========================
   // Load grouped stories
   // ==========================
-  function loadArticles() {
-    const category = getCategoryId();
-    if (!category) {
-      console.log("[Article Loader] No category for this page; skipping load.");
-      return;
-    }
-
+  function getArticlesContainer() {
     const main = document.querySelector("main");
-    if (!main) return;
+    if (!main) return null;
 
     let articlesContainer = main.querySelector(".articles-container");
     if (!articlesContainer) {
@@ -477,6 +569,28 @@
       articlesContainer.className = "articles-container";
       main.appendChild(articlesContainer);
     }
+    return articlesContainer;
+  }
+
+  async function loadArticles() {
+    let category;
+    try {
+      category = await getCategoryId();
+    } catch (error) {
+      const container = getArticlesContainer();
+      if (container) {
+        container.innerHTML =
+          '<div class="card"><p>Could not load the list of categories. Please try again.</p></div>';
+      }
+      return;
+    }
+    if (!category) {
+      console.log("[Article Loader] No category for this page; skipping load.");
+      return;
+    }
+
+    const articlesContainer = getArticlesContainer();
+    if (!articlesContainer) return;
 
     articlesContainer.innerHTML =
       '<div class="card"><p>Loading articles...</p></div>';
@@ -511,9 +625,13 @@
             summary: a.description || "",
             articles: [
               {
+                id: a.id,
                 title: a.title,
                 url: a.url,
                 description: a.description || "",
+                content: a.content || "",
+                imageUrl: a.imageUrl || "",
+                author: a.author || "",
                 publishedAt: a.publishedAt,
                 sourceName: a.sourceName || a.source || "Unknown source",
                 source: a.source || "",
@@ -0,0 +1,168 @@
+/**
+ * Category Service
+ * Loads the category taxonomy from GET /api/categories, builds the nav pills
+ * and a category page's section pills from it, and tells the loaders which
+ * category (or section) the current page shows
+ */
+
+(function() {
+  'use strict';
+
+  const API_BASE = (function () {
+    if (
+      window.location.hostname === "localhost" ||
+      window.location.hostname === "127.0.0.1"
+    ) {
+      return "http://localhost:4000";
+    }
+    return "https://capstone-awsupload-1.onrender.com";
+  })();
+
+  let categoriesPromise = null;
+
+  /**
+   * Fetch the taxonomy once per page load
+   * @returns {Promise<Array>} Categories with { id, label, page, sections }
+   */
+  function getCategories() {
+    if (!categoriesPromise) {
+      categoriesPromise = fetch(`${API_BASE}/api/categories`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => (Array.isArray(data.categories) ? data.categories : []))
+        .catch(error => {
+          console.error('[Category Service] Failed to load categories:', error.message);
+          categoriesPromise = null; // Retry on the next call
+          throw error;
+        });
+    }
+    return categoriesPromise;
+  }
+
+  /**
+   * Page name from the URL, e.g. "sports" for /Pages/sports.html
+   */
+  function getCurrentPage() {
+    const filename = window.location.pathname.split('/').pop() || 'index.html';
+    return filename.replace('.html', '');
+  }
+
+  /**
+   * The category shown by the current page, or null for other pages
+   */
+  async function getPageCategory() {
+    const page = getCurrentPage();
+    const categories = await getCategories();
+    return categories.find(category => category.page === page) || null;
+  }
+
+  /**
+   * Category id to request for this page: the page's category, or one of its
+   * sections when the URL has ?section=football
+   * @returns {Promise<string|null>}
+   */
+  async function getPageCategoryId() {
+    const category = await getPageCategory();
+    if (!category) return null;
+
+    const sectionSlug = new URLSearchParams(window.location.search).get('section');
+    const section = sectionSlug && category.sections.find(s => s.id === `${category.id}/${sectionSlug}`);
+    return section ? section.id : category.id;
+  }
+
+  function createPill(label, href, isCurrent) {
+    const pill = document.createElement('a');
+    pill.className = isCurrent ? 'pill active' : 'pill';
+    pill.href = href;
+    pill.textContent = label;
+    if (isCurrent) {
+      pill.setAttribute('aria-current', 'page');
+    }
+    return pill;
+  }
+
+  /**
+   * Replace the static nav pills with one per category (Home and Archive
+   * stay, the current page is left out as before)
+   */
+  function renderNavPills(categories) {
+    const nav = document.querySelector('.topics-pills');
+    if (!nav) return;
+
+    const page = getCurrentPage();
+    const isHome = page === 'index';
+    const pills = [];
+    if (!isHome) {
+      pills.push(createPill('Home', '/', false));
+    }
+    categories
+      .filter(category => category.page && category.page !== page)
+      .forEach(category => {
+        pills.push(createPill(category.label, `/Pages/${category.page}.html`, false));
+      });
+    if (page !== 'archive') {
+      pills.push(createPill('Archive', '/Pages/archive.html', false));
+    }
+
+    nav.replaceChildren(...pills);
+  }
+
+  /**
+   * "All" plus one pill per section, under the page heading
+   */
+  function renderSectionPills(category, currentId) {
+    const main = document.querySelector('main');
+    if (!main || !category.sections || category.sections.length === 0) return;
+    if (main.querySelector('.section-pills')) return;
+
+    const nav = document.createElement('nav');
+    nav.className = 'section-pills';
+    nav.setAttribute('aria-label', `${category.label} sections`);
+
+    const pagePath = window.location.pathname;
+    nav.appendChild(createPill('All', pagePath, currentId === category.id));
+    category.sections.forEach(section => {
+      const slug = section.id.split('/').pop();
+      nav.appendChild(createPill(section.label, `${pagePath}?section=${encodeURIComponent(slug)}`, currentId === section.id));
+    });
+
+    const heading = main.querySelector('h2');
+    if (heading) {
+      heading.insertAdjacentElement('afterend', nav);
+    } else {
+      main.prepend(nav);
+    }
+  }
+
+  async function init() {
+    try {
+      const categories = await getCategories();
+      renderNavPills(categories);
+
+      const category = await getPageCategory();
+      if (category) {
+        renderSectionPills(category, await getPageCategoryId());
+      }
+    } catch (error) {
+      // The static pills in the page stay in place
+    }
+  }
+
+  // Expose API
+  window.CategoryService = {
+    getCategories,
+    getPageCategory,
+    getPageCategoryId
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -1,69 +1,25 @@
 /**
  * Country Selector Component
- * Provides a dropdown UI for country selection
+ * Provides a multi-select dropdown for choosing one or more countries, with
+ * region shortcuts (EU, Latin America, ...) that select every member country
  */
 
 (function() {
   'use strict';
 
-  // List of countries with ISO codes
-  const COUNTRIES = [
-    { code: '', name: 'All Countries' },
-    { code: 'US', name: 'United States' },
-    { code: 'GB', name: 'United Kingdom' },
-    { code: 'CA', name: 'Canada' },
-    { code: 'AU', name: 'Australia' },
-    { code: 'DE', name: 'Germany' },
-    { code: 'FR', name: 'France' },
-    { code: 'IT', name: 'Italy' },
-    { code: 'ES', name: 'Spain' },
-    { code: 'NL', name: 'Netherlands' },
-    { code: 'BE', name: 'Belgium' },
-    { code: 'CH', name: 'Switzerland' },
-    { code: 'AT', name: 'Austria' },
-    { code: 'SE', name: 'Sweden' },
-    { code: 'NO', name: 'Norway' },
-    { code: 'DK', name: 'Denmark' },
-    { code: 'FI', name: 'Finland' },
-    { code: 'IE', name: 'Ireland' },
-    { code: 'PT', name: 'Portugal' },
-    { code: 'GR', name: 'Greece' },
-    { code: 'PL', name: 'Poland' },
-    { code: 'CZ', name: 'Czech Republic' },
-    { code: 'HU', name: 'Hungary' },
-    { code: 'RO', name: 'Romania' },
-    { code: 'BG', name: 'Bulgaria' },
-    { code: 'HR', name: 'Croatia' },
-    { code: 'SI', name: 'Slovenia' },
-    { code: 'SK', name: 'Slovakia' },
-    { code: 'JP', name: 'Japan' },
-    { code: 'CN', name: 'China' },
-    { code: 'IN', name: 'India' },
-    { code: 'KR', name: 'South Korea' },
-    { code: 'SG', name: 'Singapore' },
-    { code: 'MY', name: 'Malaysia' },
-    { code: 'TH', name: 'Thailand' },
-    { code: 'ID', name: 'Indonesia' },
-    { code: 'PH', name: 'Philippines' },
-    { code: 'VN', name: 'Vietnam' },
-    { code: 'NZ', name: 'New Zealand' },
-    { code: 'ZA', name: 'South Africa' },
-    { code: 'EG', name: 'Egypt' },
-    { code: 'KE', name: 'Kenya' },
-    { code: 'NG', name: 'Nigeria' },
-    { code: 'BR', name: 'Brazil' },
-    { code: 'MX', name: 'Mexico' },
-    { code: 'AR', name: 'Argentina' },
-    { code: 'CL', name: 'Chile' },
-    { code: 'CO', name: 'Colombia' },
-    { code: 'PE', name: 'Peru' },
-    { code: 'AE', name: 'United Arab Emirates' },
-    { code: 'SA', name: 'Saudi Arabia' },
-    { code: 'IL', name: 'Israel' },
-    { code: 'TR', name: 'Turkey' },
-    { code: 'RU', name: 'Russia' },
-    { code: 'UA', name: 'Ukraine' }
-  ];
+  const API_BASE = (function () {
+    if (
+      window.location.hostname === "localhost" ||
+      window.location.hostname === "127.0.0.1"
+    ) {
+      return "http://localhost:4000";
+    }
+    return "https://capstone-awsupload-1.onrender.com";
+  })();
+
+  // Filled from GET /api/countries (config/countries.json on the server)
+  let countries = [];
+  let regionGroups = [];
 
   let countrySelector = null;
   let statusMessage = null;
@@ -76,13 +32,25 @@
     container.className = 'country-selector-container';
     container.innerHTML = `
       <div class="country-selector-wrapper">
-        <label for="countrySelect" class="country-selector-label">
-          <span class="country-label-text">Country:</span>
-          <select id="countrySelect" class="country-select" aria-label="Select country for news">
-            ${COUNTRIES.map(country => 
-              `<option value="${country.code}">${country.name}</option>`
-            ).join('')}
-          </select>
+        <div class="country-selector-label">
+          <span class="country-label-text" id="countryPickerLabel">Country:</span>
+          <details class="country-picker" id="countryPicker">
+            <summary class="country-select" id="countrySummary" aria-labelledby="countryPickerLabel countrySummary">All Countries</summary>
+            <div class="country-picker-panel">
+              <fieldset class="country-picker-group" id="countryRegionGroups" hidden>
+                <legend>Regions</legend>
+              </fieldset>
+              <div id="countryOptions"></div>
+              <div class="country-picker-actions">
+                <button type="button" class="country-picker-button" id="countryClear">All Countries</button>
+                <button type="button" class="country-picker-button primary" id="countryApply">Apply</button>
+              </div>
+            </div>
+          </details>
+        </div>
+        <label for="includeInternational" class="country-international-label">
+          <input type="checkbox" id="includeInternational" class="country-international-checkbox">
+          <span>Include international news</span>
         </label>
         <div id="countryStatus" class="country-status" role="status" aria-live="polite"></div>
       </div>
@@ -94,18 +62,150 @@
    * Get country name from code
    */
   function getCountryName(code) {
-    const country = COUNTRIES.find(c => c.code === code);
-    return country ? country.name : 'Unknown';
+    const country = countries.find(c => c.code === code);
+    return country ? country.name : code;
+  }
+
+  /**
+   * Short description of a selection: a country, a region or a count
+   */
+  function describeSelection(codes) {
+    if (!codes || codes.length === 0) return 'All Countries';
+    if (codes.length === 1) return getCountryName(codes[0]);
+
+    const sorted = [...codes].sort().join(',');
+    const group = regionGroups.find(g => [...g.countries].sort().join(',') === sorted);
+    if (group) return group.name;
+    if (codes.length <= 3) return codes.map(getCountryName).join(', ');
+    return `${codes.length} countries`;
+  }
+
+  function createCheckbox(className, value, label) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'country-picker-option';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = className;
+    input.value = value;
+    const text = document.createElement('span');
+    text.textContent = label;
+    wrapper.append(input, text);
+    return wrapper;
+  }
+
+  /**
+   * Add region shortcuts and the supported countries, grouped by region
+   */
+  function renderCountryOptions(regions) {
+    const groupsFieldset = countrySelector?.querySelector('#countryRegionGroups');
+    const options = countrySelector?.querySelector('#countryOptions');
+    if (!groupsFieldset || !options) return;
+
+    groupsFieldset.querySelectorAll('.country-picker-option').forEach(el => el.remove());
+    regionGroups.forEach(group => {
+      groupsFieldset.appendChild(createCheckbox('country-region-checkbox', group.code, group.name));
+    });
+    groupsFieldset.hidden = regionGroups.length === 0;
+
+    options.innerHTML = '';
+    regions.forEach(region => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'country-picker-group';
+      const legend = document.createElement('legend');
+      legend.textContent = region;
+      fieldset.appendChild(legend);
+      countries
+        .filter(country => country.region === region)
+        .forEach(country => {
+          fieldset.appendChild(createCheckbox('country-checkbox', country.code, country.name));
+        });
+      if (fieldset.querySelector('input')) options.appendChild(fieldset);
+    });
+  }
+
+  /**
+   * Load the country list from the backend so the picker offers exactly
+   * the countries the providers and the country filter support
+   */
+  async function loadCountries() {
+    const selected = window.LocationService?.getSelectedCountries() || [];
+    try {
+      const response = await fetch(`${API_BASE}/api/countries`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      countries = Array.isArray(data.countries) ? data.countries : [];
+      regionGroups = Array.isArray(data.regionGroups) ? data.regionGroups : [];
+      const regions = Array.isArray(data.regions) && data.regions.length > 0
+        ? data.regions
+        : [...new Set(countries.map(country => country.region))];
+      renderCountryOptions(regions);
+
+      // Drop stored codes the server no longer lists (e.g. detected before it checked)
+      const supported = selected.filter(code => countries.some(country => country.code === code));
+      if (supported.length < selected.length) {
+        window.LocationService?.setSelectedCountries(supported);
+      }
+    } catch (error) {
+      console.error('[Country Selector] Failed to load countries:', error.message);
+      // Keep the stored choice visible so the page still shows it
+      countries = selected.map(code => ({ code, name: code, region: 'Selected' }));
+      renderCountryOptions(selected.length > 0 ? ['Selected'] : []);
+      updateStatus('Could not load the country list.', 'warning');
+    }
+    updateSelector(window.LocationService?.getSelectedCountries() || selected);
+  }
+
+  /**
+   * Codes currently ticked in the panel (not yet applied)
+   */
+  function getCheckedCountries() {
+    if (!countrySelector) return [];
+    return [...countrySelector.querySelectorAll('.country-checkbox:checked')].map(input => input.value);
+  }
+
+  /**
+   * A region shortcut is ticked when all of its countries are
+   */
+  function syncRegionCheckboxes() {
+    if (!countrySelector) return;
+    const checked = new Set(getCheckedCountries());
+    countrySelector.querySelectorAll('.country-region-checkbox').forEach(input => {
+      const group = regionGroups.find(g => g.code === input.value);
+      const members = group ? group.countries : [];
+      const selectedMembers = members.filter(code => checked.has(code)).length;
+      input.checked = members.length > 0 && selectedMembers === members.length;
+      input.indeterminate = selectedMembers > 0 && selectedMembers < members.length;
+    });
   }
 
   /**
    * Update the selector to show current selection
+   * @param {Array<string>|string|null} countryCodes - Selected codes (or the stored "CA,US" value)
    */
-  function updateSelector(countryCode) {
+  function updateSelector(countryCodes) {
     if (countrySelector) {
-      const select = countrySelector.querySelector('#countrySelect');
-      if (select) {
-        select.value = countryCode || '';
+      const codes = Array.isArray(countryCodes)
+        ? countryCodes
+        : (countryCodes || '').split(',').filter(Boolean);
+
+      countrySelector.querySelectorAll('.country-checkbox').forEach(input => {
+        input.checked = codes.includes(input.value);
+      });
+      syncRegionCheckboxes();
+
+      const summary = countrySelector.querySelector('#countrySummary');
+      if (summary) {
+        summary.textContent = describeSelection(codes);
+        summary.title = codes.map(getCountryName).join(', ');
+      }
+
+      // International news only matters when a country is selected
+      const checkbox = countrySelector.querySelector('#includeInternational');
+      if (checkbox) {
+        checkbox.checked = !!window.LocationService?.getIncludeInternational();
+        checkbox.disabled = codes.length === 0;
       }
     }
   }
@@ -117,7 +217,7 @@
     if (statusMessage) {
       statusMessage.textContent = message;
       statusMessage.className = `country-status ${type}`;
-      
+
       // Clear status after 3 seconds for info messages
       if (type === 'info' || type === 'success') {
         setTimeout(() => {
@@ -142,17 +242,18 @@
     }
 
     // Check if selector already exists
-    if (document.getElementById('countrySelect')) {
+    if (document.getElementById('countryPicker')) {
       countrySelector = document.querySelector('.country-selector-container');
       statusMessage = document.getElementById('countryStatus');
       attachEventListeners();
+      loadCountries();
       return;
     }
 
     // Create and insert selector
     countrySelector = createCountrySelector();
     statusMessage = countrySelector.querySelector('#countryStatus');
-    
+
     // Insert before search bar
     const searchBar = collapsableContent.querySelector('.search_bar');
     if (searchBar) {
@@ -163,11 +264,11 @@
     }
 
     // Set initial value from storage
-    const currentCountry = window.LocationService?.getSelectedCountry() || '';
-    updateSelector(currentCountry);
+    updateSelector(window.LocationService?.getSelectedCountries() || []);
 
     // Attach event listeners
     attachEventListeners();
+    loadCountries();
 
     // Listen for location detection events
     document.addEventListener('locationDetecting', (e) => {
@@ -178,9 +279,9 @@
 
     document.addEventListener('locationDetected', (e) => {
       const { countryCode, autoDetected, error } = e.detail;
-      
+
       if (countryCode && autoDetected) {
-        updateSelector(countryCode);
+        updateSelector([countryCode]);
         updateStatus(`Location detected: ${getCountryName(countryCode)}`, 'success');
       } else if (error) {
         updateStatus('Location detection failed. Please select your country manually.', 'warning');
@@ -190,38 +291,74 @@
     });
 
     document.addEventListener('countryChanged', (e) => {
-      const { countryCode } = e.detail;
-      updateSelector(countryCode);
-      if (countryCode) {
-        updateStatus(`Showing news for: ${getCountryName(countryCode)}`, 'success');
+      const { includeInternational } = e.detail;
+      const codes = window.LocationService?.getSelectedCountries() || [];
+      const description = describeSelection(codes);
+      updateSelector(codes);
+      if (codes.length > 0 && includeInternational !== undefined) {
+        updateStatus(
+          includeInternational
+            ? `Showing ${description} and international news`
+            : `Showing news for: ${description}`,
+          'success'
+        );
+      } else if (codes.length > 0) {
+        updateStatus(`Showing news for: ${description}`, 'success');
       } else {
         updateStatus('Showing all news', 'info');
       }
     });
   }
 
+  /**
+   * Save the ticked countries and close the panel
+   */
+  function applySelection(codes) {
+    const picker = countrySelector?.querySelector('#countryPicker');
+    if (picker) picker.open = false;
+
+    // setSelectedCountries notifies the page (countryChanged) so articles reload
+    window.LocationService?.setSelectedCountries(codes);
+  }
+
   /**
    * Attach event listeners to the selector
    */
   function attachEventListeners() {
-    const select = countrySelector?.querySelector('#countrySelect');
-    if (!select) return;
-
-    select.addEventListener('change', (e) => {
-      const countryCode = e.target.value || null;
-      
-      if (window.LocationService) {
-        if (countryCode) {
-          window.LocationService.setSelectedCountry(countryCode);
-        } else {
-          window.LocationService.clearCountry();
-        }
-        
-        // Trigger article refresh
-        const event = new CustomEvent('countryChanged', { 
-          detail: { countryCode, autoDetected: false } 
+    const checkbox = countrySelector?.querySelector('#includeInternational');
+    if (checkbox) {
+      checkbox.addEventListener('change', (e) => {
+        window.LocationService?.setIncludeInternational(e.target.checked);
+      });
+    }
+
+    const panel = countrySelector?.querySelector('.country-picker-panel');
+    if (!panel) return;
+
+    // Ticking a region ticks (or clears) all of its countries
+    panel.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input.classList.contains('country-region-checkbox')) {
+        const group = regionGroups.find(g => g.code === input.value);
+        (group ? group.countries : []).forEach(code => {
+          const countryInput = panel.querySelector(`.country-checkbox[value="${code}"]`);
+          if (countryInput) countryInput.checked = input.checked;
         });
-        document.dispatchEvent(event);
+      }
+      syncRegionCheckboxes();
+    });
+
+    countrySelector.querySelector('#countryApply')?.addEventListener('click', () => {
+      applySelection(getCheckedCountries());
+    });
+    countrySelector.querySelector('#countryClear')?.addEventListener('click', () => {
+      applySelection([]);
+    });
+
+    // Closing the panel without applying restores the saved selection
+    countrySelector.querySelector('#countryPicker')?.addEventListener('toggle', (e) => {
+      if (!e.target.open) {
+        updateSelector(window.LocationService?.getSelectedCountries() || []);
       }
     });
   }
@@ -233,4 +370,3 @@
     init();
   }
 })();
-
@@ -9,6 +9,40 @@
   const STORAGE_KEY = 'app:selectedCountry';
   const STORAGE_KEY_AUTO_DETECTED = 'app:autoDetectedCountry';
   const STORAGE_KEY_DETECTION_ATTEMPTED = 'app:locationDetectionAttempted';
+  const STORAGE_KEY_INCLUDE_INTERNATIONAL = 'app:includeInternational';
+
+  const API_BASE = (function () {
+    if (
+      window.location.hostname === "localhost" ||
+      window.location.hostname === "127.0.0.1"
+    ) {
+      return "http://localhost:4000";
+    }
+    return "https://capstone-awsupload-1.onrender.com";
+  })();
+
+  let supportedCodesPromise = null;
+
+  /**
+   * Codes the site has news for (GET /api/countries), or null when the list
+   * can't be loaded
+   */
+  function getSupportedCountryCodes() {
+    if (!supportedCodesPromise) {
+      supportedCodesPromise = fetch(`${API_BASE}/api/countries`)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => new Set((Array.isArray(data.countries) ? data.countries : []).map(country => country.code)))
+        .catch(error => {
+          console.error('Failed to load supported countries:', error.message);
+          supportedCodesPromise = null;
+          return null;
+        });
+    }
+    return supportedCodesPromise;
+  }
 
   /**
    * Get country code from coordinates using reverse geocoding
@@ -70,7 +104,14 @@
       navigator.geolocation.getCurrentPosition(
         async (position) => {
           const { latitude, longitude } = position.coords;
-          const countryCode = await getCountryFromCoordinates(latitude, longitude);
+          let countryCode = await getCountryFromCoordinates(latitude, longitude);
+
+          // A country the site doesn't list would only get an error or unfiltered news
+          const supportedCodes = countryCode ? await getSupportedCountryCodes() : null;
+          if (supportedCodes && !supportedCodes.has(countryCode)) {
+            console.log(`Detected country ${countryCode} is not supported - not selecting it`);
+            countryCode = null;
+          }
           
           if (countryCode) {
             // Store as auto-detected
@@ -115,12 +156,23 @@
   }
 
   /**
-   * Get the currently selected country code
+   * Get the current selection as the API's country parameter: one code
+   * ("US") or several joined by commas ("CA,MX,US")
    */
   function getSelectedCountry() {
     return localStorage.getItem(STORAGE_KEY) || null;
   }
 
+  /**
+   * Get the selected country codes as a list (empty for all countries)
+   */
+  function getSelectedCountries() {
+    return (getSelectedCountry() || '')
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(Boolean);
+  }
+
   /**
    * Set the selected country code (manual selection)
    */
@@ -137,6 +189,21 @@
     }
   }
 
+  /**
+   * Set several selected countries (manual selection); an empty list clears it
+   */
+  function setSelectedCountries(countryCodes) {
+    const codes = [...new Set((countryCodes || []).map(code => String(code).trim().toUpperCase()).filter(Boolean))].sort();
+    if (codes.length === 0) {
+      clearCountry();
+      document.dispatchEvent(new CustomEvent('countryChanged', {
+        detail: { countryCode: null, autoDetected: false }
+      }));
+      return;
+    }
+    setSelectedCountry(codes.join(','));
+  }
+
   /**
    * Check if country was auto-detected
    */
@@ -153,6 +220,25 @@
     localStorage.removeItem(STORAGE_KEY_DETECTION_ATTEMPTED);
   }
 
+  /**
+   * Whether country pages also show news that isn't clearly about another country
+   */
+  function getIncludeInternational() {
+    return localStorage.getItem(STORAGE_KEY_INCLUDE_INTERNATIONAL) === 'true';
+  }
+
+  /**
+   * Set the international-news preference and reload country-filtered articles
+   */
+  function setIncludeInternational(includeInternational) {
+    localStorage.setItem(STORAGE_KEY_INCLUDE_INTERNATIONAL, includeInternational ? 'true' : 'false');
+
+    const event = new CustomEvent('countryChanged', {
+      detail: { countryCode: getSelectedCountry(), autoDetected: false, includeInternational: !!includeInternational }
+    });
+    document.dispatchEvent(event);
+  }
+
   // Initialize on page load
   function init() {
     // Only auto-detect if we haven't attempted before
@@ -166,9 +252,13 @@
   window.LocationService = {
     detectCountry,
     getSelectedCountry,
+    getSelectedCountries,
     setSelectedCountry,
+    setSelectedCountries,
     isAutoDetected,
     clearCountry,
+    getIncludeInternational,
+    setIncludeInternational,
     init
   };
 
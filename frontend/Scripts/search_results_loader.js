@@ -35,14 +35,34 @@
     return params.get("q") || localStorage.getItem("app:lastSearch") || "";
   }
 
+  // Read `?since=` or `?from=` / `?to=` from URL (sent as-is to /api/search)
+  function getDateRange() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      since: params.get("since") || "",
+      from: params.get("from") || "",
+      to: params.get("to") || "",
+    };
+  }
+
   // Build URL to your search endpoint
   function buildSearchUrl(query) {
     const countryCode = getCountryCode();
+    const { since, from, to } = getDateRange();
     const base = API_BASE.endsWith("/") ? API_BASE.slice(0, -1) : API_BASE;
     const url = new URL("/api/search", base);
 
     url.searchParams.set("q", query);
     if (countryCode) url.searchParams.set("country", countryCode);
+    // ?lang=es (or en,fr / all) on the page asks for those languages
+    const lang = new URLSearchParams(window.location.search).get("lang");
+    if (lang) url.searchParams.set("lang", lang);
+    if (since) {
+      url.searchParams.set("since", since);
+    } else {
+      if (from) url.searchParams.set("from", from);
+      if (to) url.searchParams.set("to", to);
+    }
 
     const finalUrl = url.toString();
     console.log("[Search Loader] Fetching search from:", finalUrl);
@@ -173,7 +193,13 @@
       summaryCard.id = "search-summary";
 
       section.appendChild(summaryCard);
-      main.prepend(section);
+      // Below the date range controls when the page has them
+      const dateRangeForm = document.getElementById("dateRangeForm");
+      if (dateRangeForm) {
+        dateRangeForm.after(section);
+      } else {
+        main.prepend(section);
+      }
       summaryContainer = summaryCard;
     }
 
@@ -272,6 +298,79 @@
     container.appendChild(body);
   }
 
+  // ============================
+  // DATE RANGE CONTROLS
+  // ============================
+
+  // Show the URL's date range in the form
+  function syncDateRangeControls() {
+    const preset = document.getElementById("dateRangePreset");
+    const custom = document.getElementById("dateRangeCustom");
+    const fromInput = document.getElementById("dateRangeFrom");
+    const toInput = document.getElementById("dateRangeTo");
+    if (!preset || !custom || !fromInput || !toInput) return;
+
+    const { since, from, to } = getDateRange();
+    const presetValues = Array.from(preset.options).map((option) => option.value);
+
+    if (since && presetValues.includes(since)) {
+      preset.value = since;
+    } else if (from || to) {
+      preset.value = "custom";
+    } else {
+      preset.value = "";
+    }
+    // The date inputs only take calendar days
+    fromInput.value = from.slice(0, 10);
+    toInput.value = to.slice(0, 10);
+    custom.hidden = preset.value !== "custom";
+  }
+
+  // Put the chosen range in the URL (so it survives reloads and can be shared) and search again
+  function applyDateRange() {
+    const preset = document.getElementById("dateRangePreset");
+    const fromInput = document.getElementById("dateRangeFrom");
+    const toInput = document.getElementById("dateRangeTo");
+    if (!preset) return;
+
+    const params = new URLSearchParams(window.location.search);
+    params.delete("since");
+    params.delete("from");
+    params.delete("to");
+
+    if (preset.value === "custom") {
+      if (fromInput && fromInput.value) params.set("from", fromInput.value);
+      if (toInput && toInput.value) params.set("to", toInput.value);
+    } else if (preset.value) {
+      params.set("since", preset.value);
+    }
+
+    const search = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${search ? `?${search}` : ""}`);
+    console.log("[Search Loader] Date range applied:", getDateRange());
+    loadSearchResults();
+  }
+
+  function initDateRangeControls() {
+    const form = document.getElementById("dateRangeForm");
+    const preset = document.getElementById("dateRangePreset");
+    const custom = document.getElementById("dateRangeCustom");
+    if (!form || !preset || !custom) return;
+
+    syncDateRangeControls();
+
+    // Presets apply straight away; a custom range waits for Apply
+    preset.addEventListener("change", () => {
+      custom.hidden = preset.value !== "custom";
+      if (preset.value !== "custom") applyDateRange();
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      applyDateRange();
+    });
+  }
+
   // ============================
   // MAIN FLOW
   // ============================
@@ -342,9 +441,12 @@
       }
 
       if (!rawArticles || rawArticles.length === 0) {
+        const { since, from, to } = getDateRange();
         renderSummaryError(
           summaryContainer,
-          "No articles were found for this topic. Try a different search term."
+          since || from || to
+            ? "No articles were found for this topic in the selected date range. Try a wider range."
+            : "No articles were found for this topic. Try a different search term."
         );
         articlesContainer.innerHTML =
           '<p style="padding: 20px; text-align: center;">No articles found.</p>';
@@ -433,10 +535,15 @@
   }
 
   // Init
+  function init() {
+    initDateRangeControls();
+    loadSearchResults();
+  }
+
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", loadSearchResults);
+    document.addEventListener("DOMContentLoaded", init);
   } else {
-    loadSearchResults();
+    init();
   }
 
   // Optional: reload on country change
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+
+const { listArchiveDates, getArchive } = require('../services/archiveStore');
+const { resolveCategory } = require('../services/categoryTaxonomy');
+const { parseCountryCodes, formatCountryCodes } = require('../services/countryRegistry');
+const { resolveLanguageSelection } = require('../services/languageRegistry');
+
+/**
+ * Archive browsing endpoints (mounted at /api/archive)
+ *
+ * GET /api/archive?category=business&date=2026-10-01[&country=US][&includeInternational=1][&lang=es][&at=14:30][&snapshot=id]
+ *   What the business page showed on that day: the list of snapshots taken
+ *   that day plus one snapshot (the last one, the one at/before `at`, or the
+ *   requested id) with its groups and articles. `lang` picks the snapshots of
+ *   that language selection (default: DEFAULT_NEWS_LANGUAGES), and
+ *   includeInternational the country page shown with international news.
+ *
+ * GET /api/archive/dates
+ *   Days that have archived data, newest first.
+ */
+
+router.get('/dates', async (req, res) => {
+  try {
+    res.json({ dates: await listArchiveDates() });
+  } catch (error) {
+    console.error('[Archive] Failed to list archive dates:', error.message);
+    res.status(500).json({ error: 'Failed to list archive dates', dates: [] });
+  }
+});
+
+router.get('/', async (req, res) => {
+  const { category, country, query, date, at, snapshot } = req.query;
+  const languageSelection = resolveLanguageSelection(req.query.lang);
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    return res.status(400).json({ error: 'date is required and must be formatted as YYYY-MM-DD' });
+  }
+  if (!category && !query) {
+    return res.status(400).json({ error: 'category or query is required' });
+  }
+  if (at && !/^\d{2}:\d{2}$/.test(at) && isNaN(new Date(at).getTime())) {
+    return res.status(400).json({ error: 'at must be HH:MM (UTC) or an ISO timestamp' });
+  }
+  if (languageSelection.error) {
+    return res.status(400).json({ error: languageSelection.error });
+  }
+
+  // Snapshots are stored under the canonical category id ("sports" -> "sport")
+  const resolvedCategory = resolveCategory(category);
+  const categoryId = resolvedCategory ? resolvedCategory.id : undefined;
+  // ...and the canonical country list ("us,ca" -> "CA,US"); "none" means no country filter
+  const countryValue = country && String(country).toLowerCase() !== 'none'
+    ? formatCountryCodes(parseCountryCodes(country))
+    : country;
+  const includeInternational = !!countryValue && String(countryValue).toLowerCase() !== 'none' &&
+    (req.query.includeInternational === '1' || req.query.includeInternational === 'true');
+
+  try {
+    const archive = await getArchive({
+      date,
+      category: categoryId,
+      country: countryValue,
+      includeInternational,
+      query,
+      lang: languageSelection.lang,
+      at,
+      snapshotId: snapshot
+    });
+    res.json({
+      date,
+      query: query || '',
+      category: categoryId,
+      country: countryValue || undefined,
+      ...(includeInternational && { includeInternational }),
+      lang: languageSelection.lang,
+      snapshots: archive.snapshots,
+      snapshot: archive.snapshot,
+      ...(archive.snapshot === null && {
+        warnings: [
+          archive.snapshots.length === 0
+            ? 'Nothing was archived for this page on that day.'
+            : 'No snapshot matches the requested time.'
+        ]
+      })
+    });
+  } catch (error) {
+    console.error('[Archive] Failed to read archive:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to read archive', snapshots: [], snapshot: null });
+  }
+});
+
+module.exports = router;
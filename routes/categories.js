@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const { getCategories } = require('../services/categoryTaxonomy');
+
+/**
+ * Category taxonomy endpoint (mounted at /api/categories)
+ *
+ * GET /api/categories
+ *   Every category (config/categories.json) with its id, label, frontend page
+ *   and sections. The nav pills, the section pills on category pages and the
+ *   archive's page picker are built from this. Provider mappings stay on the server.
+ */
+
+router.get('/', (req, res) => {
+  try {
+    const categories = getCategories().map(({ id, label, page, aliases, sections }) => ({
+      id,
+      label,
+      page,
+      aliases,
+      sections: sections.map(section => ({ id: section.id, label: section.label }))
+    }));
+    // The taxonomy only changes with a deploy
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ categories });
+  } catch (error) {
+    console.error('[Categories] Failed to list categories:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to list categories' });
+  }
+});
+
+module.exports = router;
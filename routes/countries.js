@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+const { getCountries, getRegions, getRegionGroups } = require('../services/countryRegistry');
+
+/**
+ * Country registry endpoint (mounted at /api/countries)
+ *
+ * GET /api/countries
+ *   Every supported country (config/countries.json) with its ISO code, name,
+ *   region, demonyms and aliases, the list of regions, and the region groups
+ *   accepted as ?region= (EU, LATAM, ...) with their member countries. The
+ *   country picker builds its options from this, so it always matches what
+ *   the providers and the country filter accept.
+ */
+
+router.get('/', (req, res) => {
+  try {
+    const countries = getCountries().map(({ code, name, region, demonyms, aliases }) => ({
+      code,
+      name,
+      region,
+      demonyms,
+      aliases
+    }));
+    // The list only changes with a deploy
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ countries, regions: getRegions(), regionGroups: getRegionGroups() });
+  } catch (error) {
+    console.error('[Countries] Failed to list countries:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to list countries' });
+  }
+});
+
+module.exports = router;
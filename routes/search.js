@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+
+const { runAggregatePipeline, isCacheableResult, MAX_GROUPS_PER_PAGE } = require('../services/aggregatePipeline');
+const { getOrCompute } = require('../services/responseCache');
+const { getArticlePublisher } = require('../services/publisherRegistry');
+const { searchLocal, getSearchIndexStats } = require('../services/searchIndex');
+const { getUrlKey } = require('../services/urlCanonicalizer');
+const { resolveCountrySelection } = require('../services/countryRegistry');
+const { parseDateRange, getDateWindow } = require('../services/dateRange');
+const { resolveLanguageSelection } = require('../services/languageRegistry');
+const { SEARCH_MODES, SEARCH_DEFAULT_MODE, SEARCH_HYBRID_MIN_RESULTS } = require('../config/searchIndex');
+
+const DEFAULT_SEARCH_LIMIT = 30;
+const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * ?limit= as an integer in 1..MAX_SEARCH_LIMIT (DEFAULT_SEARCH_LIMIT when missing or not a number)
+ */
+function parseLimit(value) {
+  const limit = Math.floor(Number(value));
+  if (value === undefined || value === '' || !Number.isFinite(limit)) return DEFAULT_SEARCH_LIMIT;
+  return Math.min(MAX_SEARCH_LIMIT, Math.max(1, limit));
+}
+
+/**
+ * Shapes an article for search_results_loader.js
+ */
+function toSearchResult(article) {
+  return {
+    id: article.id,
+    title: article.title || 'Untitled',
+    description: article.description || '',
+    content: article.content || '',
+    url: article.url || article.link || '',
+    imageUrl: article.imageUrl || '',
+    author: article.author || '',
+    publishedAt: article.publishedAt || article.published || '',
+    sourceName: article.sourceName || article.source || 'Unknown',
+    publisher: article.publisher || getArticlePublisher(article),
+    language: article.language || '',
+    ...(article.mergedSources && { mergedSources: article.mergedSources }),
+    ...(article.score !== undefined && { score: article.score })
+  };
+}
+
+/**
+ * Live search: runs the aggregate pipeline for the query (through the response cache)
+ * and returns the articles of the first page of groups followed by every other article
+ * @param {string} q
+ * @param {string} country - Canonical country list, '' for none
+ * @param {Object} dateRange - { from, to, since } from parseDateRange
+ * @param {string} lang - Canonical language selection from resolveLanguageSelection
+ */
+async function searchLive(q, country, { from, to, since } = {}, lang) {
+  const newsQuery = { query: q, country: country || undefined, category: undefined, from, to, since, lang };
+  const { value: result } = await getOrCompute(
+    newsQuery,
+    () => runAggregatePipeline(newsQuery),
+    { shouldCache: isCacheableResult }
+  );
+
+  const allArticles = [];
+  result.summarizedGroups.slice(0, MAX_GROUPS_PER_PAGE).forEach(group => {
+    if (Array.isArray(group.articles)) allArticles.push(...group.articles);
+  });
+  allArticles.push(...result.articlesWithSource);
+
+  return { articles: allArticles, warnings: result.warnings || [] };
+}
+
+/**
+ * Removes duplicate URLs (compared in canonical form), keeping the first occurrence
+ */
+function dedupeByUrl(articles) {
+  const seenUrls = new Set();
+  return articles.filter(article => {
+    const url = article.url || article.link || '';
+    const key = url && getUrlKey(url);
+    if (!key || seenUrls.has(key)) return false;
+    seenUrls.add(key);
+    return true;
+  });
+}
+
+// =====================================================================
+// SEARCH ENDPOINT
+//    GET /api/search?q=...&country=US&mode=local|live|hybrid&limit=30
+//    - limit is clamped to 1..100
+//    - country takes several codes (country=US,CA) and region a region group (region=EU);
+//      they narrow both local and live results
+//    - from/to (YYYY-MM-DD or ISO timestamps) or since (24h, 7d) narrow both local and live results
+//    - lang (es, en,fr or all; English by default) narrows both local and live results
+//    - local:  BM25 search over every article the server has fetched (instant, no API calls)
+//    - live:   fans out to every news provider through the aggregate pipeline
+//    - hybrid: local first; providers are only called when the index has too few matches
+// =====================================================================
+router.get('/', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = parseLimit(req.query.limit);
+    const mode = (req.query.mode || SEARCH_DEFAULT_MODE).toLowerCase();
+
+    console.log('[Search] Request:', {
+      q,
+      country: req.query.country,
+      region: req.query.region,
+      from: req.query.from,
+      to: req.query.to,
+      since: req.query.since,
+      lang: req.query.lang,
+      limit,
+      mode
+    });
+
+    if (!q) {
+      return res.status(400).json({ error: 'Missing search query (?q=...)' });
+    }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode "${mode}" (expected ${SEARCH_MODES.join(', ')})` });
+    }
+    const countrySelection = resolveCountrySelection(req.query.country, req.query.region);
+    if (countrySelection.error) {
+      return res.status(400).json({ error: countrySelection.error });
+    }
+    const country = countrySelection.country || '';
+    const dateRange = parseDateRange(req.query);
+    if (dateRange.error) {
+      return res.status(400).json({ error: dateRange.error });
+    }
+    const { from, to, since } = dateRange;
+    const languageSelection = resolveLanguageSelection(req.query.lang);
+    if (languageSelection.error) {
+      return res.status(400).json({ error: languageSelection.error });
+    }
+    const { lang } = languageSelection;
+
+    const warnings = [];
+    if (countrySelection.ignored.length > 0) {
+      warnings.push(`Country code(s) not supported, searching without them: ${countrySelection.ignored.join(', ')}`);
+    }
+    let localArticles = [];
+    let localTotal = 0;
+    let usedLive = false;
+
+    if (mode !== 'live') {
+      const local = await searchLocal(q, { limit, dateWindow: getDateWindow(dateRange), lang, country });
+      localArticles = local.results;
+      localTotal = local.total;
+      console.log(`[Search] Local index: ${localTotal} matches`);
+    }
+
+    const needsLive = mode === 'live' ||
+      (mode === 'hybrid' && localTotal < Math.min(limit, SEARCH_HYBRID_MIN_RESULTS));
+
+    let liveArticles = [];
+    if (needsLive) {
+      try {
+        const live = await searchLive(q, country, dateRange, lang);
+        liveArticles = live.articles;
+        warnings.push(...live.warnings);
+        usedLive = true;
+        console.log(`[Search] Live providers returned ${liveArticles.length} articles`);
+      } catch (error) {
+        // Providers down - hybrid mode can still answer from the local index
+        if (mode === 'live') throw error;
+        console.error('[Search] Live search failed, using local results only:', error.message);
+        warnings.push(`Live search unavailable: ${error.message}`);
+      }
+    }
+
+    // Local matches are ranked by relevance, so they lead in hybrid mode
+    const articles = dedupeByUrl([...localArticles, ...liveArticles])
+      .slice(0, limit)
+      .map(toSearchResult);
+
+    console.log('[Search] Returning', articles.length, `articles (mode: ${mode}, live: ${usedLive})`);
+    return res.json({
+      articles,
+      mode,
+      lang,
+      ...(from && { from }),
+      ...(to && { to }),
+      ...(since && { since }),
+      local: { matches: localTotal, index: getSearchIndexStats() },
+      live: usedLive,
+      ...(warnings.length > 0 && { warnings })
+    });
+  } catch (err) {
+    console.error('[Search] ERROR:', err.message);
+    res.status(500).json({
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
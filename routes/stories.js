@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const { getStory } = require('../services/storyTracker');
+
+/**
+ * Story endpoints (mounted at /api/stories)
+ *
+ * GET /api/stories/:id
+ *   A tracked story (the storyId on each /aggregate group) with its current
+ *   headline and summary and every article that has joined it, oldest first,
+ *   each with the time it joined (joinedAt).
+ */
+
+router.get('/:id', (req, res) => {
+  const { id } = req.params;
+  if (!/^story-[0-9a-f]{12}$/.test(id)) {
+    return res.status(400).json({ error: 'id must look like story-0123456789ab' });
+  }
+
+  try {
+    const story = getStory(id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json({ story });
+  } catch (error) {
+    console.error('[Stories] Failed to read story:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to read story' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+/**
+ * Grouping benchmark
+ *
+ * Generates a deterministic batch of articles from fixtures/grouping/story-templates.json
+ * (each article knows which story it belongs to), runs groupSimilarArticles with
+ * each similarity scorer, with and without candidate blocking, and reports the
+ * time taken and pairwise precision / recall against the known stories.
+ *
+ * Usage:
+ *   node scripts/benchmarkGrouping.js [--articles 1200] [--seed 42] [--mode tfidf|legacy|both] [--no-exhaustive]
+ */
+
+const path = require('path');
+const { groupSimilarArticles, getGroupingThreshold } = require('../services/articleGrouper');
+
+const FIXTURE = require(path.join(__dirname, '..', 'fixtures', 'grouping', 'story-templates.json'));
+
+function readArgs(argv) {
+  const args = { articles: 1200, seed: 42, mode: 'both', exhaustive: true };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--articles') args.articles = Number(argv[++i]) || args.articles;
+    else if (argv[i] === '--seed') args.seed = Number(argv[++i]) || args.seed;
+    else if (argv[i] === '--mode') args.mode = argv[++i] || args.mode;
+    else if (argv[i] === '--no-exhaustive') args.exhaustive = false;
+  }
+  return args;
+}
+
+/**
+ * mulberry32: small seeded PRNG so every run sees the same articles
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Share of stories built from a template; the rest are keyword stories
+const TEMPLATE_STORY_SHARE = 0.2;
+const SYLLABLES = ['ka', 'lor', 'ven', 'mi', 'tas', 'dro', 'fel', 'ru', 'shan', 'ob', 'quin', 'zel', 'har', 'no', 'vik', 'sel', 'ta', 'mur', 'ein', 'pa'];
+
+function makeWord(random) {
+  const count = 2 + Math.floor(random() * 2);
+  let word = '';
+  for (let i = 0; i < count; i++) word += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+  return word;
+}
+
+function sample(list, count, random) {
+  return [...list].sort(() => random() - 0.5).slice(0, count);
+}
+
+/**
+ * A story's headline/lede generator. Keyword stories share only common words
+ * with each other; template stories sound alike and must be told apart by
+ * the names filled into their slots.
+ */
+function createStory(random) {
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  if (random() >= TEMPLATE_STORY_SHARE) {
+    const keywords = Array.from({ length: 10 }, () => makeWord(random));
+    const common = sample(FIXTURE.commonWords, 6, random);
+    return {
+      title: () => sample([...sample(keywords, 5, random), ...sample(common, 2, random)], 7, random).join(' '),
+      description: () => `${sample([...sample(keywords, 8, random), ...sample(common, 4, random)], 12, random).join(' ')}.`
+    };
+  }
+
+  const template = pick(FIXTURE.templates);
+  const values = {};
+  const fill = text => text.replace(/\{([a-z]+)(\d?)\}/g, (match, pool, suffix) => {
+    const slot = `${pool}${suffix}`;
+    if (!(slot in values)) {
+      if (pool === 'number') {
+        values[slot] = String(2 + Math.floor(random() * 8));
+      } else {
+        // {team2} differs from {team}
+        const used = Object.values(values);
+        const options = FIXTURE.pools[pool].filter(value => !used.includes(value));
+        values[slot] = pick(options.length > 0 ? options : FIXTURE.pools[pool]);
+      }
+    }
+    return values[slot];
+  });
+  return {
+    title: () => fill(pick(template.headlines)),
+    description: () => fill(pick(template.ledes))
+  };
+}
+
+/**
+ * Builds `count` articles. Stories get 1-5 articles from distinct sources,
+ * like a real batch where most stories are covered once or twice.
+ */
+function generateArticles(count, seed) {
+  const random = createRandom(seed);
+  const baseTime = Date.parse('2026-03-14T12:00:00Z');
+
+  const articles = [];
+  let storyNumber = 0;
+  while (articles.length < count) {
+    const storyId = `story-${++storyNumber}`;
+    const story = createStory(random);
+    const size = Math.min(count - articles.length, 1 + Math.floor(random() * random() * 5));
+    const publishedAt = baseTime - Math.floor(random() * 72) * 3600 * 1000;
+
+    sample(FIXTURE.sources, size, random).forEach((source, i) => {
+      articles.push({
+        id: `${storyId}-${i}`,
+        storyId,
+        source: source.source,
+        sourceName: source.sourceName,
+        title: story.title(),
+        description: story.description(),
+        content: '',
+        url: `https://${source.source}.example.com/${storyId}/${i}`,
+        publishedAt: new Date(publishedAt + i * 1800 * 1000).toISOString()
+      });
+    });
+  }
+  return articles;
+}
+
+/**
+ * Pairwise precision / recall: a pair is correct when both articles share a
+ * group and a story. Only articles kept in the output are counted, because
+ * grouping keeps one article per source per group.
+ */
+function scoreGroups(groups) {
+  const kept = [];
+  groups.forEach((group, g) => group.articles.forEach(article => kept.push({ storyId: article.storyId, g })));
+
+  let truePairs = 0;
+  let predictedPairs = 0;
+  let actualPairs = 0;
+  for (let i = 0; i < kept.length; i++) {
+    for (let j = i + 1; j < kept.length; j++) {
+      const sameGroup = kept[i].g === kept[j].g;
+      const sameStory = kept[i].storyId === kept[j].storyId;
+      if (sameGroup) predictedPairs++;
+      if (sameStory) actualPairs++;
+      if (sameGroup && sameStory) truePairs++;
+    }
+  }
+
+  const precision = predictedPairs > 0 ? truePairs / predictedPairs : 1;
+  const recall = actualPairs > 0 ? truePairs / actualPairs : 1;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+function run(articles, mode, blocking) {
+  const log = console.log;
+  console.log = () => {}; // the grouper logs every merge
+  const started = process.hrtime.bigint();
+  let groups;
+  try {
+    groups = groupSimilarArticles(articles, getGroupingThreshold(false, mode), { mode, blocking });
+  } finally {
+    console.log = log;
+  }
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  return { ms, groups: groups.length, ...scoreGroups(groups) };
+}
+
+function main() {
+  const args = readArgs(process.argv.slice(2));
+  const articles = generateArticles(args.articles, args.seed);
+  const stories = new Set(articles.map(a => a.storyId)).size;
+  console.log(`Grouping benchmark: ${articles.length} articles, ${stories} stories (seed ${args.seed})\n`);
+
+  const modes = args.mode === 'both' ? ['tfidf', 'legacy'] : [args.mode];
+  const rows = [];
+  modes.forEach(mode => {
+    rows.push({ mode, blocking: 'yes', ...run(articles, mode, true) });
+    if (args.exhaustive) {
+      rows.push({ mode, blocking: 'no', ...run(articles, mode, false) });
+    }
+  });
+
+  console.table(rows.map(row => ({
+    scorer: row.mode,
+    blocking: row.blocking,
+    'time (ms)': Math.round(row.ms),
+    groups: row.groups,
+    precision: row.precision.toFixed(3),
+    recall: row.recall.toFixed(3),
+    f1: row.f1.toFixed(3)
+  })));
+}
+
+main();
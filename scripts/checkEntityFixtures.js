@@ -0,0 +1,53 @@
+/**
+ * Entity extraction reference check
+ *
+ * Runs the entity extractor over the reference cases in
+ * fixtures/entities/reference.json and checks that every expected entity is
+ * found under its type and that no absent name is reported at all.
+ * Exits with status 1 when any check fails.
+ *
+ * Usage:
+ *   node scripts/checkEntityFixtures.js
+ */
+
+const path = require('path');
+const { extractEntities } = require('../services/entityExtractor');
+
+const REFERENCE = require(path.join(__dirname, '..', 'fixtures', 'entities', 'reference.json'));
+
+const ENTITY_TYPES = ['people', 'organizations', 'places'];
+
+const failures = [];
+
+function check(label, passed, detail) {
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` - ${detail}`}`);
+  if (!passed) failures.push(label);
+}
+
+function main() {
+  REFERENCE.cases.forEach(testCase => {
+    const entities = extractEntities(testCase.text || '', { headline: testCase.headline || '' });
+    const found = JSON.stringify(entities);
+
+    Object.entries(testCase.expected || {}).forEach(([type, names]) => {
+      if (names.length === 0) {
+        check(`${testCase.name}: no ${type}`, entities[type].length === 0, `got ${found}`);
+      }
+      names.forEach(name => {
+        check(`${testCase.name}: ${type} "${name}"`, entities[type].includes(name), `got ${found}`);
+      });
+    });
+    (testCase.absent || []).forEach(name => {
+      check(
+        `${testCase.name}: not "${name}"`,
+        ENTITY_TYPES.every(type => !entities[type].includes(name)),
+        `got ${found}`
+      );
+    });
+  });
+
+  console.log(failures.length === 0 ? '\nAll entity reference checks passed' : `\n${failures.length} check(s) failed`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main();
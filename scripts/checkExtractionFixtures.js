@@ -0,0 +1,99 @@
+/**
+ * Extraction fixture check
+ *
+ * Runs the article extractor over the saved pages in fixtures/articles/ and
+ * the robots.txt rule matching over fixtures/articles/robots.txt, and checks
+ * each result against what the fixture is meant to show. Nothing is fetched.
+ * Exits with status 1 when any check fails.
+ *
+ * Usage:
+ *   node scripts/checkExtractionFixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractFromFile, parseRobots, isAllowedByRobots } = require('../services/articleExtractor');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'articles');
+const PAGE_URL = 'https://news.example.com/world/story';
+
+const PAGES = [
+  {
+    file: 'news-article.html',
+    status: 'ok',
+    title: 'Harbour authority approves new flood barrier',
+    canonicalUrl: 'https://news.example.com/world/2026/mar/14/harbour-flood-barrier-approved',
+    includes: [
+      "The city's harbour authority on Tuesday approved a flood barrier",
+      'Marta Lindqvist',
+      'monitor water quality and sediment'
+    ],
+    excludes: ['morning briefing', 'Advertisement', 'Related:', 'Share this article', 'window.analytics']
+  },
+  { file: 'paywalled-article.html', status: 'paywall', paywallSuspected: true },
+  { file: 'section-page.html', status: 'too-short' }
+];
+
+// [robots.txt section, URL path, allowed?]
+const ROBOTS_CASES = [
+  // Our own user-agent group replaces the * group
+  ['all', '/premium/markets.html', false],
+  ['all', '/premium/free-guide.html', true],
+  ['all', '/premium/free-guide.html.bak', false],
+  ['all', '/private/notes', true],
+  ['all', '/world/story', true],
+  // Without it, the * group applies; the longest match wins
+  ['wildcard', '/private/notes', false],
+  ['wildcard', '/private/press-releases/2026', true],
+  ['wildcard', '/search?q=floods', false],
+  ['wildcard', '/world/story', true]
+];
+
+const failures = [];
+
+function check(label, passed, detail) {
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` - ${detail}`}`);
+  if (!passed) failures.push(label);
+}
+
+async function checkPages() {
+  for (const page of PAGES) {
+    const result = await extractFromFile(path.join(FIXTURES_DIR, page.file), PAGE_URL);
+    check(`${page.file} status ${page.status}`, result.status === page.status, `got ${result.status}`);
+    if (page.title) check(`${page.file} title`, result.title === page.title, `got "${result.title}"`);
+    if (page.canonicalUrl) {
+      check(`${page.file} canonical URL`, result.canonicalUrl === page.canonicalUrl, `got "${result.canonicalUrl}"`);
+    }
+    if (page.paywallSuspected !== undefined) {
+      check(`${page.file} paywall marked`, result.paywallSuspected === page.paywallSuspected);
+    }
+    (page.includes || []).forEach(text => check(`${page.file} keeps "${text}"`, result.text.includes(text)));
+    (page.excludes || []).forEach(text => check(`${page.file} drops "${text}"`, !result.text.includes(text)));
+  }
+}
+
+function checkRobots() {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, 'robots.txt'), 'utf8');
+  const rules = {
+    all: parseRobots(text),
+    wildcard: parseRobots(text.slice(0, text.indexOf('User-agent: MultiNewsSynthesizer')))
+  };
+  ROBOTS_CASES.forEach(([section, urlPath, allowed]) => {
+    check(
+      `robots.txt (${section}) ${allowed ? 'allows' : 'disallows'} ${urlPath}`,
+      isAllowedByRobots(rules[section], urlPath) === allowed
+    );
+  });
+}
+
+async function main() {
+  await checkPages();
+  checkRobots();
+  console.log(failures.length === 0 ? '\nAll extraction fixture checks passed' : `\n${failures.length} check(s) failed`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('Extraction fixture check failed:', error);
+  process.exitCode = 1;
+});
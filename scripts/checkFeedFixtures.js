@@ -0,0 +1,98 @@
+/**
+ * Feed fixture check
+ *
+ * Reads the RSS 2.0 and Atom feeds in fixtures/feeds/ through the RSS client,
+ * using fixtures/feeds/feeds.json as the feed config, and checks the normalized
+ * articles field by field: title, link, date, image, language and so on.
+ * Nothing is fetched. Exits with status 1 when any check fails.
+ *
+ * Usage:
+ *   node scripts/checkFeedFixtures.js
+ */
+
+const path = require('path');
+const { fetchRssArticles } = require('../services/rssClient');
+
+const FEED_CONFIG = require(path.join(__dirname, '..', 'fixtures', 'feeds', 'feeds.json'));
+
+// Expected articles per category, newest first; the link-less RSS item is dropped
+const EXPECTED = {
+  world: [
+    {
+      title: 'Earthquake strikes central Japan, killing dozens',
+      url: 'https://world.example.org/asia/japan-earthquake?utm_source=rss',
+      publishedAt: '2026-10-05T06:12:00.000Z',
+      imageUrl: 'https://world.example.org/img/quake.jpg',
+      language: 'en',
+      author: 'Aiko Tanaka',
+      sourceName: 'Example World Desk',
+      description: 'A powerful earthquake struck central Japan early on Monday, killing at least 40 people and destroying hundreds of buildings in Ishikawa prefecture.'
+    },
+    {
+      title: 'EU leaders agree migration pact after all-night talks',
+      url: 'https://world.example.org/europe/migration-pact',
+      publishedAt: '2026-10-04T20:40:00.000Z',
+      imageUrl: 'https://world.example.org/img/brussels.jpg',
+      language: 'en',
+      author: 'Marc Dubois',
+      sourceName: 'Example World Desk',
+      description: 'European Union leaders reached a deal on a long-stalled migration pact in Brussels after “difficult” overnight negotiations & compromises on border procedures.'
+    }
+  ],
+  technology: [
+    {
+      title: 'Apple unveils new iPhone with satellite messaging',
+      url: 'https://tech.example.com/2026/10/apple-iphone-satellite',
+      publishedAt: '2026-10-05T08:30:00.000Z',
+      imageUrl: 'https://tech.example.com/img/iphone.jpg',
+      language: 'en',
+      author: 'Jordan Lee',
+      sourceName: 'Example Tech Review',
+      description: 'Apple unveiled its latest iPhone lineup at its Cupertino headquarters, adding satellite messaging and a faster chip to the flagship devices.'
+    },
+    {
+      title: 'Open-source AI model tops coding benchmark',
+      url: 'https://tech.example.com/2026/10/open-model-benchmark',
+      publishedAt: '2026-10-04T17:05:00.000Z',
+      imageUrl: '',
+      language: 'en',
+      author: 'Sam Rivera',
+      sourceName: 'Example Tech Review',
+      description: 'An open-weights language model released by a European research lab has outperformed proprietary rivals on a widely used software engineering benchmark.'
+    }
+  ]
+};
+
+const failures = [];
+
+function check(label, passed, detail) {
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` - ${detail}`}`);
+  if (!passed) failures.push(label);
+}
+
+async function main() {
+  for (const [category, expectedArticles] of Object.entries(EXPECTED)) {
+    const articles = await fetchRssArticles({ query: '', category }, FEED_CONFIG);
+    check(`${category}: ${expectedArticles.length} articles`, articles.length === expectedArticles.length, `got ${articles.length}`);
+
+    expectedArticles.forEach((expected, index) => {
+      const article = articles[index] || {};
+      Object.entries(expected).forEach(([field, value]) => {
+        check(
+          `${category} #${index + 1} ${field}`,
+          article[field] === value,
+          `expected ${JSON.stringify(value)}, got ${JSON.stringify(article[field])}`
+        );
+      });
+      check(`${category} #${index + 1} source`, article.source === 'rss', `got ${JSON.stringify(article.source)}`);
+    });
+  }
+
+  console.log(failures.length === 0 ? '\nAll feed fixture checks passed' : `\n${failures.length} check(s) failed`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('Feed fixture check failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,754 @@
+const { getSources, getSource, getSourcePriority, fetchFromAllSources } = require('./sourceRegistry');
+const { groupSimilarArticles, getGroupingThreshold } = require('./articleGrouper');
+const { summarizeArticleGroup, generateNeutralTitle } = require('./llmSummarizer');
+const { archiveAggregateResult } = require('./archiveStore');
+const { indexArticles } = require('./searchIndex');
+const { enrichArticlesWithFullText, getKnownCanonicalUrl } = require('./articleExtractor');
+const { mergeDuplicateArticles } = require('./urlCanonicalizer');
+const { collapseSyndicatedCopies } = require('./syndicationDetector');
+const { annotateArticleEntities, mergeEntities } = require('./entityExtractor');
+const { trackStories } = require('./storyTracker');
+const { rankGroups } = require('./groupRanker');
+const { annotateArticlesWithPublisher, getPublisherKey } = require('./publisherRegistry');
+const { filterArticlesByCountry } = require('./countryFilter');
+const { getDateWindow, filterArticlesByDate, describeDateRange } = require('./dateRange');
+const { filterArticlesByLanguage, getRequestedLanguages, getLanguageCoverage } = require('./languageRegistry');
+const { annotateEnglishGists } = require('./translation');
+
+// How many story groups the frontend shows per page (fallback groups are sized from it)
+const MAX_GROUPS_PER_PAGE = 18;
+
+/**
+ * True when the article's source adapter only contributes usable groups
+ * if the article carries a real description (see SourceAdapter.requiresDescription)
+ */
+function isDescriptionRequired(article) {
+  const adapter = getSource(article.source);
+  return !!(adapter && adapter.requiresDescription);
+}
+
+/**
+ * Display names of a group's publishers, one per publisher (see getPublisherKey)
+ */
+function getPublisherNames(articles) {
+  const names = new Map();
+  articles.forEach(article => {
+    const key = getPublisherKey(article);
+    if (!names.has(key)) names.set(key, article.sourceName || article.source || 'Unknown');
+  });
+  return [...names.values()];
+}
+
+/**
+ * True when the article has a description worth summarizing
+ */
+function hasValidDescription(article) {
+  const desc = (article.description || '').trim();
+  return !!desc && desc !== 'No description available.' && desc.length >= 50;
+}
+
+/**
+ * Runs the full aggregation pipeline for one request:
+ * 1. Fetches articles from every registered source adapter in parallel
+ * 2. Balances and interleaves them into one pool, merging copies of the same URL
+ *    and collapsing syndicated wire copies; drops articles about other countries
+ *    when a country is requested (services/countryFilter.js), articles in
+ *    other languages (services/languageRegistry.js) and articles published
+ *    outside the requested date range (services/dateRange.js)
+ * 3. Groups similar articles across sources
+ * 4. Ranks (services/groupRanker.js), filters and summarizes the groups
+ * 5. Assigns persistent story ids (services/storyTracker.js) and archives the
+ *    articles and groups (services/archiveStore.js) - except for date-range
+ *    requests, which look back rather than at what is current
+ *
+ * The result is NOT paginated - callers slice summarizedGroups per page.
+ *
+ * @param {Object} newsQuery - { query, country, category, includeInternational, from, to, since, lang } (query
+ *   wins over category; country is one code or a comma-separated list, see resolveCountrySelection in
+ *   services/countryRegistry.js; from/to/since as returned by parseDateRange in services/dateRange.js;
+ *   lang as returned by resolveLanguageSelection in services/languageRegistry.js, default languages when missing)
+ * @returns {Promise<{summarizedGroups: Array, articlesWithSource: Array, warnings: Array<string>, noResults?: boolean}>}
+ */
+async function runAggregatePipeline(newsQuery) {
+  const isSearch = !!(newsQuery.query && newsQuery.query.trim().length > 0);
+  const dateWindow = getDateWindow(newsQuery);
+
+  const warnings = [];
+
+  // Fetch from all registered sources in parallel
+  const sources = getSources();
+  const sourceLabels = sources.map(s => s.displayName).join(', ');
+  console.log(`[Aggregate] Fetching from all sources (${sourceLabels})...`);
+  console.log('[Aggregate] Query:', newsQuery.query || newsQuery.category || 'default');
+  console.log('[Aggregate] newsQuery object:', JSON.stringify(newsQuery, null, 2));
+
+  const sourceResults = await fetchFromAllSources(newsQuery, warnings);
+
+  // Log results from each source for verification
+  console.log('\n[Aggregate] Articles fetched from each source (already normalized):');
+  sourceResults.forEach(({ adapter, articles }) => {
+    console.log(
+      `   ${adapter.displayName}: ${articles.length} articles ${articles.length === 0 ? '(NONE!)' : ''}`
+    );
+  });
+
+  const totalArticles = sourceResults.reduce((sum, r) => sum + r.articles.length, 0);
+  console.log(`   Total: ${totalArticles} articles from all sources\n`);
+  
+  // Warn if one source is dominating
+  const maxCount = Math.max(0, ...sourceResults.map(r => r.articles.length));
+  if (maxCount > 0) {
+    const maxPercentage = (maxCount / totalArticles) * 100;
+    if (maxPercentage > 70) {
+      console.warn(`[Aggregate] WARNING: One source is dominating (${maxPercentage.toFixed(1)}% of articles). Source balancing will help.`);
+    }
+  }
+
+  // Note: We don't warn about sources returning 0 articles as this is normal behavior
+  // Some sources may not have articles for every query, and that's okay
+  
+  // Log which sources succeeded
+  const successfulSources = sourceResults
+    .filter(r => r.articles.length > 0)
+    .map(r => `${r.adapter.displayName} (${r.articles.length})`);
+  
+  if (successfulSources.length > 0) {
+    console.log(`[Aggregate] Successfully fetched articles from: ${successfulSources.join(', ')}`);
+  }
+
+  // Critical: If ALL sources failed, we have a problem
+  if (totalArticles === 0) {
+    console.error('[Aggregate] CRITICAL: ALL sources returned 0 articles!');
+    console.error(
+      '[Aggregate] This indicates a serious problem with API keys or network connectivity.'
+    );
+  }
+
+  // Balance articles from each source to prevent one source from dominating
+  // Each adapter declares its own cap (lower priority sources take fewer articles)
+  const balancedResults = sourceResults.map(({ adapter, articles }) => ({
+    adapter,
+    articles: articles.slice(0, adapter.maxArticles)
+  }));
+
+  console.log(
+    `[Aggregate] Balanced article counts: ${balancedResults
+      .map(r => `${r.adapter.displayName}: ${r.articles.length}`)
+      .join(', ')}`
+  );
+
+  // Combine all normalized articles into ONE pool before grouping
+  // Interleave in source priority order (sources are already sorted by priority)
+  const interleavedArticles = [];
+  const maxLength = Math.max(0, ...balancedResults.map(r => r.articles.length));
+  
+  for (let i = 0; i < maxLength; i++) {
+    for (const { articles } of balancedResults) {
+      if (i < articles.length) interleavedArticles.push(articles[i]);
+    }
+  }
+
+  // The same page reached through several providers (utm params, AMP/mobile
+  // variants, trailing slashes) becomes one article that lists every provider.
+  // Pages downloaded earlier contribute their <link rel=canonical>.
+  interleavedArticles.forEach(article => {
+    const canonicalUrl = article.url && getKnownCanonicalUrl(article.url);
+    if (canonicalUrl) article.canonicalUrl = canonicalUrl;
+  });
+  const { articles: uniqueArticles, merged: mergedDuplicates } = mergeDuplicateArticles(interleavedArticles);
+  if (mergedDuplicates > 0) {
+    console.log(`[Aggregate] Merged ${mergedDuplicates} duplicate article(s) with the same canonical URL`);
+  }
+
+  // Wire stories republished by many outlets collapse into one article (listed
+  // in alsoPublishedBy), so the copies don't count as independent sources below
+  const syndication = collapseSyndicatedCopies(uniqueArticles);
+  let articlesWithSource = syndication.articles;
+  if (syndication.collapsed > 0) {
+    console.log(
+      `[Aggregate] Collapsed ${syndication.collapsed} syndicated copies into ${syndication.clusters} canonical article(s)`
+    );
+  }
+
+  // Who actually published each article (name, trust, lean, country, ownership)
+  annotateArticlesWithPublisher(articlesWithSource);
+
+  console.log('[Aggregate] Combined articles by source:');
+  const sourceBreakdown = {};
+  balancedResults.forEach(({ adapter }) => {
+    sourceBreakdown[adapter.id] = articlesWithSource.filter(a => a.source === adapter.id).length;
+    console.log(`   ${adapter.displayName}: ${sourceBreakdown[adapter.id]} articles`);
+  });
+  console.log(`   Total: ${articlesWithSource.length} articles\n`);
+  console.log('[Aggregate] Source verification:', sourceBreakdown);
+
+  const activeSources = Object.keys(sourceBreakdown).filter(id => sourceBreakdown[id] > 0);
+  if (activeSources.length === 1 && articlesWithSource.length > 0) {
+    console.warn(
+      `[Aggregate] WARNING: Only ${getSource(activeSources[0]).displayName} articles found. Other sources may not be working.`
+    );
+  } else {
+    console.log(
+      `[Aggregate] Articles from ${activeSources.length} source(s): ${activeSources.join(', ') || 'none'}`
+    );
+  }
+
+
+  // Every fetched article becomes searchable locally (GET /api/search?mode=local)
+  indexArticles(articlesWithSource).catch(error =>
+    console.error('[Aggregate] Failed to index articles for local search:', error.message)
+  );
+
+  // RSS feeds and the Guardian don't filter by language, and several languages
+  // can't be asked of every provider at once
+  const languageFetchedCount = articlesWithSource.length;
+  articlesWithSource = filterArticlesByLanguage(articlesWithSource, newsQuery.lang);
+  if (articlesWithSource.length < languageFetchedCount) {
+    console.log(`[Aggregate] Language filter: kept ${articlesWithSource.length} of ${languageFetchedCount} articles`);
+  }
+  if (languageFetchedCount > 0 && articlesWithSource.length === 0) {
+    const languageNames = getRequestedLanguages(newsQuery.lang).map(language => language.name);
+    warnings.push(`None of the ${languageFetchedCount} articles found were in ${languageNames.join(' or ')}.`);
+  }
+
+  // Providers mostly ignore the requested country, so articles about other
+  // countries are dropped here; kept articles carry their countryMatch
+  if (newsQuery.country) {
+    const fetchedCount = articlesWithSource.length;
+    articlesWithSource = filterArticlesByCountry(
+      articlesWithSource,
+      newsQuery.country,
+      isSearch ? undefined : newsQuery.category,
+      { includeInternational: !!newsQuery.includeInternational }
+    );
+    if (fetchedCount > 0 && articlesWithSource.length === 0) {
+      warnings.push(`None of the ${fetchedCount} articles found were about ${newsQuery.country.toUpperCase().split(',').join(', ')}.`);
+    }
+  }
+
+  // Providers filter by day at best (RSS not at all), so the exact window is applied here
+  if (dateWindow) {
+    const fetchedCount = articlesWithSource.length;
+    articlesWithSource = filterArticlesByDate(articlesWithSource, dateWindow);
+    console.log(`[Aggregate] Date range ${describeDateRange(newsQuery)}: kept ${articlesWithSource.length} of ${fetchedCount} articles`);
+    if (fetchedCount > 0 && articlesWithSource.length === 0) {
+      warnings.push(`None of the ${fetchedCount} articles found were published ${describeDateRange(newsQuery)}.`);
+    }
+  }
+
+  if (articlesWithSource.length === 0) {
+    // For search queries, return a clear "No articles found" message
+    if (isSearch) {
+      console.log('[Aggregate] No articles found from any source for search query:', newsQuery.query);
+      return {
+        summarizedGroups: [],
+        articlesWithSource: [],
+        warnings: ['No articles found for this topic.'],
+        noResults: true
+      };
+    }
+    console.log('[Aggregate] No articles found from any source for category:', newsQuery.category);
+    return {
+      summarizedGroups: [],
+      articlesWithSource: [],
+      warnings: warnings.length > 0 ? warnings : ['No articles found from any source.']
+    };
+  }
+  
+  console.log('[Aggregate] Proceeding with', articlesWithSource.length, 'articles to group and summarize');
+
+  // People, organizations and places help group stories told in different
+  // words and are returned on every article (article.entities)
+  annotateArticleEntities(articlesWithSource);
+
+  // Articles in other languages are grouped through an English gist, so
+  // coverage of one event in German and English ends up in the same group
+  await annotateEnglishGists(articlesWithSource);
+
+  // Group similar articles ACROSS ALL SOURCES
+  // Use lower threshold for search queries to group articles with similar titles more aggressively
+  // For search, we want to group articles about the same topic even if they have slightly different wording
+  // But don't make it too aggressive - we still want some groups to be created
+  // Thresholds depend on the similarity scorer (config/grouping.js)
+  const similarityThreshold = getGroupingThreshold(isSearch);
+  console.log('[Aggregate] Grouping', articlesWithSource.length, 'articles with similarity threshold:', similarityThreshold);
+  const groups = groupSimilarArticles(articlesWithSource, similarityThreshold);
+  
+  // CRITICAL: Ensure grouping actually happened
+  if (groups.length === articlesWithSource.length) {
+    console.warn('[Aggregate] WARNING: No articles were grouped! All articles are in separate groups.');
+    console.warn('[Aggregate] This suggests the similarity threshold may be too high or grouping logic needs adjustment.');
+  } else {
+    const groupedCount = groups.reduce((sum, g) => sum + g.articles.length, 0);
+    const avgGroupSize = groupedCount / groups.length;
+    console.log(`[Aggregate] Grouping successful: ${articlesWithSource.length} articles -> ${groups.length} groups (avg ${avgGroupSize.toFixed(1)} articles per group)`);
+  }
+
+  console.log(
+    `\n[Aggregate] Grouped ${articlesWithSource.length} articles into ${groups.length} groups (cross-source grouping)`
+  );
+
+  // Log group composition by source to verify cross-source grouping
+  groups.forEach((group, idx) => {
+    const sources = {};
+    group.articles.forEach(article => {
+      sources[article.source] = (sources[article.source] || 0) + 1;
+    });
+    const sourceStr = Object.entries(sources)
+      .map(([s, c]) => `${s}:${c}`)
+      .join(', ');
+    console.log(
+      `   Group ${idx + 1}: ${group.articles.length} articles from ${
+        Object.keys(sources).length
+      } source(s) [${sourceStr}]`
+    );
+  });
+  console.log('');
+
+  // Filter groups to remove duplicates and ensure quality
+  const filteredGroups = groups.filter(group => {
+    // Filter out groups made only of description-required sources (e.g. GDELT)
+    // when none of their articles carries a valid description
+    const allDescriptionRequired = group.articles.every(isDescriptionRequired);
+    
+    if (allDescriptionRequired && !group.articles.some(hasValidDescription)) {
+      console.log(
+        `[Aggregate] Filtering out group ${group.groupId} - all articles come from description-required sources with no valid descriptions`
+      );
+      return false;
+    }
+    
+    if (group.articles.length > 1) {
+      const normalizedTitles = group.articles.map(a => {
+        const title = (a.title || '').toLowerCase().trim();
+        return title
+          .replace(/^(breaking|exclusive|update|live):\s*/i, '')
+          .replace(
+            /\s*-\s*(the guardian|guardian|gdelt|currents|reuters|ap|bbc).*$/i,
+            ''
+          )
+          .replace(/[^\w\s]/g, ' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+      });
+
+      const firstTitle = normalizedTitles[0];
+      const allIdentical = normalizedTitles.every(title => {
+        return title === firstTitle && title.length > 0;
+      });
+
+      if (allIdentical && firstTitle.length > 10) {
+        console.log(
+          `[Aggregate] Filtering out group ${group.groupId} - all ${group.articles.length} articles have identical normalized title: "${firstTitle.substring(
+            0,
+            50
+          )}..."`
+        );
+        return false;
+      }
+    }
+
+    return true;
+  });
+
+  console.log(
+    `[Aggregate] After filtering (identical-title only): ${filteredGroups.length} groups (removed ${
+      groups.length - filteredGroups.length
+    } groups with identical titles)`
+  );
+
+  // Helper function to count unique publishers in a group - two outlets delivered by
+  // the same provider are two sources (syndicated copies were collapsed before
+  // grouping, so only independent reporting counts)
+  const getUniqueSourceCount = group => {
+    const sources = new Set(group.articles.map(getPublisherKey));
+    return sources.size;
+  };
+
+  // Rank by weighted signals (source diversity, trust, recency, article count,
+  // content richness - see config/ranking.js); each group keeps its breakdown.
+  // A past date range measures recency from its end, not from today
+  const rankingNow = dateWindow && dateWindow.end ? Math.min(dateWindow.end.getTime(), Date.now()) : Date.now();
+  rankGroups(filteredGroups, rankingNow);
+
+  const multiSourceGroups = filteredGroups.filter(g => getUniqueSourceCount(g) >= 2);
+  const singleSourceGroups = filteredGroups.filter(g => getUniqueSourceCount(g) < 2);
+
+  console.log(
+    `[Aggregate] After filtering: ${multiSourceGroups.length} multi-source groups, ${singleSourceGroups.length} single-source groups`
+  );
+
+  // Interleave single-source groups by source to ensure diversity on each page
+  // This prevents all groups from one source from appearing on the same page
+  const interleavedSingleSourceGroups = [];
+  if (singleSourceGroups.length > 0) {
+    // Helper to get the primary source of a single-source group
+    const getGroupSource = (group) => {
+      const sources = group.articles.map(a => a.source || a.sourceName || 'unknown');
+      return sources[0]?.toLowerCase() || 'unknown';
+    };
+
+    // Separate single-source groups by their source
+    const groupsBySource = {};
+    singleSourceGroups.forEach(group => {
+      const source = getGroupSource(group);
+      if (!groupsBySource[source]) {
+        groupsBySource[source] = [];
+      }
+      groupsBySource[source].push(group);
+    });
+
+    // Interleave groups from different sources in adapter priority order
+    // Unregistered sources sort after every registered one
+    const sourceKeys = Object.keys(groupsBySource).sort((a, b) => {
+      const aPriority = getSourcePriority(a);
+      const bPriority = getSourcePriority(b);
+      if (aPriority !== bPriority) return aPriority - bPriority;
+      return a.localeCompare(b);
+    });
+    
+    let maxLength = Math.max(...Object.values(groupsBySource).map(arr => arr.length));
+    
+    for (let i = 0; i < maxLength; i++) {
+      for (const sourceKey of sourceKeys) {
+        if (i < groupsBySource[sourceKey].length) {
+          interleavedSingleSourceGroups.push(groupsBySource[sourceKey][i]);
+        }
+      }
+    }
+
+    console.log(`[Aggregate] Interleaved ${interleavedSingleSourceGroups.length} single-source groups from ${sourceKeys.length} sources`);
+  }
+
+  // Prioritize multi-source groups, but ensure source diversity
+  // Summarize enough groups to fill multiple pages to ensure source diversity across pages
+  const GROUPS_TO_SUMMARIZE = Math.min(MAX_GROUPS_PER_PAGE * 3, filteredGroups.length); // Summarize up to 3 pages worth
+  
+  let groupsToSummarize = [];
+
+  if (multiSourceGroups.length >= GROUPS_TO_SUMMARIZE) {
+    // Plenty of multi-source groups, take top N (already sorted by recency)
+    groupsToSummarize = multiSourceGroups.slice(0, GROUPS_TO_SUMMARIZE);
+    console.log(
+      `[Aggregate] Using ${groupsToSummarize.length} multi-source groups (core functionality working)`
+    );
+  } else if (multiSourceGroups.length > 0) {
+    // Some multi-source groups, combine with interleaved single-source groups
+    const remainingSlots = GROUPS_TO_SUMMARIZE - multiSourceGroups.length;
+    groupsToSummarize = [
+      ...multiSourceGroups,
+      ...interleavedSingleSourceGroups.slice(0, remainingSlots)
+    ];
+    console.log(
+      `[Aggregate] Using ${multiSourceGroups.length} multi-source + ${
+        groupsToSummarize.length - multiSourceGroups.length
+      } interleaved single-source groups (total: ${groupsToSummarize.length})`
+    );
+  } else if (interleavedSingleSourceGroups.length > 0) {
+    // No multi-source groups, use interleaved single-source (ensures source diversity)
+    groupsToSummarize = interleavedSingleSourceGroups.slice(0, GROUPS_TO_SUMMARIZE);
+    console.warn(
+      `[Aggregate] WARNING: No multi-source groups found. Using ${groupsToSummarize.length} interleaved single-source groups as fallback.`
+    );
+  } else {
+    groupsToSummarize = [];
+    console.warn('[Aggregate] WARNING: No groups created at all!');
+    console.warn('[Aggregate] This might indicate an issue with article grouping or all articles were filtered out');
+    console.warn('[Aggregate] Raw articles available:', articlesWithSource.length);
+  }
+  
+  // ENSURE SOURCE DIVERSITY: Limit groups from a single source to prevent dominance
+  // Each adapter declares its maximum share of the summarized groups (maxGroupShare)
+  const getMaxGroupsForSource = (sourceId) => {
+    const adapter = getSource(sourceId);
+    const share = adapter ? adapter.maxGroupShare : 0;
+    return Math.ceil(GROUPS_TO_SUMMARIZE * share);
+  };
+  
+  const sourceGroupCounts = {};
+  const diversifiedGroups = [];
+  
+  // First pass: Add all multi-source groups and single-source groups from sources
+  // that don't require descriptions
+  for (const group of groupsToSummarize) {
+    const primarySource = (group.articles[0]?.source || 'unknown').toLowerCase();
+    const sourceCount = getUniqueSourceCount(group);
+    
+    // Multi-source groups always included (unless every article is description-less filler)
+    if (sourceCount >= 2) {
+      const allFillerNoDesc = group.articles.every(
+        a => isDescriptionRequired(a) && !hasValidDescription(a)
+      );
+      
+      if (!allFillerNoDesc) {
+        diversifiedGroups.push(group);
+      } else {
+        console.log(`[Aggregate] Skipping multi-source group - all description-required sources with no valid descriptions`);
+      }
+    } else if (getSource(primarySource) && !isDescriptionRequired(group.articles[0])) {
+      const currentCount = sourceGroupCounts[primarySource] || 0;
+      if (currentCount < getMaxGroupsForSource(primarySource)) {
+        diversifiedGroups.push(group);
+        sourceGroupCounts[primarySource] = currentCount + 1;
+      }
+    }
+  }
+  
+  // Second pass: Add description-required (e.g. GDELT) groups only if we have room
+  // and they have valid descriptions
+  for (const group of groupsToSummarize) {
+    if (diversifiedGroups.includes(group)) continue; // Already added
+    
+    const primarySource = (group.articles[0]?.source || 'unknown').toLowerCase();
+    const sourceCount = getUniqueSourceCount(group);
+    
+    if (sourceCount < 2 && isDescriptionRequired(group.articles[0])) {
+      const currentCount = sourceGroupCounts[primarySource] || 0;
+      if (currentCount < getMaxGroupsForSource(primarySource)) {
+        if (group.articles.some(hasValidDescription)) {
+          diversifiedGroups.push(group);
+          sourceGroupCounts[primarySource] = currentCount + 1;
+        } else {
+          console.log(`[Aggregate] Skipping ${getSource(primarySource).displayName} group - no valid descriptions`);
+        }
+      }
+    }
+  }
+  
+  groupsToSummarize = diversifiedGroups.slice(0, GROUPS_TO_SUMMARIZE);
+  
+  // Log source distribution in groups to summarize
+  const sourceDistInSummary = {};
+  groupsToSummarize.forEach(g => {
+    const sources = g.articles.map(a => a.source || a.sourceName || 'unknown');
+    const uniqueSources = [...new Set(sources)];
+    uniqueSources.forEach(s => {
+      sourceDistInSummary[s] = (sourceDistInSummary[s] || 0) + 1;
+    });
+  });
+  console.log(`[Aggregate] Source distribution in groups to summarize:`, sourceDistInSummary);
+
+  // Providers that only send a snippet get their full text from the publisher page
+  try {
+    await enrichArticlesWithFullText(groupsToSummarize.flatMap(g => g.articles));
+  } catch (error) {
+    console.error('[Aggregate] Full-text extraction failed:', error.message);
+  }
+
+  // Summarize each group (with concurrency limit)
+  const MAX_CONCURRENT_SUMMARIES = 3;
+  const summarizedGroups = [];
+
+  for (let i = 0; i < groupsToSummarize.length; i += MAX_CONCURRENT_SUMMARIES) {
+    const batch = groupsToSummarize.slice(i, i + MAX_CONCURRENT_SUMMARIES);
+    const summaries = await Promise.allSettled(
+      batch.map(group => summarizeArticleGroup(group))
+    );
+
+    summaries.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        const summary = result.value.summary || 'Summary not available.';
+        let groupTitle = result.value.groupTitle;
+
+        // Always generate a neutral title from summary + metadata
+        groupTitle = generateNeutralTitle(
+          batch[index].articles[0]?.title,
+          batch[index].articles[0]?.description,
+          summary
+        );
+
+        const genericPatterns = [
+          'news story',
+          'story 1',
+          'story 2',
+          'story 3',
+          'latest news',
+          'news coverage',
+          'story from',
+          'covered this story',
+          'multiple sources'
+        ];
+        const isStillGeneric =
+          !groupTitle ||
+          genericPatterns.some(pattern =>
+            groupTitle.toLowerCase().includes(pattern)
+          ) ||
+          /^story\s+\d+$/i.test(groupTitle) ||
+          groupTitle.length < 10;
+
+        if (isStillGeneric && summary && summary.length > 20) {
+          const firstSentence = summary.split(/[.!?]/)[0].trim();
+          if (firstSentence.length > 15) {
+            const words = firstSentence.split(/\s+/).slice(0, 12).join(' ');
+            groupTitle = words.charAt(0).toUpperCase() + words.slice(1);
+          }
+        }
+
+        const uniqueSources = getPublisherNames(batch[index].articles);
+        const sourceCount = uniqueSources.length;
+
+        // Only skip if summary is EXACTLY the title (less aggressive filtering)
+        const firstArticle = batch[index].articles[0];
+        const articleTitle = firstArticle?.title || groupTitle || '';
+        if (articleTitle && summary) {
+          const normalizedTitle = articleTitle.toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+          const normalizedSummary = summary.toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+          
+          // Only skip if summary is EXACTLY the title (not just similar)
+          if (normalizedSummary === normalizedTitle && normalizedSummary.length < 100) {
+            console.log(`[Aggregate] Skipping group ${result.value.groupId} - summary is exactly the title`);
+            return; // Skip adding this group
+          }
+        }
+        
+        summarizedGroups.push({
+          groupId: result.value.groupId,
+          groupTitle: groupTitle,
+          summary: summary, // Keep for backwards compatibility
+          aiSummary: summary, // New consistent field name
+          articles: batch[index].articles,
+          sourceCount: sourceCount,
+          sources: uniqueSources,
+          languages: getLanguageCoverage(batch[index].articles),
+          ranking: batch[index].ranking
+        });
+      } else {
+        console.error(
+          '[Aggregate] Summarization failed for group:',
+          batch[index].groupId,
+          result.reason
+        );
+        warnings.push(`Failed to summarize group ${batch[index].groupId}`);
+
+        const firstArticle = batch[index].articles[0];
+        const articleTitles = batch[index].articles
+          .map(a => a.title)
+          .filter(Boolean)
+          .join('; ');
+        const fallbackSummary =
+          articleTitles ||
+          'Summary unavailable. Please review the articles below.';
+
+        const groupTitle = generateNeutralTitle(
+          firstArticle?.title,
+          firstArticle?.description,
+          fallbackSummary
+        );
+
+        const uniqueSources = getPublisherNames(batch[index].articles);
+        const sourceCount = uniqueSources.length;
+
+        // Only skip if fallback summary is EXACTLY the title (less aggressive filtering)
+        const articleTitle = firstArticle?.title || groupTitle || '';
+        if (articleTitle && fallbackSummary) {
+          const normalizedTitle = articleTitle.toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+          const normalizedSummary = fallbackSummary.toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+          
+          // Only skip if fallback summary is EXACTLY the title (not just similar)
+          if (normalizedSummary === normalizedTitle && normalizedSummary.length < 100) {
+            console.log(`[Aggregate] Skipping group ${batch[index].groupId} - fallback summary is exactly the title`);
+            return; // Skip adding this group
+          }
+        }
+
+        summarizedGroups.push({
+          groupId: batch[index].groupId,
+          groupTitle: groupTitle,
+          summary: fallbackSummary, // Keep for backwards compatibility
+          aiSummary: fallbackSummary, // New consistent field name
+          articles: batch[index].articles,
+          sourceCount: sourceCount,
+          sources: uniqueSources,
+          languages: getLanguageCoverage(batch[index].articles),
+          ranking: batch[index].ranking
+        });
+      }
+    });
+  }
+
+  // Log summary generation results
+  console.log(`[Aggregate] Generated ${summarizedGroups.length} summarized groups from ${groupsToSummarize.length} groups to summarize`);
+  
+  // If no groups were summarized but we have articles, log a warning
+  if (summarizedGroups.length === 0 && articlesWithSource.length > 0) {
+    console.warn('[Aggregate] WARNING: No groups were successfully summarized, but we have', articlesWithSource.length, 'raw articles');
+    console.warn('[Aggregate] This might indicate an issue with the summarization process');
+    console.warn('[Aggregate] Frontend will display raw articles as fallback');
+    
+    // For search queries, if we have articles but no groups, create minimal groups from individual articles
+    // This ensures search results are always shown
+    if (isSearch && articlesWithSource.length > 0) {
+      console.log('[Aggregate] SEARCH MODE: Creating individual article groups as fallback from', articlesWithSource.length, 'articles');
+      const fallbackGroups = articlesWithSource.slice(0, MAX_GROUPS_PER_PAGE * 2).map((article, index) => ({
+        groupId: `fallback-${index}`,
+        groupTitle: article.title || 'Untitled article',
+        summary: article.description || 'No summary available.',
+        aiSummary: article.description || 'No summary available.',
+        articles: [article],
+        sourceCount: 1,
+        sources: [article.sourceName || article.source || 'Unknown']
+      }));
+      summarizedGroups.push(...fallbackGroups);
+      console.log('[Aggregate] Created', fallbackGroups.length, 'fallback groups from individual articles');
+    }
+  }
+
+  // For search queries, if we still have no groups but have articles, create fallback groups
+  // This is a second check in case the first fallback didn't work
+  if (isSearch && summarizedGroups.length === 0 && articlesWithSource.length > 0) {
+    console.log('[Aggregate] SEARCH MODE: Still no groups after summarization, creating fallback groups from', articlesWithSource.length, 'articles');
+    const fallbackGroups = articlesWithSource.slice(0, MAX_GROUPS_PER_PAGE * 3).map((article, index) => {
+      // Ensure description is at least 20 characters for filtering
+      const description = article.description && article.description.trim().length >= 20 
+        ? article.description 
+        : (article.description || 'Article from ' + (article.sourceName || 'news source') + '.');
+      
+      return {
+        groupId: `fallback-${index}`,
+        groupTitle: article.title || 'Untitled article',
+        summary: description,
+        aiSummary: description,
+        articles: [article],
+        sourceCount: 1,
+        sources: [article.sourceName || article.source || 'Unknown']
+      };
+    });
+    summarizedGroups.push(...fallbackGroups);
+    console.log('[Aggregate] Created', fallbackGroups.length, 'fallback groups from individual articles');
+  }
+
+  // The entities most articles in each group mention
+  summarizedGroups.forEach(group => {
+    group.entities = mergeEntities(group.articles);
+  });
+
+  // Stable story ids across runs (GET /api/stories/:id); historical date-range
+  // groups would otherwise be mixed into the live stories' histories
+  if (!dateWindow) {
+    try {
+      trackStories(summarizedGroups);
+    } catch (error) {
+      console.error('[Aggregate] Story tracking failed:', error.message);
+    }
+  }
+
+  const result = { summarizedGroups, articlesWithSource, warnings };
+
+  // Keep a historical record of what was shown (written in the background);
+  // date-range results would overwrite the current snapshot for the same query
+  if (!dateWindow) {
+    archiveAggregateResult(newsQuery, result);
+  }
+
+  return result;
+}
+
+/**
+ * Whether a pipeline result is worth caching - empty results usually mean an
+ * upstream outage and should not be pinned in the cache
+ */
+function isCacheableResult(result) {
+  return !!result && result.articlesWithSource.length > 0;
+}
+
+module.exports = { runAggregatePipeline, isCacheableResult, MAX_GROUPS_PER_PAGE };
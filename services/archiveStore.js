@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ARCHIVE_ENABLED, ARCHIVE_DIR, ARCHIVE_RETENTION_DAYS } = require('../config/archive');
+const { resolveLanguageSelection, isDefaultLanguageSelection } = require('./languageRegistry');
+
+/**
+ * Local archive of everything the synthesizer showed.
+ *
+ * Each UTC day has its own directory with two JSON-lines files:
+ * - articles.jsonl: every normalized article, written once per day
+ * - snapshots.jsonl: one record per pipeline run with its summarized groups
+ *   (article ids only - the articles are joined back in when reading)
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const articleIdsByDay = new Map(); // day -> Set of archived article ids
+const lastFingerprints = new Map(); // day|key -> fingerprint of the last snapshot
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Identity of an archived article (normalized articles always carry an id)
+ */
+function getArticleKey(article) {
+  return article.id || article.url;
+}
+
+function getDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getDayDir(day) {
+  return path.join(ARCHIVE_DIR, day);
+}
+
+/**
+ * Reads a JSON-lines file, skipping unparsable lines; missing files read as []
+ */
+async function readJsonLines(filePath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  text.split('\n').forEach(line => {
+    if (!line) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A partially written last line is expected after a crash - skip it
+    }
+  });
+  return records;
+}
+
+/**
+ * Ids already archived today (loaded from disk once per day and process)
+ */
+async function getArchivedIds(day) {
+  if (!articleIdsByDay.has(day)) {
+    const articles = await readJsonLines(path.join(getDayDir(day), 'articles.jsonl'));
+    articleIdsByDay.set(day, new Set(articles.map(article => article.id)));
+
+    // Only today's (and at most yesterday's) ids are needed in memory
+    [...articleIdsByDay.keys()].sort().slice(0, -2).forEach(oldDay => articleIdsByDay.delete(oldDay));
+  }
+  return articleIdsByDay.get(day);
+}
+
+/**
+ * Canonical language selection of a snapshot; empty for the default
+ * languages, so snapshots archived before ?lang= existed still match
+ */
+function getSnapshotLanguage(lang) {
+  return isDefaultLanguageSelection(lang) ? '' : resolveLanguageSelection(lang).lang || '';
+}
+
+/**
+ * Whether a snapshot also shows international news (only meaningful with a country)
+ */
+function isInternationalSnapshot({ country, includeInternational }) {
+  return !!country && !!includeInternational;
+}
+
+/**
+ * Key describing what a snapshot shows (same shape as the response cache key)
+ */
+function getSnapshotKey({ query, category, country, includeInternational, lang }) {
+  const normalizedQuery = (query || '').trim().toLowerCase();
+  const language = getSnapshotLanguage(lang);
+  let key = normalizedQuery
+    ? `search:${normalizedQuery}|country:${(country || '').toUpperCase() || '*'}`
+    : `category:${(category || '').toLowerCase() || '*'}|country:${(country || '').toUpperCase() || '*'}`;
+  if (isInternationalSnapshot({ country, includeInternational })) key += '|international';
+  return language ? `${key}|lang:${language}` : key;
+}
+
+function toArchivedGroup(group) {
+  return {
+    groupId: group.groupId,
+    storyId: group.storyId,
+    groupTitle: group.groupTitle,
+    summary: group.aiSummary || group.summary || '',
+    sourceCount: group.sourceCount,
+    sources: group.sources,
+    entities: group.entities,
+    articleIds: (group.articles || []).map(getArticleKey).filter(Boolean)
+  };
+}
+
+/**
+ * Deletes day directories older than ARCHIVE_RETENTION_DAYS
+ */
+async function applyRetention() {
+  if (!ARCHIVE_RETENTION_DAYS) return;
+  const cutoff = getDay(new Date(Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const days = await listArchiveDates();
+  for (const day of days.filter(d => d < cutoff)) {
+    await fs.promises.rm(getDayDir(day), { recursive: true, force: true });
+    console.log(`[Archive] Removed ${day} (older than ${ARCHIVE_RETENTION_DAYS} days)`);
+  }
+}
+
+/**
+ * Archives one pipeline result: new articles plus a snapshot of its groups.
+ * Never throws - archiving must not break the request that produced the result.
+ *
+ * @param {Object} newsQuery - { query, category, country, includeInternational, lang }
+ * @param {Object} result - { summarizedGroups, articlesWithSource, warnings }
+ * @returns {Promise<void>} Resolves once the records are written
+ */
+function archiveAggregateResult(newsQuery, result) {
+  if (!ARCHIVE_ENABLED || !result || result.articlesWithSource.length === 0) {
+    return Promise.resolve();
+  }
+
+  const archivedAt = new Date();
+  const day = getDay(archivedAt);
+  const key = getSnapshotKey(newsQuery);
+  const groups = result.summarizedGroups.map(toArchivedGroup);
+
+  // Skip snapshots identical to the previous one for this key (e.g. cache refreshes with no news)
+  const fingerprint = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(groups.map(g => [g.groupTitle, g.articleIds])))
+    .digest('hex');
+  if (lastFingerprints.get(`${day}|${key}`) === fingerprint) {
+    return Promise.resolve();
+  }
+  lastFingerprints.set(`${day}|${key}`, fingerprint);
+
+  const snapshot = {
+    id: `${archivedAt.getTime().toString(36)}-${fingerprint.slice(0, 6)}`,
+    archivedAt: archivedAt.toISOString(),
+    key,
+    query: newsQuery.query || '',
+    category: newsQuery.category || '',
+    country: (newsQuery.country || '').toUpperCase(),
+    ...(isInternationalSnapshot(newsQuery) && { includeInternational: true }),
+    lang: getSnapshotLanguage(newsQuery.lang),
+    articleCount: result.articlesWithSource.length,
+    groups,
+    warnings: result.warnings || []
+  };
+
+  writeQueue = writeQueue
+    .then(async () => {
+      const dayDir = getDayDir(day);
+      await fs.promises.mkdir(dayDir, { recursive: true });
+
+      const archivedIds = await getArchivedIds(day);
+      const newArticles = result.articlesWithSource
+        .filter(article => getArticleKey(article) && !archivedIds.has(getArticleKey(article)))
+        .map(article => ({ ...article, id: getArticleKey(article), archivedAt: snapshot.archivedAt }));
+      if (newArticles.length > 0) {
+        const lines = newArticles.map(article => JSON.stringify(article));
+        await fs.promises.appendFile(path.join(dayDir, 'articles.jsonl'), lines.join('\n') + '\n');
+        newArticles.forEach(article => archivedIds.add(article.id));
+      }
+
+      await fs.promises.appendFile(path.join(dayDir, 'snapshots.jsonl'), JSON.stringify(snapshot) + '\n');
+      console.log(`[Archive] ${key}: snapshot ${snapshot.id} (${groups.length} groups, ${newArticles.length} new articles)`);
+
+      await applyRetention();
+    })
+    .catch(error => console.error('[Archive] Failed to archive result:', error.message));
+
+  return writeQueue;
+}
+
+/**
+ * Days that have archived data, newest first
+ * @returns {Promise<Array<string>>}
+ */
+async function listArchiveDates() {
+  try {
+    const entries = await fs.promises.readdir(ARCHIVE_DIR, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && DATE_PATTERN.test(entry.name))
+      .map(entry => entry.name)
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Archived articles, newest day first (used to rebuild the search index)
+ * @param {number} [limit] - Stop after this many articles
+ * @returns {Promise<Array<NormalizedArticle>>}
+ */
+async function loadArchivedArticles(limit = Infinity) {
+  const articles = [];
+  for (const day of await listArchiveDates()) {
+    const dayArticles = await readJsonLines(path.join(getDayDir(day), 'articles.jsonl'));
+    for (let i = dayArticles.length - 1; i >= 0 && articles.length < limit; i--) {
+      articles.push(dayArticles[i]);
+    }
+    if (articles.length >= limit) break;
+  }
+  return articles;
+}
+
+function matchesFilters(snapshot, { query, category, country, includeInternational, lang }) {
+  if ((snapshot.lang || '') !== lang) return false;
+  if (!!snapshot.includeInternational !== includeInternational) return false;
+  if (query) {
+    return snapshot.query.toLowerCase() === query.trim().toLowerCase() &&
+      (country === undefined || snapshot.country === country);
+  }
+  if (snapshot.query) return false;
+  if (category && snapshot.category !== category) return false;
+  if (country !== undefined && snapshot.country !== country) return false;
+  return true;
+}
+
+/**
+ * Snapshots archived on a day, optionally narrowed to one page, plus one
+ * selected snapshot with its groups' articles joined back in.
+ *
+ * @param {Object} params
+ * @param {string} params.date - UTC day (YYYY-MM-DD)
+ * @param {string} [params.category] - Category id (e.g. 'business')
+ * @param {string} [params.country] - Country code; 'none' means no country filter was used
+ * @param {boolean} [params.includeInternational] - Snapshots of the country page with international news
+ * @param {string} [params.query] - Search query instead of a category
+ * @param {string} [params.lang] - Language selection the page was shown with (defaults to DEFAULT_NEWS_LANGUAGES)
+ * @param {string} [params.snapshotId] - Snapshot to return (defaults to the last one)
+ * @param {string} [params.at] - Return the last snapshot at or before this time (HH:MM UTC or ISO)
+ * @returns {Promise<{snapshots: Array<Object>, snapshot: Object|null}>}
+ */
+async function getArchive({ date, category, country, includeInternational, query, lang, snapshotId, at }) {
+  if (!DATE_PATTERN.test(date || '')) {
+    throw new Error('date must be formatted as YYYY-MM-DD');
+  }
+
+  const filters = {
+    query: (query || '').trim(),
+    category: (category || '').trim().toLowerCase(),
+    country: country === undefined || country === ''
+      ? undefined
+      : country.toLowerCase() === 'none' ? '' : country.toUpperCase(),
+    includeInternational: !!includeInternational,
+    lang: getSnapshotLanguage(lang)
+  };
+
+  const dayDir = getDayDir(date);
+  const snapshots = (await readJsonLines(path.join(dayDir, 'snapshots.jsonl')))
+    .filter(snapshot => matchesFilters(snapshot, filters))
+    .sort((a, b) => a.archivedAt.localeCompare(b.archivedAt));
+
+  const summaries = snapshots.map(snapshot => ({
+    id: snapshot.id,
+    archivedAt: snapshot.archivedAt,
+    query: snapshot.query,
+    category: snapshot.category,
+    country: snapshot.country,
+    ...(snapshot.includeInternational && { includeInternational: true }),
+    lang: snapshot.lang || undefined,
+    groupCount: snapshot.groups.length,
+    articleCount: snapshot.articleCount
+  }));
+
+  let selected = null;
+  if (snapshotId) {
+    selected = snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+  } else if (at) {
+    const atTime = /^\d{2}:\d{2}$/.test(at) ? `${date}T${at}:00.000Z` : new Date(at).toISOString();
+    selected = snapshots.filter(snapshot => snapshot.archivedAt <= atTime).pop() || null;
+  } else {
+    selected = snapshots[snapshots.length - 1] || null;
+  }
+
+  if (!selected) {
+    return { snapshots: summaries, snapshot: null };
+  }
+
+  const wantedIds = new Set(selected.groups.flatMap(group => group.articleIds));
+  const articlesById = new Map();
+  (await readJsonLines(path.join(dayDir, 'articles.jsonl'))).forEach(article => {
+    if (wantedIds.has(article.id)) articlesById.set(article.id, article);
+  });
+
+  const { groups, ...meta } = selected;
+  return {
+    snapshots: summaries,
+    snapshot: {
+      ...meta,
+      groupedArticles: groups.map(({ articleIds, ...group }) => ({
+        ...group,
+        aiSummary: group.summary,
+        articles: articleIds.map(id => articlesById.get(id)).filter(Boolean)
+      }))
+    }
+  };
+}
+
+module.exports = {
+  archiveAggregateResult,
+  listArchiveDates,
+  loadArchivedArticles,
+  getArchive
+};
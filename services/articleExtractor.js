@@ -0,0 +1,569 @@
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { decodeEntities, stripHtml } = require('./htmlText');
+const { canonicalizeUrl, getUrlKey } = require('./urlCanonicalizer');
+const {
+  EXTRACTION_ENABLED,
+  EXTRACTION_TIMEOUT_MS,
+  EXTRACTION_MAX_BYTES,
+  EXTRACTION_MAX_PER_RUN,
+  EXTRACTION_RUN_BUDGET_MS,
+  EXTRACTION_RESPECT_ROBOTS
+} = require('../config/extraction');
+
+/**
+ * Downloads publisher pages and pulls out the main article text
+ * (readability-style: boilerplate containers are dropped and the element
+ * holding the most paragraph text wins).
+ */
+
+const USER_AGENT_TOKEN = 'MultiNewsSynthesizer';
+const USER_AGENT = `${USER_AGENT_TOKEN}/1.0 (+article summarizer)`;
+
+// Articles with at least this much body text already don't need extraction
+const MIN_EXISTING_CONTENT_CHARS = 600;
+// Extracted text shorter than this is probably not an article body
+const MIN_EXTRACTED_CHARS = 300;
+const MAX_EXTRACTED_CHARS = 20000;
+const MIN_PARAGRAPH_CHARS = 25;
+const CONCURRENCY = 4;
+
+const MAX_REDIRECTS = 5;
+
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_RESULTS = 2000;
+
+// Elements that never hold article text
+const SKIP_BLOCKS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select', 'figcaption'];
+const BOILERPLATE_TAGS = new Set(['nav', 'header', 'footer', 'aside']);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const NEGATIVE_PATTERN = /comment|share|social|related|recommend|promo|sidebar|newsletter|signup|advert|\bads?\b|ad-slot|sponsor|cookie|consent|subscribe|footer|masthead|\bnav|menu|breadcrumb|byline|caption|popup|modal|outbrain|taboola/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text/i;
+const BOILERPLATE_TEXT_PATTERN = /^(advertisement|read more|sign up|subscribe|follow us|share this|all rights reserved|copyright ©?)\b|cookies? (policy|settings)/i;
+
+const PAYWALL_MARKUP_PATTERN = /class="[^"]*(paywall|regwall|subscriber-only|premium-content|piano-|tp-container|metered)[^"]*"|id="[^"]*(paywall|regwall)[^"]*"/i;
+const PAYWALL_TEXT_PATTERN = /subscribe (now )?to (continue|keep) reading|this (article|story|content) is (only )?(available )?(for|to) (paying )?subscribers|already a subscriber\?|create a free account to (continue|keep) reading/i;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges - publisher pages never live there, internal services do
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const robotsCache = new Map(); // origin -> { rules, fetchedAt }
+const resultCache = new Map(); // url -> { result, storedAt }
+
+// ==========================
+// HTML parsing
+// ==========================
+
+function parseAttributes(attrText) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(attrText || '')) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attrs;
+}
+
+function getMetaContent(html, names) {
+  const pattern = /<meta\b([^>]*)>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const attrs = parseAttributes(match[1]);
+    const name = (attrs.property || attrs.name || '').toLowerCase();
+    if (names.includes(name) && attrs.content) {
+      return decodeEntities(attrs.content).trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * The page's own canonical URL (<link rel=canonical>, else og:url), resolved
+ * against the page URL. Only same-site canonicals are trusted; cross-site ones
+ * point at syndicated originals and homepage canonicals are a common CMS bug.
+ */
+function getCanonicalLink(html, pageUrl) {
+  let href = '';
+  const pattern = /<link\b([^>]*)>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const attrs = parseAttributes(match[1]);
+    if ((attrs.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attrs.href) {
+      href = decodeEntities(attrs.href).trim();
+      break;
+    }
+  }
+  href = href || getMetaContent(html, ['og:url']);
+  if (!href || !/^https?:\/\//i.test(pageUrl || '')) return '';
+
+  try {
+    const canonical = new URL(href, pageUrl);
+    const page = new URL(pageUrl);
+    const siteOf = url => getUrlKey(`${url.protocol}//${url.host}`);
+    if (!/^https?:$/.test(canonical.protocol) || siteOf(canonical) !== siteOf(page)) return '';
+    if (canonical.pathname === '/' && page.pathname !== '/') return '';
+    return canonical.toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * True when the page says it is not free to read (schema.org
+ * isAccessibleForFree=false, paywall containers or "subscribe to continue" copy)
+ */
+function detectPaywall(html) {
+  const declared = /"isAccessibleForFree"\s*:\s*(false|"false")/i.test(html);
+  const marked = PAYWALL_MARKUP_PATTERN.test(html) || PAYWALL_TEXT_PATTERN.test(stripHtml(html));
+  return { declared, marked };
+}
+
+/**
+ * Tokenizes the body into paragraphs that remember their ancestor elements
+ */
+function collectParagraphs(html) {
+  const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  let body = bodyMatch ? bodyMatch[1] : html;
+  body = body.replace(/<!--[\s\S]*?-->/g, '');
+  SKIP_BLOCKS.forEach(tag => {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  });
+
+  const elements = []; // index -> { tag, boilerplate }
+  const stack = [];
+  const paragraphs = [];
+  let current = null;
+
+  const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(body)) !== null) {
+    const [, closing, rawTag, attrText, selfClosing, text] = match;
+
+    if (text !== undefined) {
+      if (current) current.parts.push(text);
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      if (current && (tag === 'p' || tag === 'pre' || tag === 'blockquote') && current.tag === tag) {
+        paragraphs.push(current);
+        current = null;
+      }
+      // Tolerate unclosed children: pop back to the matching element
+      const openIndex = stack.map(id => elements[id].tag).lastIndexOf(tag);
+      if (openIndex >= 0) stack.length = openIndex;
+      continue;
+    }
+
+    if (tag === 'br' && current) {
+      current.parts.push(' ');
+    }
+    if (VOID_TAGS.has(tag) || selfClosing) continue;
+
+    const attrs = parseAttributes(attrText);
+    const classAndId = `${attrs.class || ''} ${attrs.id || ''}`;
+    const parentBoilerplate = stack.length > 0 && elements[stack[stack.length - 1]].boilerplate;
+    const boilerplate = parentBoilerplate ||
+      BOILERPLATE_TAGS.has(tag) ||
+      (NEGATIVE_PATTERN.test(classAndId) && !POSITIVE_PATTERN.test(classAndId));
+
+    const id = elements.length;
+    elements.push({ tag, boilerplate });
+    stack.push(id);
+
+    // <p> inside an unclosed <p> starts a new paragraph
+    if (tag === 'p' || tag === 'pre' || (tag === 'blockquote' && !current)) {
+      if (current) paragraphs.push(current);
+      current = { tag, parts: [], ancestors: stack.slice(0, -1), boilerplate };
+    }
+  }
+  if (current) paragraphs.push(current);
+
+  return paragraphs
+    .map(p => ({ ...p, text: decodeEntities(p.parts.join('')).replace(/\s+/g, ' ').trim() }))
+    .filter(p => p.text && !p.boilerplate && !BOILERPLATE_TEXT_PATTERN.test(p.text));
+}
+
+/**
+ * Extracts the main article text from an HTML document
+ *
+ * @param {string} html - Raw page HTML
+ * @param {string} [pageUrl] - URL the page was downloaded from (resolves its canonical link)
+ * @returns {{status: 'ok'|'paywall'|'too-short', text: string, title: string, canonicalUrl: string, paywallSuspected: boolean}}
+ */
+function extractFromHtml(html, pageUrl) {
+  const canonicalUrl = getCanonicalLink(html, pageUrl);
+  const title = getMetaContent(html, ['og:title', 'twitter:title']) ||
+    stripHtml((html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+  const paywall = detectPaywall(html);
+
+  const paragraphs = collectParagraphs(html).filter(p => p.text.length >= MIN_PARAGRAPH_CHARS);
+
+  // Score containers: each paragraph credits its parent fully and its grandparent half
+  const scores = new Map();
+  paragraphs.forEach(p => {
+    const score = 1 + (p.text.match(/,/g) || []).length + Math.min(3, Math.floor(p.text.length / 100));
+    const parent = p.ancestors[p.ancestors.length - 1];
+    const grandparent = p.ancestors[p.ancestors.length - 2];
+    if (parent !== undefined) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent !== undefined) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  scores.forEach((score, id) => {
+    if (best === null || score > scores.get(best)) best = id;
+  });
+
+  const bodyParagraphs = best === null
+    ? paragraphs
+    : paragraphs.filter(p => p.ancestors.includes(best));
+  const text = bodyParagraphs.map(p => p.text).join('\n\n').slice(0, MAX_EXTRACTED_CHARS);
+
+  if (paywall.declared || (paywall.marked && text.length < 800)) {
+    return { status: 'paywall', text: '', title, canonicalUrl, paywallSuspected: true };
+  }
+  if (text.length < MIN_EXTRACTED_CHARS) {
+    return { status: 'too-short', text: '', title, canonicalUrl, paywallSuspected: paywall.marked };
+  }
+  return { status: 'ok', text, title, canonicalUrl, paywallSuspected: paywall.marked };
+}
+
+// ==========================
+// robots.txt
+// ==========================
+
+/**
+ * Parses robots.txt into the Allow/Disallow rules that apply to us
+ * (our own user-agent group if present, otherwise the * group)
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (group && (field === 'allow' || field === 'disallow')) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  const token = USER_AGENT_TOKEN.toLowerCase();
+  const ours = groups.filter(g => g.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules).filter(rule => rule.path !== '' || rule.allow);
+}
+
+function robotsPathMatches(rulePath, urlPath) {
+  const pattern = rulePath
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\\\$$/, '$');
+  return new RegExp(`^${pattern}`).test(urlPath);
+}
+
+/**
+ * Longest matching rule wins; Allow wins ties; no match means allowed
+ */
+function isAllowedByRobots(rules, urlPath) {
+  let best = null;
+  rules.forEach(rule => {
+    if (!robotsPathMatches(rule.path, urlPath)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+async function getRobotsRules(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) {
+    return cached.rules;
+  }
+
+  let rules;
+  try {
+    const response = await getFollowingRedirects(`${origin}/robots.txt`, { maxContentLength: 512 * 1024 });
+    if (response.status >= 500) {
+      // Server trouble: assume everything is disallowed for now
+      rules = [{ allow: false, path: '/' }];
+    } else if (response.status >= 400) {
+      // No robots.txt: everything is allowed
+      rules = [];
+    } else if (response.blocked) {
+      rules = [{ allow: false, path: '/' }];
+    } else {
+      rules = parseRobots(String(response.data || ''));
+    }
+  } catch (error) {
+    // The page itself would be refused too - report that instead
+    if (error.code === 'EPRIVATEHOST') throw error;
+    rules = [{ allow: false, path: '/' }];
+  }
+
+  robotsCache.set(origin, { rules, fetchedAt: Date.now() });
+  return rules;
+}
+
+// ==========================
+// Fetching
+// ==========================
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for downloads that refuses private and loopback addresses, so a
+ * provider URL can't make the server fetch internal services. Checked at
+ * connect time, so a hostname can't resolve differently after a check.
+ */
+async function publicOnlyLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    const error = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+    error.code = 'EPRIVATEHOST';
+    throw error;
+  }
+  return addresses;
+}
+
+/**
+ * Only public http(s) URLs are downloaded
+ * @returns {string|null} Status explaining why the URL is refused, or null
+ */
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'unsupported-url';
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return 'unsupported-url';
+  // IP literals skip DNS, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) return 'private-host';
+  return null;
+}
+
+/**
+ * GET that follows up to MAX_REDIRECTS redirects itself, checking every hop's
+ * URL and host (and, through beforeHop, anything else such as robots.txt)
+ *
+ * @param {string} url
+ * @param {Object} [options] - Extra axios options
+ * @param {function(URL): Promise<string|null>} [beforeHop] - Returns a status to stop at this hop
+ * @returns {Promise<Object>} The axios response, or { blocked: status } when a hop was refused
+ */
+async function getFollowingRedirects(url, options = {}, beforeHop = null) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const refused = checkUrl(current) || (beforeHop && await beforeHop(new URL(current)));
+    if (refused) return { blocked: refused };
+
+    const response = await axios.get(current, {
+      timeout: EXTRACTION_TIMEOUT_MS,
+      responseType: 'text',
+      maxRedirects: 0,
+      lookup: publicOnlyLookup,
+      validateStatus: () => true,
+      ...options,
+      headers: { 'User-Agent': USER_AGENT, ...(options.headers || {}) }
+    });
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    current = new URL(location, current).toString();
+  }
+  return { blocked: 'too-many-redirects' };
+}
+
+/**
+ * Downloads a page over HTTP(S), re-checking robots.txt on every redirect
+ */
+async function loadHtml(url) {
+  const checkRobots = async parsed => {
+    if (!EXTRACTION_RESPECT_ROBOTS) return null;
+    const rules = await getRobotsRules(parsed.origin);
+    return isAllowedByRobots(rules, `${parsed.pathname}${parsed.search}`) ? null : 'robots-disallowed';
+  };
+
+  const response = await getFollowingRedirects(url, {
+    maxContentLength: EXTRACTION_MAX_BYTES,
+    headers: { Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+  }, checkRobots);
+
+  if (response.blocked) return { status: response.blocked };
+  if (response.status >= 400) return { status: 'error', error: `HTTP ${response.status}` };
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !/html|xml/i.test(contentType)) {
+    return { status: 'not-html' };
+  }
+  return { html: typeof response.data === 'string' ? response.data : String(response.data || '') };
+}
+
+/**
+ * Extracts the article text of a page saved on disk (fixtures and manual
+ * testing only - extractArticle never reads local files)
+ *
+ * @param {string} filePath
+ * @param {string} [pageUrl] - URL the page stands in for (resolves its canonical link)
+ * @returns {Promise<Object>} Same shape as extractFromHtml
+ */
+async function extractFromFile(filePath, pageUrl) {
+  return extractFromHtml(await fs.promises.readFile(filePath, 'utf8'), pageUrl);
+}
+
+/**
+ * Downloads a page and extracts its article text. Never throws.
+ * Only public http(s) URLs are fetched; anything else is 'unsupported-url'
+ * or 'private-host'.
+ *
+ * @param {string} url - Article URL
+ * @returns {Promise<{status: string, text: string, title?: string, canonicalUrl?: string, paywallSuspected?: boolean, error?: string}>}
+ */
+async function extractArticle(url) {
+  const cached = resultCache.get(url);
+  if (cached && Date.now() - cached.storedAt < RESULT_TTL_MS) {
+    return cached.result;
+  }
+
+  let result;
+  try {
+    const loaded = await loadHtml(url);
+    result = loaded.html !== undefined
+      ? extractFromHtml(loaded.html, url)
+      : { status: loaded.status, text: '', ...(loaded.error && { error: loaded.error }) };
+  } catch (error) {
+    const tooLarge = /maxContentLength/i.test(error.message);
+    const status = tooLarge ? 'too-large' : error.code === 'EPRIVATEHOST' ? 'private-host' : 'error';
+    result = { status, text: '', error: error.message };
+  }
+
+  resultCache.set(url, { result, storedAt: Date.now() });
+  while (resultCache.size > MAX_CACHED_RESULTS) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+  return result;
+}
+
+/**
+ * Canonical URL declared by a page that was already downloaded (no network access)
+ *
+ * @param {string} url - Article URL as a provider reported it
+ * @returns {string} The page's <link rel=canonical>, or '' when unknown
+ */
+function getKnownCanonicalUrl(url) {
+  // Pages are usually downloaded under their already-cleaned URL
+  const cached = resultCache.get(url) || resultCache.get(canonicalizeUrl(url));
+  if (!cached || Date.now() - cached.storedAt >= RESULT_TTL_MS) return '';
+  return cached.result.canonicalUrl || '';
+}
+
+/**
+ * Fills in `content` for articles that only carry a short description.
+ * Articles are updated in place (contentSource: 'extracted'); downloads run a
+ * few at a time and stop at EXTRACTION_MAX_PER_RUN pages or EXTRACTION_RUN_BUDGET_MS.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Promise<{attempted: number, extracted: number, statuses: Object}>}
+ */
+async function enrichArticlesWithFullText(articles) {
+  const stats = { attempted: 0, extracted: 0, statuses: {} };
+  if (!EXTRACTION_ENABLED) return stats;
+
+  const seen = new Set();
+  const candidates = (articles || []).filter(article => {
+    if (!article || !article.url || seen.has(article.url)) return false;
+    seen.add(article.url);
+    return (article.content || '').length < MIN_EXISTING_CONTENT_CHARS;
+  }).slice(0, EXTRACTION_MAX_PER_RUN);
+
+  const deadline = Date.now() + EXTRACTION_RUN_BUDGET_MS;
+  const byUrl = new Map();
+  (articles || []).forEach(article => {
+    if (!article || !article.url) return;
+    if (!byUrl.has(article.url)) byUrl.set(article.url, []);
+    byUrl.get(article.url).push(article);
+  });
+
+  let next = 0;
+  async function worker() {
+    while (next < candidates.length && Date.now() < deadline) {
+      const article = candidates[next++];
+      stats.attempted++;
+      const result = await extractArticle(article.url);
+      stats.statuses[result.status] = (stats.statuses[result.status] || 0) + 1;
+      if (result.canonicalUrl) {
+        byUrl.get(article.url).forEach(copy => {
+          copy.canonicalUrl = result.canonicalUrl;
+        });
+      }
+
+      if (result.status === 'ok' && result.text.length > (article.content || '').length) {
+        stats.extracted++;
+        byUrl.get(article.url).forEach(copy => {
+          copy.content = result.text;
+          copy.contentSource = 'extracted';
+        });
+      } else if (result.status === 'paywall') {
+        byUrl.get(article.url).forEach(copy => {
+          copy.paywalled = true;
+        });
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, candidates.length) }, worker));
+
+  if (stats.attempted > 0) {
+    console.log(`[Extractor] Extracted full text for ${stats.extracted}/${stats.attempted} articles`, stats.statuses);
+  }
+  return stats;
+}
+
+module.exports = {
+  extractFromHtml,
+  extractFromFile,
+  extractArticle,
+  getKnownCanonicalUrl,
+  enrichArticlesWithFullText,
+  parseRobots,
+  isAllowedByRobots
+};
@@ -1,8 +1,22 @@
 /**
  * Groups similar articles across sources that cover the same story
- * Uses text similarity, publish time, and URL patterns
+ * Uses text similarity, named entities, publish time, and URL patterns
+ * Articles in other languages are compared through their English gist
+ * (article.gist, set by services/translation.js before grouping)
  */
 
+const { buildTfidfModel, cosineSimilarity } = require("./textSimilarity");
+const { buildEntityModel, entitySimilarity } = require("./entityExtractor");
+const { getPublisherKey } = require("./publisherRegistry");
+const { getStopwords, foldText } = require("./languageRegistry");
+const {
+  SIMILARITY_MODES,
+  GROUPING_SIMILARITY_MODE,
+  GROUPING_MODE_SETTINGS,
+  GROUPING_BLOCKING,
+  GROUPING_ENTITIES,
+} = require("../config/grouping");
+
 /**
  * @typedef {Object} ArticleGroup
  * @property {string} groupId - Unique group identifier
@@ -11,12 +25,13 @@
 
 /**
  * Normalizes text for comparison (lowercase, remove punctuation, trim)
+ * Letters of every script are kept, so non-English text doesn't vanish
  */
 function normalizeText(text) {
   if (!text) return "";
   return text
     .toLowerCase()
-    .replace(/[^\w\s]/g, " ") // Remove punctuation
+    .replace(/[^\p{L}\p{N}\s]/gu, " ") // Remove punctuation
     .replace(/\s+/g, " ") // Normalize whitespace
     .trim();
 }
@@ -24,8 +39,11 @@ function normalizeText(text) {
 /**
  * Extracts key terms from text (simple word extraction)
  * Improved to capture more relevant terms for better cross-source matching
+ * @param {string} text
+ * @param {number} [maxTerms]
+ * @param {string} [language] - Also leaves out this language's stopwords (config/languages.json)
  */
-function extractKeyTerms(text, maxTerms = 30) {
+function extractKeyTerms(text, maxTerms = 30, language = "") {
   if (!text || text.trim().length === 0) return [];
 
   const normalized = normalizeText(text);
@@ -86,8 +104,11 @@ function extractKeyTerms(text, maxTerms = 30) {
     "news",
   ]);
 
+  const languageStopWords = (language && language !== "en" && getStopwords(language)) || null;
+
   const words = normalized.split(/\s+/).filter((word) => {
-    return word.length > 2 && !stopWords.has(word); // Reduced min length to 2 for better matching
+    return word.length > 2 && !stopWords.has(word) && // Reduced min length to 2 for better matching
+      !(languageStopWords && languageStopWords.has(foldText(word)));
   });
 
   const wordCounts = {};
@@ -118,12 +139,25 @@ function jaccardSimilarity(set1, set2) {
   return intersection.size / union.size;
 }
 
+/**
+ * The article as an English one when it has a gist (services/translation.js)
+ */
+function inEnglish(article) {
+  return article.gist
+    ? { ...article, title: article.gist.title, description: article.gist.description, language: "en" }
+    : article;
+}
+
 /**
  * Calculates text similarity between two articles
  * Combines title, description similarity and publish time proximity
  * Improved to better match articles from different sources about the same story
  */
-function calculateSimilarity(article1, article2) {
+function calculateSimilarity(original1, original2) {
+  // Translated articles are compared through their English gist
+  const article1 = inEnglish(original1);
+  const article2 = inEnglish(original2);
+
   // Extract key terms from title and description
   // Use both title and description for better matching
   const text1 = `${article1.title || ""} ${article1.description || ""}`.trim();
@@ -133,8 +167,8 @@ function calculateSimilarity(article1, article2) {
     return 0; // Can't compare if either is empty
   }
 
-  const terms1 = new Set(extractKeyTerms(text1, 40)); // Increased term count for better matching
-  const terms2 = new Set(extractKeyTerms(text2, 40));
+  const terms1 = new Set(extractKeyTerms(text1, 40, article1.language)); // Increased term count for better matching
+  const terms2 = new Set(extractKeyTerms(text2, 40, article2.language));
 
   // Calculate Jaccard similarity
   let textSimilarity = jaccardSimilarity(terms1, terms2);
@@ -144,8 +178,8 @@ function calculateSimilarity(article1, article2) {
   if (article1.title && article2.title) {
     const title1 = normalizeText(article1.title);
     const title2 = normalizeText(article2.title);
-    const titleTerms1 = new Set(extractKeyTerms(title1, 20));
-    const titleTerms2 = new Set(extractKeyTerms(title2, 20));
+    const titleTerms1 = new Set(extractKeyTerms(title1, 20, article1.language));
+    const titleTerms2 = new Set(extractKeyTerms(title2, 20, article2.language));
     const titleSimilarity = jaccardSimilarity(titleTerms1, titleTerms2);
 
     // CRITICAL: Title similarity is the PRIMARY signal for grouping
@@ -208,21 +242,159 @@ function calculateSimilarity(article1, article2) {
   return Math.min(1, combinedScore);
 }
 
+/**
+ * Publish-time proximity: 1 within a week, 1/3 within two weeks, else 0
+ */
+function getTimeProximity(article1, article2) {
+  const date1 = Date.parse(article1.publishedAt);
+  const date2 = Date.parse(article2.publishedAt);
+  if (!date1 || !date2) return 0;
+
+  const daysDiff = Math.abs(date1 - date2) / (1000 * 60 * 60 * 24);
+  if (daysDiff <= 7) return 1;
+  if (daysDiff <= 14) return 1 / 3;
+  return 0;
+}
+
+/**
+ * Entity model for a batch, or null when entity scoring is disabled
+ */
+function createEntityModel(articles) {
+  if (!GROUPING_ENTITIES.enabled) return null;
+  return buildEntityModel(articles, {
+    places: GROUPING_ENTITIES.placeWeight,
+    affiliation: GROUPING_ENTITIES.affiliationWeight,
+  });
+}
+
+/**
+ * Returns the pairwise similarity function for a batch of articles
+ * - tfidf: cosine similarity of TF-IDF vectors built once over the batch,
+ *   blended with publish-time proximity
+ * - legacy: calculateSimilarity (Jaccard over key terms with title boosts)
+ *
+ * In both modes shared named entities then move the score toward 1 by up to
+ * GROUPING_ENTITIES.weight of the remaining distance, so entities can lift
+ * a pair over the threshold but never lower a text match.
+ *
+ * @param {Array<NormalizedArticle>} articles - The batch being grouped
+ * @param {string} [mode] - 'tfidf' or 'legacy' (defaults to GROUPING_SIMILARITY_MODE)
+ * @param {Object} [model] - Prebuilt buildTfidfModel() result for the same batch
+ * @param {Object|null} [entityModel] - Prebuilt buildEntityModel() result (null disables entities)
+ * @returns {function(NormalizedArticle, NormalizedArticle): number} Score in 0-1
+ */
+function createSimilarityScorer(
+  articles,
+  mode = GROUPING_SIMILARITY_MODE,
+  model = null,
+  entityModel = createEntityModel(articles)
+) {
+  let textScorer = calculateSimilarity;
+  if (mode !== "legacy") {
+    const { titleWeight, timeWeight } = GROUPING_MODE_SETTINGS.tfidf;
+    const { vectors } = model || buildTfidfModel(articles, { titleWeight });
+    textScorer = (article1, article2) => {
+      const textSimilarity = cosineSimilarity(vectors.get(article1), vectors.get(article2));
+      return textSimilarity * (1 - timeWeight) + getTimeProximity(article1, article2) * timeWeight;
+    };
+  }
+  if (!entityModel) return textScorer;
+
+  return (article1, article2) => {
+    const textSimilarity = textScorer(article1, article2);
+    const entityScore = entitySimilarity(entityModel, article1, article2);
+    return textSimilarity + (1 - textSimilarity) * entityScore * GROUPING_ENTITIES.weight;
+  };
+}
+
+/**
+ * Candidate blocking: only articles that share one of their highest-weighted
+ * TF-IDF terms, or a named entity, are ever compared. Keys that appear in a
+ * large share of the batch are skipped because they can't make two articles
+ * similar on their own.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {Object} model - buildTfidfModel() result for the same articles
+ * @param {Object|null} [entityModel] - buildEntityModel() result for the same articles
+ * @returns {Array<Array<number>>} For each article index, the indexes of its candidates (ascending)
+ */
+function buildCandidateLists(articles, model, entityModel = null) {
+  const { blockingTerms, blockingMaxShare } = GROUPING_BLOCKING;
+  const maxPostingSize = Math.max(50, Math.ceil(articles.length * blockingMaxShare));
+
+  const keysByArticle = articles.map((article) => {
+    const vector = model.vectors.get(article) || new Map();
+    const terms = [...vector.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, blockingTerms)
+      .map(([term]) => term);
+    // Entity keys are prefixed so "apple" the company never matches the stem "appl"
+    const entities = entityModel ? entityModel.vectors.get(article) : null;
+    return entities ? [...terms, ...[...entities.keys()].map((key) => `entity:${key}`)] : terms;
+  });
+
+  const postings = new Map();
+  keysByArticle.forEach((keys, index) => {
+    keys.forEach((term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(index);
+    });
+  });
+
+  return keysByArticle.map((keys, index) => {
+    const candidates = new Set();
+    keys.forEach((term) => {
+      const posting = postings.get(term);
+      if (posting.length > maxPostingSize) return;
+      posting.forEach((other) => {
+        if (other !== index) candidates.add(other);
+      });
+    });
+    return [...candidates].sort((a, b) => a - b);
+  });
+}
+
+/**
+ * Default grouping threshold for the scorer mode (search pages group more loosely)
+ *
+ * @param {boolean} isSearch
+ * @param {string} [mode]
+ * @returns {number}
+ */
+function getGroupingThreshold(isSearch, mode = GROUPING_SIMILARITY_MODE) {
+  const settings = GROUPING_MODE_SETTINGS[mode] || GROUPING_MODE_SETTINGS.tfidf;
+  return isSearch ? settings.search : settings.category;
+}
+
 /**
  * Groups similar articles together ACROSS ALL SOURCES
  *
+ * Term and entity vectors are built once per batch and articles are only compared with
+ * blocking candidates (see buildCandidateLists), so grouping stays close to
+ * linear in the number of articles.
+ *
  * @param {Array<NormalizedArticle>} articles - Array of normalized articles from ALL sources
  * @param {number} similarityThreshold - Minimum similarity to group (0-1), default 0.3
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Similarity scorer: 'tfidf' or 'legacy' (see config/grouping.js)
+ * @param {boolean} [options.blocking] - false compares every pair (slow; for benchmarks)
  * @returns {Array<ArticleGroup>}
  */
-function groupSimilarArticles(articles, similarityThreshold = 0.3) {
+function groupSimilarArticles(
+  articles,
+  similarityThreshold = 0.3,
+  { mode = GROUPING_SIMILARITY_MODE, blocking = GROUPING_BLOCKING.enabled } = {}
+) {
   if (!articles || articles.length === 0) {
     console.log("[ArticleGrouper] No articles provided");
     return [];
   }
 
+  const scorerMode = SIMILARITY_MODES.includes(mode) ? mode : GROUPING_SIMILARITY_MODE;
+  const { crossSourceBoost } = GROUPING_MODE_SETTINGS[scorerMode];
+
   console.log(
-    `[ArticleGrouper] Starting grouping with ${articles.length} articles, threshold: ${similarityThreshold}`
+    `[ArticleGrouper] Starting grouping with ${articles.length} articles, threshold: ${similarityThreshold}, scorer: ${scorerMode}`
   );
 
   // Log source distribution
@@ -233,70 +405,90 @@ function groupSimilarArticles(articles, similarityThreshold = 0.3) {
   });
   console.log("[ArticleGrouper] Source distribution:", sourceCounts);
 
-  const groups = [];
-  const used = new Set();
-
   // Sort articles by source (optional, but deterministic)
   const sortedArticles = [...articles].sort((a, b) => {
     const sourceA = (a.source || a.sourceName || "").toLowerCase();
     const sourceB = (b.source || b.sourceName || "").toLowerCase();
     return sourceA.localeCompare(sourceB);
   });
+  // "Source" below means the publishing outlet, not the provider it came through
+  const sourceKeys = sortedArticles.map(getPublisherKey);
+
+  // Vectors and candidate lists are computed once for the whole batch
+  const model = buildTfidfModel(sortedArticles, {
+    titleWeight: GROUPING_MODE_SETTINGS.tfidf.titleWeight,
+  });
+  const entityModel = createEntityModel(sortedArticles);
+  const similarityOf = createSimilarityScorer(sortedArticles, scorerMode, model, entityModel);
+  const allIndexes = sortedArticles.map((_, index) => index);
+  const candidateLists = blocking
+    ? buildCandidateLists(sortedArticles, model, entityModel)
+    : allIndexes.map((index) => allIndexes.filter((other) => other !== index));
+
+  const pairScores = new Map();
+  let comparisons = 0;
+  const scorePair = (i, j) => {
+    const key = i < j ? i * sortedArticles.length + j : j * sortedArticles.length + i;
+    let score = pairScores.get(key);
+    if (score === undefined) {
+      score = similarityOf(sortedArticles[i], sortedArticles[j]);
+      pairScores.set(key, score);
+      comparisons++;
+    }
+    return score;
+  };
 
   // Phase 1: assign articles to groups
-  for (let i = 0; i < sortedArticles.length; i++) {
-    if (used.has(i)) continue;
+  // groups[g] = { groupId, members: [article indexes], sources: Set }
+  const groups = [];
+  const groupOf = new Array(sortedArticles.length).fill(-1);
 
-    const article = sortedArticles[i];
-    const articleSource = (article.source || article.sourceName || "unknown").toLowerCase();
+  for (let i = 0; i < sortedArticles.length; i++) {
+    const articleSource = sourceKeys[i];
+
+    // Best similarity to each already-built group, over candidate members only
+    const groupSimilarity = new Map();
+    candidateLists[i].forEach((j) => {
+      const g = groupOf[j];
+      if (g < 0) return;
+      const similarity = scorePair(i, j);
+      if (similarity > (groupSimilarity.get(g) || 0)) groupSimilarity.set(g, similarity);
+    });
 
-    let bestGroup = null;
+    let bestGroup = -1;
     let bestSimilarity = 0;
     let bestGroupHasDifferentSource = false;
 
-    for (const group of groups) {
-      const groupSources = new Set(
-        group.articles.map((a) =>
-          (a.source || a.sourceName || "unknown").toLowerCase()
-        )
-      );
-      const hasDifferentSource = !groupSources.has(articleSource);
-
-      let maxSimilarity = 0;
-      for (const groupArticle of group.articles) {
-        const similarity = calculateSimilarity(article, groupArticle);
-        if (similarity > maxSimilarity) {
-          maxSimilarity = similarity;
-        }
-      }
+    [...groupSimilarity.keys()].sort((a, b) => a - b).forEach((g) => {
+      const maxSimilarity = groupSimilarity.get(g);
+      const hasDifferentSource = !groups[g].sources.has(articleSource);
 
       // Apply cross-source boost BEFORE threshold check to improve grouping
-      const effectiveSimilarity = hasDifferentSource ? maxSimilarity * 1.3 : maxSimilarity; // 30% boost for cross-source
-      
+      const effectiveSimilarity = hasDifferentSource ? maxSimilarity * crossSourceBoost : maxSimilarity;
+
       if (effectiveSimilarity >= similarityThreshold) {
         // STRONGLY prefer groups with different sources (cross-source grouping)
         if (hasDifferentSource) {
           if (effectiveSimilarity > bestSimilarity || !bestGroupHasDifferentSource) {
-            bestGroup = group;
+            bestGroup = g;
             bestSimilarity = effectiveSimilarity;
             bestGroupHasDifferentSource = true;
           }
         } else if (!bestGroupHasDifferentSource && maxSimilarity > bestSimilarity) {
           // Only consider same-source groups if no cross-source match found
-          bestGroup = group;
+          bestGroup = g;
           bestSimilarity = maxSimilarity;
         }
       }
-    }
+    });
 
-    if (bestGroup) {
-      bestGroup.articles.push(article);
-    } else {
-      const groupId = `group-${groups.length + 1}`;
-      groups.push({ groupId, articles: [article] });
+    if (bestGroup < 0) {
+      bestGroup = groups.length;
+      groups.push({ groupId: `group-${groups.length + 1}`, members: [], sources: new Set() });
     }
-
-    used.add(i);
+    groups[bestGroup].members.push(i);
+    groups[bestGroup].sources.add(articleSource);
+    groupOf[i] = bestGroup;
   }
 
   console.log(
@@ -304,6 +496,7 @@ function groupSimilarArticles(articles, similarityThreshold = 0.3) {
   );
 
   // Phase 2: merge groups that clearly refer to the same story
+  // Only group pairs linked by at least one candidate article pair are considered
   const mergedGroups = [];
   const merged = new Set();
   let mergeCount = 0;
@@ -313,70 +506,61 @@ function groupSimilarArticles(articles, similarityThreshold = 0.3) {
     if (merged.has(i)) continue;
 
     const currentGroup = groups[i];
-    const currentSources = new Set(
-      currentGroup.articles.map((a) =>
-        (a.source || a.sourceName || "unknown").toLowerCase()
-      )
-    );
+    const currentSources = new Set(currentGroup.sources);
     const mergedGroup = {
       groupId: currentGroup.groupId,
-      articles: [...currentGroup.articles],
+      articles: currentGroup.members.map((index) => sortedArticles[index]),
     };
 
-    for (let j = i + 1; j < groups.length; j++) {
-      if (merged.has(j)) continue;
+    // Best member-pair similarity to each later group
+    const linkedSimilarity = new Map();
+    currentGroup.members.forEach((a1) => {
+      candidateLists[a1].forEach((a2) => {
+        const j = groupOf[a2];
+        if (j <= i) return;
+        const similarity = scorePair(a1, a2);
+        if (similarity > (linkedSimilarity.get(j) || 0)) linkedSimilarity.set(j, similarity);
+      });
+    });
+
+    [...linkedSimilarity.keys()].sort((a, b) => a - b).forEach((j) => {
+      if (merged.has(j)) return;
       const otherGroup = groups[j];
-      const otherSources = new Set(
-        otherGroup.articles.map((a) =>
-          (a.source || a.sourceName || "unknown").toLowerCase()
-        )
-      );
 
       const hasDifferentSources = [...currentSources].every(
-        (s) => !otherSources.has(s)
+        (s) => !otherGroup.sources.has(s)
       );
+      if (!hasDifferentSources) return;
 
-      if (!hasDifferentSources) continue;
-
-      let maxSimilarity = 0;
-      for (const a1 of currentGroup.articles) {
-        for (const a2 of otherGroup.articles) {
-          const similarity = calculateSimilarity(a1, a2);
-          if (similarity > maxSimilarity) maxSimilarity = similarity;
-        }
-      }
-
+      const maxSimilarity = linkedSimilarity.get(j);
       if (maxSimilarity >= mergeThreshold) {
         console.log(
           `[ArticleGrouper] Merging groups ${i + 1} and ${j + 1}: similarity ${maxSimilarity.toFixed(
             3
           )} >= ${mergeThreshold.toFixed(3)}`
         );
-        mergedGroup.articles.push(...otherGroup.articles);
+        mergedGroup.articles.push(...otherGroup.members.map((index) => sortedArticles[index]));
         merged.add(j);
         mergeCount++;
 
-        otherGroup.articles.forEach((a) => {
-          const src = (a.source || a.sourceName || "unknown").toLowerCase();
-          currentSources.add(src);
-        });
+        otherGroup.sources.forEach((src) => currentSources.add(src));
       }
-    }
+    });
 
     mergedGroups.push(mergedGroup);
     merged.add(i);
   }
 
   console.log(
-    `[ArticleGrouper] Phase 2 complete: ${mergedGroups.length} merged groups (${mergeCount} merges performed)`
+    `[ArticleGrouper] Phase 2 complete: ${mergedGroups.length} merged groups (${mergeCount} merges performed, ${comparisons} comparisons${blocking ? "" : ", no blocking"})`
   );
 
-  // Deduplicate sources in each group (keep most recent per source)
+  // Deduplicate publishers in each group (keep most recent per publisher)
   const deduplicatedGroups = mergedGroups.map((group) => {
-    const sourceMap = new Map(); // source -> article
+    const sourceMap = new Map(); // publisher key -> article
 
     group.articles.forEach((article) => {
-      const source = article.source || article.sourceName || "unknown";
+      const source = getPublisherKey(article);
       const existing = sourceMap.get(source);
 
       if (!existing) {
@@ -406,20 +590,12 @@ function groupSimilarArticles(articles, similarityThreshold = 0.3) {
 
   // Separate multi-source and single-source groups
   const multiSourceGroupsFinal = deduplicatedGroups.filter((group) => {
-    const uniqueSources = new Set(
-      group.articles.map((a) =>
-        (a.source || a.sourceName || "unknown").toLowerCase().trim()
-      )
-    );
+    const uniqueSources = new Set(group.articles.map(getPublisherKey));
     return uniqueSources.size >= 2;
   });
 
   const singleSourceGroupsFinal = deduplicatedGroups.filter((group) => {
-    const uniqueSources = new Set(
-      group.articles.map((a) =>
-        (a.source || a.sourceName || "unknown").toLowerCase().trim()
-      )
-    );
+    const uniqueSources = new Set(group.articles.map(getPublisherKey));
     return uniqueSources.size < 2;
   });
 
@@ -450,6 +626,8 @@ function groupSimilarArticles(articles, similarityThreshold = 0.3) {
 
 module.exports = {
   groupSimilarArticles,
+  createSimilarityScorer,
+  getGroupingThreshold,
   calculateSimilarity,
   normalizeText,
   extractKeyTerms,
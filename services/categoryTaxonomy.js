@@ -0,0 +1,188 @@
+const fs = require('fs');
+const { CATEGORIES_FILE } = require('../config/categories');
+
+/**
+ * The category taxonomy, shared by every layer.
+ *
+ * config/categories.json is loaded once. GET /api/categories serves it to the
+ * nav pills and category pages, the provider clients translate a category id
+ * into their own category or section, and the response cache, country filter
+ * and RSS client fall back from a section to its parent category.
+ *
+ * Category ids are canonical ("sport", "culture"); aliases ("sports",
+ * "entertainment") resolve to them. A section is requested as
+ * "<category>/<section>", e.g. "sport/football".
+ *
+ * @typedef {Object} Section
+ * @property {string} id - Full id, e.g. "sport/football"
+ * @property {string} label
+ * @property {string} keywords - Narrows the parent category for providers without their own mapping
+ * @property {Object<string, string>} providers - Provider id -> provider's category/section
+ *
+ * @typedef {Object} Category
+ * @property {string} id - e.g. "sport"
+ * @property {string} label - e.g. "Sports"
+ * @property {string} page - Frontend page name, e.g. "sports" (frontend/Pages/sports.html)
+ * @property {Array<string>} aliases
+ * @property {Object<string, string>} providers - Provider id -> provider's category/section
+ * @property {Array<Section>} sections
+ *
+ * @typedef {Object} ResolvedCategory
+ * @property {string} id - Canonical id of what was requested ("sport" or "sport/football")
+ * @property {string} category - Top-level category id ("sport")
+ * @property {Section|null} section
+ * @property {boolean} known - False for ids that are not in the taxonomy
+ */
+
+let categories = null; // id -> Category, in file order
+let aliases = null; // alias -> category id
+
+function toStringMap(value) {
+  const map = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return map;
+  Object.entries(value).forEach(([key, item]) => {
+    if (typeof item === 'string' && item.trim()) map[key.trim().toLowerCase()] = item.trim();
+  });
+  return map;
+}
+
+function toSlug(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function toSection(categoryId, raw) {
+  const slug = toSlug(raw && raw.id);
+  if (!slug || slug.includes('/')) {
+    console.warn(`[Categories] Skipping invalid section in "${categoryId}"`);
+    return null;
+  }
+  return {
+    id: `${categoryId}/${slug}`,
+    label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : slug,
+    keywords: typeof raw.keywords === 'string' ? raw.keywords.trim() : '',
+    providers: toStringMap(raw.providers)
+  };
+}
+
+function ensureLoaded() {
+  if (categories) return;
+  categories = new Map();
+  aliases = new Map();
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(CATEGORIES_FILE, 'utf8'));
+    (Array.isArray(parsed.categories) ? parsed.categories : []).forEach(raw => {
+      const id = toSlug(raw && raw.id);
+      if (!id || id.includes('/') || categories.has(id)) {
+        console.warn(`[Categories] Skipping invalid or duplicate category "${raw && raw.id}"`);
+        return;
+      }
+      categories.set(id, {
+        id,
+        label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : id,
+        page: typeof raw.page === 'string' ? raw.page.trim() : '',
+        aliases: (Array.isArray(raw.aliases) ? raw.aliases : []).map(toSlug).filter(Boolean),
+        providers: toStringMap(raw.providers),
+        sections: (Array.isArray(raw.sections) ? raw.sections : [])
+          .map(section => toSection(id, section))
+          .filter(Boolean)
+      });
+    });
+    categories.forEach(category => {
+      category.aliases.forEach(alias => {
+        if (!categories.has(alias)) aliases.set(alias, category.id);
+      });
+    });
+    console.log(`[Categories] Loaded ${categories.size} categories from ${CATEGORIES_FILE}`);
+  } catch (error) {
+    console.error('[Categories] Failed to load category taxonomy:', error.message);
+  }
+}
+
+/**
+ * Every category, in taxonomy order
+ * @returns {Array<Category>}
+ */
+function getCategories() {
+  ensureLoaded();
+  return [...categories.values()];
+}
+
+/**
+ * Resolves a requested category id (alias, any case, optionally with a section)
+ *
+ * @param {string} categoryId - e.g. "sports", "sport/football"
+ * @returns {ResolvedCategory|null} Null when no category was requested
+ */
+function resolveCategory(categoryId) {
+  ensureLoaded();
+  const requested = toSlug(categoryId);
+  if (!requested) return null;
+
+  const [rawCategory, rawSection] = requested.split('/', 2);
+  const category = categories.get(aliases.get(rawCategory) || rawCategory);
+  if (!category) {
+    return { id: requested, category: rawCategory, section: null, known: false };
+  }
+
+  const section = rawSection
+    ? category.sections.find(item => item.id === `${category.id}/${rawSection}`) || null
+    : null;
+  if (rawSection && !section) {
+    return { id: `${category.id}/${rawSection}`, category: category.id, section: null, known: false };
+  }
+  return { id: section ? section.id : category.id, category: category.id, section, known: true };
+}
+
+/**
+ * The top-level category of a request, for settings keyed by category
+ * (response cache TTLs, country filter indicators, RSS feeds)
+ *
+ * @param {string} categoryId
+ * @returns {string} Empty when no category was requested
+ */
+function getParentCategoryId(categoryId) {
+  const resolved = resolveCategory(categoryId);
+  return resolved ? resolved.category : '';
+}
+
+/**
+ * What to send a provider for a category request
+ *
+ * Unknown categories are passed through unchanged, as before the taxonomy existed.
+ *
+ * @param {string} providerId - e.g. "guardian"
+ * @param {string} categoryId - e.g. "sport/tennis"
+ * @returns {{ value: string|null, keywords: string|null }|null} value is the
+ *   provider's category (null when the provider has none); keywords narrow it
+ *   to a section the provider has no mapping for. Null when no category was requested.
+ */
+function getProviderCategory(providerId, categoryId) {
+  const resolved = resolveCategory(categoryId);
+  if (!resolved) return null;
+
+  const category = categories.get(resolved.category);
+  if (!category) return { value: resolved.id, keywords: null };
+  // A section the taxonomy doesn't list: the parent category narrowed by its name
+  if (!resolved.known) {
+    return {
+      value: category.providers[providerId] || null,
+      keywords: resolved.id.split('/')[1].replace(/-/g, ' ')
+    };
+  }
+
+  const sectionValue = resolved.section && resolved.section.providers[providerId];
+  if (sectionValue) return { value: sectionValue, keywords: null };
+
+  return {
+    value: category.providers[providerId] || null,
+    keywords: resolved.section && resolved.section.keywords ? resolved.section.keywords : null
+  };
+}
+
+module.exports = {
+  getCategories,
+  resolveCategory,
+  getParentCategoryId,
+  getProviderCategory
+};
@@ -0,0 +1,207 @@
+const {
+  COUNTRY_FILTER_ENABLED,
+  COUNTRY_FILTER_STRICT_CATEGORIES
+} = require('../config/countryFilter');
+const { getCountry, parseCountryCodes } = require('./countryRegistry');
+const { getParentCategoryId } = require('./categoryTaxonomy');
+
+/**
+ * Country relevance for the aggregate pipeline.
+ *
+ * Providers mostly ignore the requested country (GDELT only narrows by the
+ * publisher's country, the Guardian ORs the country name into its keyword
+ * search), so every article is scored against the country's entry in the
+ * country registry (config/countries.json):
+ * - name, aliases and demonyms, plus indicators.terms (capital, major cities, institutions)
+ * - exclude: terms that point to another country
+ * - sport / politics / business: extra positive and negative terms for that category
+ *
+ * Sections use their parent category's terms (sport/tennis -> sport). On
+ * strict categories (sport, politics, business) an article needs a
+ * positive indicator; elsewhere articles without any indicators are kept as
+ * global news. includeInternational also keeps every article that is not
+ * clearly about another country.
+ *
+ * With several countries (country=US,CA or a region) an article is kept when
+ * it matches any of them.
+ *
+ * @typedef {Object} CountryMatch
+ * @property {string} country - Country code the article was scored for
+ * @property {boolean} matches
+ * @property {'high'|'medium'|'low'} confidence
+ * @property {string} reason
+ */
+
+const compiledIndicators = new Map(); // code -> compiled patterns
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word pattern for a term; case-sensitive ones keep "US" from matching "join us"
+ */
+function compileTerm(term, caseSensitive) {
+  return new RegExp(
+    `(?:^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`,
+    caseSensitive ? 'u' : 'iu'
+  );
+}
+
+/**
+ * Indicator terms are written in lower case; one with a capital letter is case-sensitive
+ */
+function compileTerms(terms) {
+  return (Array.isArray(terms) ? terms : [])
+    .filter(term => typeof term === 'string' && term.trim())
+    .map(term => compileTerm(term.trim(), /\p{Lu}/u.test(term)));
+}
+
+/**
+ * Names are capitalized, so only abbreviations ("US", "U.K.") are case-sensitive
+ */
+function compileNames(country) {
+  return [country.name, ...country.aliases, ...country.demonyms]
+    .map(name => compileTerm(name, !/\p{Ll}/u.test(name)));
+}
+
+/**
+ * Positive and negative patterns for every category the country defines,
+ * each including the country's names, general terms and exclusions
+ */
+function compileIndicators(country) {
+  const raw = country.indicators;
+  const terms = [...compileNames(country), ...compileTerms(raw.terms)];
+  const exclude = compileTerms(raw.exclude);
+  const categories = {};
+  Object.entries(raw).forEach(([category, lists]) => {
+    if (!lists || Array.isArray(lists) || typeof lists !== 'object') return;
+    categories[category] = {
+      positive: [...terms, ...compileTerms(lists.positive)],
+      negative: [...exclude, ...compileTerms(lists.negative)]
+    };
+  });
+  return { general: { positive: terms, negative: exclude }, categories };
+}
+
+function getIndicators(country) {
+  if (!compiledIndicators.has(country.code)) {
+    compiledIndicators.set(country.code, compileIndicators(country));
+  }
+  return compiledIndicators.get(country.code);
+}
+
+function getArticleText(article) {
+  const description = (article.description || '').trim();
+  return [
+    article.title || '',
+    description === 'No description available.' ? '' : description,
+    // The lead is enough to tell where a story happens
+    (article.content || '').slice(0, 3000)
+  ].join(' \n ');
+}
+
+function countMatches(patterns, text) {
+  return patterns.filter(pattern => pattern.test(text)).length;
+}
+
+/**
+ * Scores one article for a country
+ *
+ * @param {NormalizedArticle} article
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @param {string} [category] - Category page the article is for (searches have none)
+ * @returns {CountryMatch}
+ */
+function matchArticleCountry(article, countryCode, category) {
+  const code = (countryCode || '').trim().toUpperCase();
+  const country = getCountry(code);
+  if (!country) {
+    return { country: code, matches: true, confidence: 'low', reason: 'Unknown country code' };
+  }
+
+  const categoryKey = getParentCategoryId(category);
+  const compiled = getIndicators(country);
+  const indicators = compiled.categories[categoryKey] || compiled.general;
+  const isStrict = COUNTRY_FILTER_STRICT_CATEGORIES.includes(categoryKey);
+  const text = getArticleText(article);
+  const positiveCount = countMatches(indicators.positive, text);
+  const negativeCount = countMatches(indicators.negative, text);
+  const result = (matches, confidence, reason) => ({ country: code, matches, confidence, reason });
+
+  if (isStrict && negativeCount > 0 && positiveCount === 0) {
+    return result(false, 'high', `Contains ${negativeCount} indicator(s) of another country for ${categoryKey}`);
+  }
+  if (!isStrict && negativeCount > positiveCount && negativeCount >= 2) {
+    return result(
+      false,
+      positiveCount === 0 ? 'high' : 'medium',
+      'More indicators of another country than of ' + country.name
+    );
+  }
+  if (positiveCount > 0) {
+    return result(true, positiveCount >= 2 ? 'high' : 'medium', `Contains ${positiveCount} ${country.name} indicator(s)`);
+  }
+
+  // Nothing in the text either way - an outlet from the country still counts
+  if (article.publisher && article.publisher.country === code) {
+    return result(true, 'low', `Published by a ${country.name} outlet`);
+  }
+  if (isStrict) {
+    return result(false, 'medium', `No ${country.name} indicators for ${categoryKey}`);
+  }
+  return result(true, 'low', 'No clear country indicators - allowing as global content');
+}
+
+/**
+ * The most confident match among several countries, or the most confident
+ * non-match when the article matches none of them
+ */
+function pickBestMatch(matches) {
+  const byConfidence = (a, b) => CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence];
+  const positive = matches.filter(match => match.matches).sort(byConfidence);
+  return positive[0] || [...matches].sort(byConfidence)[0];
+}
+
+/**
+ * Keeps the articles relevant to one or more countries and records each
+ * article's best score in article.countryMatch
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {string|Array<string>} countries - ISO 3166-1 alpha-2 code(s), e.g. "US" or "CA,MX,US"; empty keeps everything
+ * @param {string} [category]
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInternational] - Also keep articles that are not clearly about another country
+ * @returns {Array<NormalizedArticle>} The kept articles (a new array)
+ */
+function filterArticlesByCountry(articles, countries, category, { includeInternational = false } = {}) {
+  const requested = parseCountryCodes(countries);
+  if (!COUNTRY_FILTER_ENABLED || requested.length === 0 || !Array.isArray(articles)) {
+    return articles;
+  }
+  const codes = requested.filter(code => getCountry(code));
+  requested
+    .filter(code => !codes.includes(code))
+    .forEach(code => console.warn(`[CountryFilter] No indicators for country ${code} - not used for filtering`));
+  if (codes.length === 0) {
+    return articles;
+  }
+
+  const kept = articles.filter(article => {
+    const match = pickBestMatch(codes.map(code => matchArticleCountry(article, code, category)));
+    article.countryMatch = match;
+    return match.matches || (includeInternational && match.confidence !== 'high');
+  });
+
+  console.log(
+    `[CountryFilter] Kept ${kept.length} of ${articles.length} articles for ${codes.join(',')} (category: ${category || 'none'}, international: ${includeInternational ? 'yes' : 'no'})`
+  );
+  return kept;
+}
+
+module.exports = {
+  matchArticleCountry,
+  filterArticlesByCountry
+};
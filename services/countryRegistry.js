@@ -0,0 +1,238 @@
+const fs = require('fs');
+const { COUNTRIES_FILE } = require('../config/countries');
+
+/**
+ * The countries the site supports, shared by every layer.
+ *
+ * config/countries.json is loaded once. GET /api/countries serves it to the
+ * country picker, the provider clients translate a code into each API's own
+ * country filter, and services/countryFilter.js scores articles with its
+ * indicators.
+ *
+ * Requests can name several countries (country=US,CA,MX) or a region group
+ * (region=EU). Both resolve to one canonical country value - the sorted codes
+ * joined by commas ("CA,MX,US") - so the response cache and archive see the
+ * same key however the selection was written. Codes that are not in the
+ * registry (a reader auto-detected in a country the site doesn't list) are
+ * dropped with a warning rather than failing the request.
+ *
+ * @typedef {Object} Country
+ * @property {string} code - ISO 3166-1 alpha-2, upper case
+ * @property {string} name - English display name
+ * @property {string} region - e.g. "Europe", "Asia"
+ * @property {Array<string>} demonyms - e.g. ["American", "Americans"]
+ * @property {Array<string>} aliases - Other names and abbreviations, e.g. ["USA", "U.S."]
+ * @property {Object} indicators - Country-filter terms (see config/countries.json)
+ *
+ * @typedef {Object} RegionGroup
+ * @property {string} code - Shorthand accepted as ?region=, e.g. "EU", "LATAM"
+ * @property {string} name - e.g. "European Union"
+ * @property {Array<string>} countries - Member country codes, in registry order
+ *
+ * @typedef {Object} CountrySelection
+ * @property {Array<string>} codes - Selected country codes, sorted
+ * @property {string|undefined} country - Canonical country value ("CA,MX,US"), undefined for none
+ * @property {string|undefined} region - Region group code when one was requested
+ * @property {Array<string>} ignored - Requested codes that are not in the registry
+ * @property {string|null} error - Why the selection is invalid
+ */
+
+let countries = null; // code -> Country, in file order
+let regionGroups = null; // code -> RegionGroup
+
+function toStringList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+/**
+ * Region groups name countries, whole picker regions or both
+ */
+function loadRegionGroups(rawGroups) {
+  Object.entries(rawGroups || {}).forEach(([rawCode, entry]) => {
+    const code = rawCode.trim().toUpperCase();
+    if (!/^[A-Z_]{2,}$/.test(code) || !entry || typeof entry.name !== 'string') {
+      console.warn(`[Countries] Skipping invalid region group "${rawCode}"`);
+      return;
+    }
+    const listed = new Set(toStringList(entry.countries).map(item => item.toUpperCase()));
+    const regions = new Set(toStringList(entry.regions));
+    const members = [...countries.values()]
+      .filter(country => listed.has(country.code) || regions.has(country.region))
+      .map(country => country.code);
+    if (members.length === 0) {
+      console.warn(`[Countries] Region group "${code}" has no known countries`);
+      return;
+    }
+    regionGroups.set(code, { code, name: entry.name.trim(), countries: members });
+  });
+}
+
+function ensureLoaded() {
+  if (countries) return;
+  countries = new Map();
+  regionGroups = new Map();
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(COUNTRIES_FILE, 'utf8'));
+    Object.entries(parsed.countries || {}).forEach(([rawCode, entry]) => {
+      const code = rawCode.trim().toUpperCase();
+      if (!/^[A-Z]{2}$/.test(code) || !entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        console.warn(`[Countries] Skipping invalid country entry "${rawCode}"`);
+        return;
+      }
+      countries.set(code, {
+        code,
+        name: entry.name.trim(),
+        region: typeof entry.region === 'string' && entry.region.trim() ? entry.region.trim() : 'Other',
+        demonyms: toStringList(entry.demonyms),
+        aliases: toStringList(entry.aliases),
+        indicators: entry.indicators && typeof entry.indicators === 'object' ? entry.indicators : {}
+      });
+    });
+    loadRegionGroups(parsed.regionGroups);
+    console.log(`[Countries] Loaded ${countries.size} countries and ${regionGroups.size} region groups from ${COUNTRIES_FILE}`);
+  } catch (error) {
+    console.error('[Countries] Failed to load country registry:', error.message);
+  }
+}
+
+/**
+ * Every supported country, in registry order
+ * @returns {Array<Country>}
+ */
+function getCountries() {
+  ensureLoaded();
+  return [...countries.values()];
+}
+
+/**
+ * A country by ISO code (any case)
+ * @param {string} code
+ * @returns {Country|null}
+ */
+function getCountry(code) {
+  ensureLoaded();
+  return countries.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+/**
+ * @param {string} code
+ * @returns {string|null}
+ */
+function getCountryName(code) {
+  const country = getCountry(code);
+  return country ? country.name : null;
+}
+
+/**
+ * Ways articles refer to a country: its name, aliases and demonyms
+ * @param {string} code
+ * @returns {Array<string>} Empty for unknown codes
+ */
+function getCountryTerms(code) {
+  const country = getCountry(code);
+  return country ? [country.name, ...country.aliases, ...country.demonyms] : [];
+}
+
+/**
+ * Region names in the order they first appear in the registry
+ * @returns {Array<string>}
+ */
+function getRegions() {
+  return [...new Set(getCountries().map(country => country.region))];
+}
+
+/**
+ * Every region group (the ?region= shorthands), in registry order
+ * @returns {Array<RegionGroup>}
+ */
+function getRegionGroups() {
+  ensureLoaded();
+  return [...regionGroups.values()];
+}
+
+/**
+ * @param {string} code - e.g. "eu", "LATAM"
+ * @returns {RegionGroup|null}
+ */
+function getRegionGroup(code) {
+  ensureLoaded();
+  return regionGroups.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+/**
+ * Splits a country value ("US", "ca, mx", or an array of either) into upper-case codes
+ * @param {string|Array<string>} value
+ * @returns {Array<string>} Unique codes, in the order given
+ */
+function parseCountryCodes(value) {
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item || '').split(','))
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set(parts)];
+}
+
+/**
+ * The canonical country value for a list of codes: sorted and comma-joined
+ * @param {Array<string>} codes
+ * @returns {string}
+ */
+function formatCountryCodes(codes) {
+  return [...new Set(codes)].sort().join(',');
+}
+
+/**
+ * Resolves the ?country= and ?region= parameters of a request
+ *
+ * @param {string|Array<string>} [country] - One or more ISO codes, e.g. "US,CA,MX"
+ * @param {string} [region] - A region group code, e.g. "EU"
+ * @returns {CountrySelection}
+ */
+function resolveCountrySelection(country, region) {
+  const requested = parseCountryCodes(country);
+  const codes = requested.filter(code => getCountry(code));
+  const ignored = requested.filter(code => !getCountry(code));
+  if (ignored.length > 0) {
+    console.warn(`[Countries] Ignoring unknown country code(s): ${ignored.join(', ')}`);
+  }
+
+  const regionCode = String(Array.isArray(region) ? region[0] : region || '').trim().toUpperCase();
+  let regionGroup = null;
+  if (regionCode) {
+    regionGroup = getRegionGroup(regionCode);
+    if (!regionGroup) {
+      return {
+        codes: [],
+        country: undefined,
+        region: undefined,
+        ignored,
+        error: `Unknown region "${regionCode}" (expected ${getRegionGroups().map(group => group.code).join(', ')})`
+      };
+    }
+  }
+
+  const selected = formatCountryCodes([...codes, ...(regionGroup ? regionGroup.countries : [])]);
+  return {
+    codes: selected ? selected.split(',') : [],
+    country: selected || undefined,
+    region: regionGroup ? regionGroup.code : undefined,
+    ignored,
+    error: null
+  };
+}
+
+module.exports = {
+  getCountries,
+  getCountry,
+  getCountryName,
+  getCountryTerms,
+  getRegions,
+  getRegionGroups,
+  getRegionGroup,
+  parseCountryCodes,
+  formatCountryCodes,
+  resolveCountrySelection
+};
@@ -1,5 +1,10 @@
 const axios = require('axios');
 const { CURRENTS_API_KEY } = require('../config/apiKeys');
+const { normalizeArticles } = require('./normalize');
+const { getCountry, parseCountryCodes } = require('./countryRegistry');
+const { getProviderCategory } = require('./categoryTaxonomy');
+const { getDateWindow } = require('./dateRange');
+const { getRequestedLanguages } = require('./languageRegistry');
 
 const CURRENTS_BASE_URL = 'https://api.currentsapi.services/v1';
 
@@ -8,13 +13,17 @@ const CURRENTS_BASE_URL = 'https://api.currentsapi.services/v1';
  * Currents API documentation: https://currentsapi.services/en/docs
  * @param {Object} params - Query parameters
  * @param {string} params.query - Search term/topic
- * @param {string} [params.country] - Country code (e.g., 'us')
- * @param {string} [params.category] - Category (e.g., 'sports', 'business')
- * @returns {Promise<Array>} Array of normalized Currents articles
+ * @param {string} [params.country] - Country code(s) (e.g., 'US' or 'CA,MX,US')
+ * @param {string} [params.category] - Category id (e.g., 'sport', 'business/markets')
+ * @param {string} [params.from] - Earliest publication time (ISO, see services/dateRange.js)
+ * @param {string} [params.to] - Latest publication time (ISO)
+ * @param {string} [params.since] - Relative window (e.g., '24h', '7d')
+ * @param {string} [params.lang] - Language code(s) or 'all' (e.g., 'es', 'en,fr'; see services/languageRegistry.js)
+ * @returns {Promise<Array<NormalizedArticle>>} Array of normalized Currents articles
  */
-async function fetchCurrentsArticles({ query, country, category }) {
+async function fetchCurrentsArticles({ query, country, category, from, to, since, lang }) {
   try {
-    console.log('[Currents] fetchCurrentsArticles called with:', { query, country, category });
+    console.log('[Currents] fetchCurrentsArticles called with:', { query, country, category, from, to, since, lang });
     
     if (!CURRENTS_API_KEY) {
       console.warn('[Currents] No API key provided, returning empty array');
@@ -24,10 +33,18 @@ async function fetchCurrentsArticles({ query, country, category }) {
 
     const params = {
       apiKey: CURRENTS_API_KEY,
-      language: 'en',
       pageSize: 50
     };
 
+    // Language filter (Currents takes a single language code)
+    const languages = getRequestedLanguages(lang);
+    if (languages.length === 1) {
+      params.language = languages[0].code;
+    } else if (languages.length > 1) {
+      // The language filter in the aggregate pipeline narrows the results instead
+      console.log('[Currents] Several languages requested - not filtering by language:', languages.map(language => language.code).join(','));
+    }
+
     // Determine if this is a search query or category request
     const hasSearchQuery = query && query.trim().length > 0;
     const hasCategory = category && category.trim().length > 0;
@@ -41,6 +58,9 @@ async function fetchCurrentsArticles({ query, country, category }) {
     });
 
     let endpoint = '';
+    const dateWindow = getDateWindow({ from, to, since });
+    // Taxonomy mapping (config/categories.json)
+    const categoryMapping = hasCategory ? getProviderCategory('currents', category) : null;
     
     // If search query is provided, use search endpoint (search mode)
     if (hasSearchQuery) {
@@ -50,20 +70,21 @@ async function fetchCurrentsArticles({ query, country, category }) {
     }
     // If category is provided but no search query, use latest-news with category (category mode)
     else if (hasCategory) {
-      const categoryMap = {
-        'sports': 'sports',
-        'business': 'business',
-        'technology': 'technology',
-        'politics': 'politics',
-        'health': 'health',
-        'science': 'science',
-        'entertainment': 'entertainment',
-        'general': 'general'
-      };
-      const currentsCategory = categoryMap[category] || category;
-      params.category = currentsCategory;
-      endpoint = `${CURRENTS_BASE_URL}/latest-news`;
-      console.log('[Currents] CATEGORY MODE: Using category:', currentsCategory);
+      const { value, keywords } = categoryMapping;
+      if (value) {
+        params.category = value;
+      }
+      // latest-news has no keyword or date filter, so sections without their own
+      // category and date ranges search instead
+      if (keywords) {
+        params.keywords = keywords;
+      }
+      if (keywords || dateWindow) {
+        endpoint = `${CURRENTS_BASE_URL}/search`;
+      } else {
+        endpoint = `${CURRENTS_BASE_URL}/latest-news`;
+      }
+      console.log('[Currents] CATEGORY MODE: Using category:', value, keywords ? `(keywords: ${keywords})` : '');
     }
     // If neither, return empty (shouldn't happen in normal flow)
     else {
@@ -71,25 +92,30 @@ async function fetchCurrentsArticles({ query, country, category }) {
       return [];
     }
 
-    // Add country filter (Currents uses country code) - works with both search and category
-    if (country) {
-      params.country = country.toLowerCase();
+    // Add country filter (Currents takes a single country code) - works with both search and category
+    const countryCodes = parseCountryCodes(country);
+    const knownCodes = countryCodes.filter(code => getCountry(code));
+    if (knownCodes.length < countryCodes.length) {
+      console.warn('[Currents] Unknown country code(s), not filtering by them:', countryCodes.filter(code => !knownCodes.includes(code)).join(','));
+    }
+    if (knownCodes.length === 1) {
+      params.country = knownCodes[0].toLowerCase();
+    } else if (knownCodes.length > 1) {
+      // The country filter in the aggregate pipeline narrows the results instead
+      console.log('[Currents] Several countries requested - not filtering by country:', knownCodes.join(','));
+    }
+
+    // Date range (search endpoint only): RFC 3339 timestamps
+    if (dateWindow && dateWindow.start) {
+      params.start_date = dateWindow.start.toISOString();
+    }
+    if (dateWindow && dateWindow.end) {
+      params.end_date = dateWindow.end.toISOString();
     }
 
     // Add category filter to search if both are provided (optional enhancement)
-    if (hasSearchQuery && hasCategory) {
-      const categoryMap = {
-        'sports': 'sports',
-        'business': 'business',
-        'technology': 'technology',
-        'politics': 'politics',
-        'health': 'health',
-        'science': 'science',
-        'entertainment': 'entertainment',
-        'general': 'general'
-      };
-      const currentsCategory = categoryMap[category] || category;
-      params.category = currentsCategory;
+    if (hasSearchQuery && categoryMapping && categoryMapping.value) {
+      params.category = categoryMapping.value;
     }
     
     console.log('[Currents] Making API request to:', endpoint);
@@ -117,17 +143,8 @@ async function fetchCurrentsArticles({ query, country, category }) {
     // If no articles in news, check for data array (some endpoints use this)
     const articlesToProcess = rawArticles.length > 0 ? rawArticles : (response.data?.data || []);
 
-    // Normalize Currents articles to consistent format
-    const normalizedArticles = articlesToProcess
-      .filter(article => article.url && article.title) // Only keep articles with required fields
-      .map(article => ({
-        title: article.title || 'No title',
-        description: article.description || 'No description available.',
-        url: article.url || '',
-        publishedAt: article.published || '',
-        sourceName: 'Currents'
-      }))
-      .filter(article => article.url && article.title); // Final validation
+    // Normalize Currents articles to the shared NormalizedArticle shape
+    const normalizedArticles = normalizeArticles(articlesToProcess, 'currents');
 
     console.log(`Currents returned ${normalizedArticles.length} results`);
     
@@ -0,0 +1,174 @@
+const { DATE_RANGE_MAX_DAYS } = require('../config/dateRange');
+
+/**
+ * Date-range and recency filters for aggregate and search requests.
+ *
+ * The routes validate ?from=, ?to= and ?since= with parseDateRange and put the
+ * normalized values on the newsQuery. Provider clients turn getDateWindow into
+ * their native date filters (Guardian from-date, GDELT startdatetime,
+ * Mediastack date, Currents start_date), and the pipeline drops every article
+ * published outside the window, since RSS feeds and some providers only
+ * filter by day or not at all.
+ *
+ * @typedef {Object} DateRange
+ * @property {string|undefined} from - ISO timestamp (a from date starts at 00:00 UTC)
+ * @property {string|undefined} to - ISO timestamp (a to date ends at 23:59:59.999 UTC)
+ * @property {string|undefined} since - Relative window, e.g. "24h", "7d"
+ * @property {string|null} error - Why the parameters were rejected
+ *
+ * @typedef {Object} DateWindow
+ * @property {Date|null} start - Earliest publication time kept
+ * @property {Date|null} end - Latest publication time kept
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SINCE_PATTERN = /^(\d+)\s*(h|d)$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+function firstValue(value) {
+  return String(Array.isArray(value) ? value[0] : value || '').trim();
+}
+
+/**
+ * Parses a from/to value: a calendar day or a full timestamp
+ * @returns {Date|null} Null when the value is not a valid date
+ */
+function parseDateValue(value, endOfDay) {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    // Rejects days that roll over, e.g. 2026-02-31
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? date : null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Hours in a ?since= value ("24h" -> 24, "7d" -> 168)
+ * @returns {number|null} Null when the value is not valid
+ */
+function parseSinceHours(since) {
+  const match = SINCE_PATTERN.exec((since || '').toLowerCase());
+  if (!match) return null;
+  const hours = Number(match[1]) * (match[2] === 'd' ? 24 : 1);
+  return hours > 0 ? hours : null;
+}
+
+/**
+ * Validates and normalizes the ?from=, ?to= and ?since= parameters of a request
+ *
+ * @param {Object} params
+ * @param {string} [params.from] - YYYY-MM-DD or ISO 8601 timestamp
+ * @param {string} [params.to] - YYYY-MM-DD (inclusive) or ISO 8601 timestamp
+ * @param {string} [params.since] - Relative window: hours or days, e.g. "24h", "7d"
+ * @returns {DateRange}
+ */
+function parseDateRange({ from, to, since } = {}) {
+  const rawFrom = firstValue(from);
+  const rawTo = firstValue(to);
+  const rawSince = firstValue(since).toLowerCase();
+  const rejected = error => ({ from: undefined, to: undefined, since: undefined, error });
+
+  if (rawSince) {
+    if (rawFrom || rawTo) {
+      return rejected('Use either since or from/to, not both');
+    }
+    const hours = parseSinceHours(rawSince);
+    if (!hours) {
+      return rejected(`Invalid since "${rawSince}" (expected hours or days, e.g. 24h or 7d)`);
+    }
+    if (hours > DATE_RANGE_MAX_DAYS * 24) {
+      return rejected(`since cannot be longer than ${DATE_RANGE_MAX_DAYS} days`);
+    }
+    return { from: undefined, to: undefined, since: rawSince.replace(/\s+/g, ''), error: null };
+  }
+
+  const fromDate = rawFrom ? parseDateValue(rawFrom, false) : null;
+  if (rawFrom && !fromDate) {
+    return rejected(`Invalid from date "${rawFrom}" (expected YYYY-MM-DD or an ISO 8601 timestamp)`);
+  }
+  const toDate = rawTo ? parseDateValue(rawTo, true) : null;
+  if (rawTo && !toDate) {
+    return rejected(`Invalid to date "${rawTo}" (expected YYYY-MM-DD or an ISO 8601 timestamp)`);
+  }
+  if (fromDate && toDate && fromDate > toDate) {
+    return rejected('from must not be after to');
+  }
+
+  return {
+    from: fromDate ? fromDate.toISOString() : undefined,
+    to: toDate ? toDate.toISOString() : undefined,
+    since: undefined,
+    error: null
+  };
+}
+
+/**
+ * The publication window of a request, with ?since= resolved against now
+ *
+ * @param {Object} newsQuery - { from, to, since } as returned by parseDateRange
+ * @param {number} [now] - Reference time for since (ms)
+ * @returns {DateWindow|null} Null when the request has no date filter
+ */
+function getDateWindow({ from, to, since } = {}, now = Date.now()) {
+  const hours = parseSinceHours(since);
+  if (hours) {
+    return { start: new Date(now - hours * HOUR_MS), end: null };
+  }
+  if (!from && !to) return null;
+  return {
+    start: from ? new Date(from) : null,
+    end: to ? new Date(to) : null
+  };
+}
+
+/**
+ * Whether an article was published inside the window. Undated articles are
+ * not, since nothing says they belong to it.
+ *
+ * @param {Object} article - Normalized article (publishedAt)
+ * @param {DateWindow|null} window
+ * @returns {boolean}
+ */
+function isPublishedInWindow(article, window) {
+  if (!window) return true;
+  const published = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+  if (Number.isNaN(published)) return false;
+  return (!window.start || published >= window.start.getTime()) &&
+    (!window.end || published <= window.end.getTime());
+}
+
+/**
+ * Keeps the articles published inside the window
+ *
+ * @param {Array<Object>} articles - Normalized articles
+ * @param {DateWindow|null} window
+ * @returns {Array<Object>}
+ */
+function filterArticlesByDate(articles, window) {
+  if (!window) return articles;
+  return articles.filter(article => isPublishedInWindow(article, window));
+}
+
+/**
+ * Human-readable window for warnings, e.g. "in the last 24h", "between 2026-10-01 and 2026-10-18"
+ * @param {Object} newsQuery - { from, to, since }
+ * @returns {string} Empty when the request has no date filter
+ */
+function describeDateRange({ from, to, since } = {}) {
+  const day = value => value.slice(0, 10);
+  if (since) return `in the last ${since}`;
+  if (from && to) return `between ${day(from)} and ${day(to)}`;
+  if (from) return `since ${day(from)}`;
+  if (to) return `before ${day(to)}`;
+  return '';
+}
+
+module.exports = {
+  parseDateRange,
+  getDateWindow,
+  isPublishedInWindow,
+  filterArticlesByDate,
+  describeDateRange
+};
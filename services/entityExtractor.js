@@ -0,0 +1,503 @@
+const GAZETTEER = require('../config/gazetteer.json');
+const { STOPWORDS } = require('./textSimilarity');
+
+/**
+ * Offline named-entity extraction for story grouping.
+ *
+ * Two passes over an article's headline, description and lead:
+ * 1. Gazetteer: known people, organizations and places (config/gazetteer.json)
+ *    are matched by name or alias and reported under their canonical name,
+ *    so "the Fed", "FOMC" and "Federal Reserve" are one entity.
+ * 2. Capitalization: other runs of capitalized words in the description and
+ *    body are classified by titles ("Mr", "President"), organization suffixes
+ *    ("Inc", "Ministry") and place cues ("in ...", "County"). Headlines are
+ *    skipped here because Title Case would turn every word into a name.
+ *
+ * @typedef {Object} ArticleEntities
+ * @property {Array<string>} people
+ * @property {Array<string>} organizations
+ * @property {Array<string>} places
+ */
+
+const ENTITY_TYPES = ['people', 'organizations', 'places'];
+
+// How much of the body is scanned (the lead carries the names that matter)
+const MAX_BODY_CHARS = 1500;
+// Per type, most-mentioned first
+const MAX_ENTITIES_PER_TYPE = 8;
+
+const PERSON_TITLES = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sir', 'dame', 'lord', 'lady', 'president', 'vice',
+  'prime', 'minister', 'chancellor', 'senator', 'sen', 'rep', 'representative', 'governor',
+  'gov', 'mayor', 'judge', 'justice', 'secretary', 'ambassador', 'general', 'gen', 'admiral',
+  'king', 'queen', 'prince', 'princess', 'pope', 'chairman', 'chairwoman', 'chair', 'ceo',
+  'coach', 'manager', 'captain', 'officer', 'detective', 'inspector', 'professor', 'leader', 'speaker',
+  // Multi-word titles, matched as phrases at the start of a run
+  'prime minister', 'deputy prime minister', 'first minister', 'chief minister', 'foreign minister',
+  'finance minister', 'defence minister', 'defense minister', 'interior minister', 'health minister',
+  'foreign secretary', 'home secretary', 'health secretary', 'defence secretary', 'defense secretary',
+  'press secretary', 'secretary of state', 'secretary general', 'attorney general', 'chief executive',
+  'chief justice', 'vice president', 'shadow chancellor', 'national security adviser'
+]);
+
+// Longest title phrase, in words
+const MAX_TITLE_WORDS = Math.max(...[...PERSON_TITLES].map(title => title.split(' ').length));
+
+const ORGANIZATION_SUFFIXES = new Set([
+  'inc', 'corp', 'corporation', 'ltd', 'llc', 'plc', 'ag', 'sa', 'group', 'bank', 'bancorp',
+  'holdings', 'company', 'co', 'university', 'college', 'institute', 'school', 'hospital',
+  'ministry', 'department', 'agency', 'authority', 'commission', 'council', 'committee',
+  'party', 'association', 'union', 'federation', 'league', 'foundation', 'court', 'police',
+  'army', 'navy', 'force', 'airlines', 'airways', 'motors', 'technologies', 'systems',
+  'partners', 'capital', 'fund', 'trust', 'service', 'services', 'network', 'club', 'fc',
+  'board', 'office', 'parliament', 'assembly', 'senate', 'congress', 'times', 'post', 'journal'
+]);
+
+const ORGANIZATION_PREFIXES = new Set(['university', 'ministry', 'department', 'bank', 'office', 'house']);
+
+const PLACE_SUFFIXES = new Set([
+  'city', 'county', 'province', 'state', 'region', 'island', 'islands', 'river', 'valley',
+  'mountains', 'mountain', 'lake', 'sea', 'ocean', 'bay', 'street', 'avenue', 'road', 'square',
+  'airport', 'beach', 'park', 'bridge', 'district', 'coast', 'peninsula', 'strait'
+]);
+
+const PLACE_CUES = new Set(['in', 'at', 'near', 'across', 'outside', 'inside', 'from', 'to', 'towards']);
+const SPEECH_VERBS = new Set(['said', 'says', 'told', 'added', 'argued', 'warned', 'wrote', 'insisted']);
+
+// Capitalized words that are never names on their own
+const NON_NAMES = new Set([
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december', 'i', 'it', 'he', 'she', 'we', 'they', 'his', 'her',
+  'their', 'our', 'its', 'this', 'that', 'these', 'those', 'there', 'here', 'but', 'and', 'or',
+  'photograph', 'photo', 'video', 'watch', 'listen', 'getty', 'images', 'reuters', 'ap', 'afp'
+]);
+
+// Lowercase words allowed inside a name ("Bank of England", "Ursula von der Leyen")
+const NAME_CONNECTORS = new Set(['of', 'de', 'da', 'del', 'der', 'di', 'du', 'la', 'le', 'van', 'von', 'bin', 'al', 'and', '&']);
+// Connectors that also join two names ("Dr Jane Smith of Harvard University")
+const JOINING_CONNECTORS = new Set(['of', 'and', '&']);
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’.&+-]*/gu;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Alias index and matcher built once from config/gazetteer.json
+ */
+function buildGazetteerIndex(gazetteer) {
+  const byAlias = new Map();
+  const byName = new Map();
+
+  ENTITY_TYPES.forEach(type => {
+    (gazetteer[type] || []).forEach(entry => {
+      const entity = { name: entry.name, type, affiliations: entry.affiliations || [] };
+      byName.set(entry.name, entity);
+      [entry.name, ...(entry.aliases || [])].forEach(alias => {
+        if (!byAlias.has(alias)) byAlias.set(alias, entity);
+      });
+    });
+  });
+
+  // Longest aliases first so "Bank of England" wins over "England"
+  const aliases = [...byAlias.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const matcher = new RegExp(`(?<![\\p{L}\\p{N}])(?:${aliases.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+
+  // First names of known people, for telling "Jerome Smith of ..." from "Bank of ..."
+  const firstNames = new Set(
+    (gazetteer.people || []).filter(entry => entry.name.includes(' ')).map(entry => entry.name.split(' ')[0])
+  );
+
+  return { byAlias, byName, matcher, firstNames };
+}
+
+const GAZETTEER_INDEX = buildGazetteerIndex(GAZETTEER);
+
+/**
+ * Gazetteer entry for a canonical name, or null
+ * @param {string} name
+ * @returns {{name: string, type: string, affiliations: Array<string>}|null}
+ */
+function getGazetteerEntity(name) {
+  return GAZETTEER_INDEX.byName.get(name) || null;
+}
+
+function createCollector() {
+  const found = new Map(); // key -> { name, type, count, order }
+  return {
+    add(name, type) {
+      const key = `${type}:${name}`;
+      const entry = found.get(key);
+      if (entry) entry.count++;
+      else found.set(key, { name, type, count: 1, order: found.size });
+    },
+    entries() {
+      return [...found.values()];
+    }
+  };
+}
+
+/**
+ * True when a one-word person alias is really part of a longer name:
+ * "Harris County" or "Tim Harris" are not Kamala Harris
+ */
+function isPartOfLongerName(text, offset, alias) {
+  const before = text.slice(0, offset).match(/([\p{L}][\p{L}'’.-]*)\s+$/u);
+  const after = text.slice(offset + alias.length).match(/^\s+([\p{L}][\p{L}'’-]*)/u);
+  const isNameWord = word => isCapitalized(word) && !STOPWORDS.has(word.toLowerCase()) &&
+    !PERSON_TITLES.has(word.toLowerCase().replace(/\.$/, ''));
+  return (!!before && isNameWord(before[1]) && !endsSentence(before[1])) || (!!after && isNameWord(after[1]));
+}
+
+/**
+ * Pass 1: gazetteer matches. Matched spans are blanked out so the
+ * capitalization pass doesn't report them a second time. In running text
+ * (not headlines) a bare surname next to another capitalized word is left
+ * for the capitalization pass.
+ */
+function matchGazetteer(text, collector, { isHeadline = false } = {}) {
+  return text.replace(GAZETTEER_INDEX.matcher, (alias, offset) => {
+    const entity = GAZETTEER_INDEX.byAlias.get(alias);
+    if (!isHeadline && entity.type === 'people' && !alias.includes(' ') && isPartOfLongerName(text, offset, alias)) {
+      return alias;
+    }
+    collector.add(entity.name, entity.type);
+    return ' | ';
+  });
+}
+
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word) && !NON_NAMES.has(word.toLowerCase());
+}
+
+/**
+ * True when a word ends a sentence ("said." but not "Mr." or the initial "J.")
+ */
+function endsSentence(rawWord) {
+  if (!/[.!?]$/.test(rawWord)) return false;
+  const word = rawWord.slice(0, -1);
+  return !PERSON_TITLES.has(word.toLowerCase()) && !/^\p{Lu}$/u.test(word) && !/\./.test(word);
+}
+
+function cleanWord(word) {
+  return word.replace(/['’]s$/, '').replace(/[.'’-]+$/, '');
+}
+
+/**
+ * Number of leading words that form a person title ("Dr", "Prime Minister"), longest match first
+ */
+function getLeadingTitleLength(words) {
+  for (let length = Math.min(MAX_TITLE_WORDS, words.length); length > 0; length--) {
+    const phrase = words.slice(0, length).map(word => word.toLowerCase().replace(/\.$/, '')).join(' ');
+    if (PERSON_TITLES.has(phrase)) return length;
+  }
+  return 0;
+}
+
+/**
+ * Classifies one capitalized run. Returns null when the run doesn't look like a
+ * name, including a bare title ("the Prime Minister said").
+ */
+function classifyName(words, previousWord, nextWord) {
+  let nameWords = [...words];
+  let hasPersonTitle = false;
+  let titleLength;
+  while ((titleLength = getLeadingTitleLength(nameWords)) > 0) {
+    nameWords = nameWords.slice(titleLength);
+    hasPersonTitle = true;
+  }
+  while (nameWords.length > 0 && NAME_CONNECTORS.has(nameWords[nameWords.length - 1].toLowerCase())) {
+    nameWords.pop();
+  }
+  if (nameWords.length === 0) return null;
+
+  const name = nameWords.join(' ');
+  const first = nameWords[0].toLowerCase();
+  const last = nameWords[nameWords.length - 1].toLowerCase().replace(/\.$/, '');
+  const isAcronym = nameWords.length === 1 && /^[\p{Lu}\p{N}&]{2,6}$/u.test(nameWords[0]);
+
+  if (ORGANIZATION_SUFFIXES.has(last) || (nameWords.length > 1 && ORGANIZATION_PREFIXES.has(first))) {
+    return { name, type: 'organizations' };
+  }
+  if (nameWords.length > 1 && PLACE_SUFFIXES.has(last)) return { name, type: 'places' };
+  if (hasPersonTitle) return { name, type: 'people' };
+  if (isAcronym) return { name, type: 'organizations' };
+  if (PLACE_CUES.has(previousWord)) return { name, type: 'places' };
+  if (nameWords.length > 1 && nameWords.length <= 4) return { name, type: 'people' };
+  if (SPEECH_VERBS.has(nextWord)) return { name, type: 'people' };
+  return null;
+}
+
+/**
+ * "The", "After", "In" ... open sentences and headlines, not names
+ */
+function stripLeadingStopwords(words) {
+  let start = 0;
+  while (start < words.length && STOPWORDS.has(words[start].toLowerCase())) start++;
+  return words.slice(start);
+}
+
+/**
+ * True when the words so far of a run are a person, so a joining connector
+ * after them starts another name: a title followed by a name ("Dr Jane
+ * Smith"), or a first name already known from the gazetteer or this text
+ */
+function isPersonBeforeConnector(words, firstNames) {
+  const titleLength = getLeadingTitleLength(words);
+  if (titleLength > 0) return titleLength < words.length;
+  return words.length > 1 && firstNames.has(words[0]);
+}
+
+/**
+ * Pass 2: runs of capitalized words. A sentence-initial word only starts a
+ * run when the following word is capitalized too, since any word is
+ * capitalized at the start of a sentence.
+ */
+function matchCapitalizedRuns(text, collector) {
+  const tokens = [];
+  let previousEnd = 0;
+  let previousRaw = '';
+  let match;
+  WORD_PATTERN.lastIndex = 0;
+  while ((match = WORD_PATTERN.exec(text)) !== null) {
+    const between = text.slice(previousEnd, match.index);
+    const sentenceStart = tokens.length === 0 || /[!?"“]/.test(between) || endsSentence(previousRaw);
+    tokens.push({
+      word: cleanWord(match[0]),
+      sentenceStart,
+      // Sentence and clause boundaries (and blanked gazetteer matches) end a run
+      breakBefore: sentenceStart || /[,;:()|”]/.test(between)
+    });
+    previousEnd = match.index + match[0].length;
+    previousRaw = match[0];
+  }
+
+  // Surnames of people already found ("Amara Okafor ... Okafor said"), and their first names
+  const surnames = new Map();
+  const firstNames = new Set(GAZETTEER_INDEX.firstNames);
+  const addPerson = name => {
+    surnames.set(name.split(' ').pop(), name);
+    if (name.includes(' ')) firstNames.add(name.split(' ')[0]);
+  };
+  collector.entries().forEach(entry => {
+    if (entry.type === 'people') addPerson(entry.name);
+  });
+
+  let i = 0;
+  while (i < tokens.length) {
+    if (!isCapitalized(tokens[i].word)) {
+      i++;
+      continue;
+    }
+
+    // Extend the run over capitalized words and inner connectors
+    let end = i + 1;
+    while (end < tokens.length && !tokens[end].breakBefore) {
+      const word = tokens[end].word;
+      if (isCapitalized(word)) {
+        end++;
+      } else if (NAME_CONNECTORS.has(word) && end + 1 < tokens.length && isCapitalized(tokens[end + 1].word) && !tokens[end + 1].breakBefore) {
+        if (JOINING_CONNECTORS.has(word) && isPersonBeforeConnector(stripLeadingStopwords(tokens.slice(i, end).map(token => token.word)), firstNames)) {
+          break;
+        }
+        end += 2;
+      } else {
+        break;
+      }
+    }
+
+    const words = stripLeadingStopwords(tokens.slice(i, end).map(token => token.word));
+    const startsSentence = tokens[i].sentenceStart && words.length === end - i;
+
+    if (words.length > 0 && !(startsSentence && words.length === 1 && !surnames.has(words[0]))) {
+      const nameStart = end - words.length;
+      const previousWord = nameStart > 0 ? tokens[nameStart - 1].word.toLowerCase() : '';
+      const nextWord = end < tokens.length ? tokens[end].word.toLowerCase() : '';
+      const entity = words.length === 1 && surnames.has(words[0])
+        ? { name: surnames.get(words[0]), type: 'people' }
+        : classifyName(words, previousWord, nextWord);
+
+      if (entity) {
+        collector.add(entity.name, entity.type);
+        if (entity.type === 'people') addPerson(entity.name);
+      }
+    }
+    i = end;
+  }
+}
+
+function toEntityLists(entries, limit = MAX_ENTITIES_PER_TYPE) {
+  const result = { people: [], organizations: [], places: [] };
+  [...entries]
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .forEach(entry => {
+      if (result[entry.type].length < limit) result[entry.type].push(entry.name);
+    });
+  return result;
+}
+
+/**
+ * Extracts entities from free text
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.headline] - Matched against the gazetteer only
+ * @returns {ArticleEntities}
+ */
+function extractEntities(text, { headline = '' } = {}) {
+  const collector = createCollector();
+  if (headline) matchGazetteer(headline, collector, { isHeadline: true });
+  if (text) matchCapitalizedRuns(matchGazetteer(text, collector), collector);
+  return toEntityLists(collector.entries());
+}
+
+/**
+ * Entities for one article (headline, description and the start of the body)
+ *
+ * @param {NormalizedArticle} article
+ * @returns {ArticleEntities}
+ */
+function extractArticleEntities(article) {
+  const rawDescription = (article.description || '').trim();
+  const description = rawDescription === 'No description available.' ? '' : rawDescription;
+  const content = (article.content || '').trim().slice(0, MAX_BODY_CHARS);
+  const body = content && !content.startsWith(description.slice(0, 80))
+    ? `${description}\n${content}`
+    : content || description;
+
+  return extractEntities(body, { headline: article.title || '' });
+}
+
+/**
+ * Sets article.entities on every article that doesn't have them yet
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Array<NormalizedArticle>} The same articles
+ */
+function annotateArticleEntities(articles) {
+  (articles || []).forEach(article => {
+    if (!article.entities) article.entities = extractArticleEntities(article);
+  });
+  return articles;
+}
+
+/**
+ * Group-level entities: the ones mentioned by the most articles in the group
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {number} [limit] - Maximum entities per type
+ * @returns {ArticleEntities}
+ */
+function mergeEntities(articles, limit = 5) {
+  const collector = createCollector();
+  (articles || []).forEach(article => {
+    const entities = article.entities || extractArticleEntities(article);
+    ENTITY_TYPES.forEach(type => (entities[type] || []).forEach(name => collector.add(name, type)));
+  });
+  return toEntityLists(collector.entries(), limit);
+}
+
+/**
+ * Weighted entity keys for similarity. Gazetteer affiliations are added at a
+ * reduced weight, which is what links "Powell" to "the Fed".
+ *
+ * @param {ArticleEntities} entities
+ * @param {Object} [weights] - { places, affiliation } relative to people/organizations
+ * @returns {Map<string, number>}
+ */
+function getEntityKeys(entities, { places = 0.4, affiliation = 0.6 } = {}) {
+  const keys = new Map();
+  const add = (key, weight) => {
+    if (weight > (keys.get(key) || 0)) keys.set(key, weight);
+  };
+
+  ENTITY_TYPES.forEach(type => {
+    const typeWeight = type === 'places' ? places : 1;
+    (entities[type] || []).forEach(name => {
+      add(name.toLowerCase(), typeWeight);
+      const known = getGazetteerEntity(name);
+      if (!known) return;
+      known.affiliations.forEach(related => {
+        const relatedEntity = getGazetteerEntity(related);
+        const relatedWeight = relatedEntity && relatedEntity.type === 'places' ? places : 1;
+        add(related.toLowerCase(), relatedWeight * affiliation);
+      });
+    });
+  });
+  return keys;
+}
+
+/**
+ * Entity vectors for a batch of articles (L2-normalized getEntityKeys
+ * weights) plus each key's specificity: 1 for a name only two articles
+ * mention, falling toward 0 as more of the batch mentions it
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {Object} [weights] - { places, affiliation } (see getEntityKeys)
+ * @returns {{vectors: Map<NormalizedArticle, Map<string, number>>, specificity: Map<string, number>}}
+ */
+function buildEntityModel(articles, weights = {}) {
+  const keysByArticle = (articles || []).map(article =>
+    getEntityKeys(article.entities || extractArticleEntities(article), weights)
+  );
+
+  const documentFrequency = new Map();
+  keysByArticle.forEach(keys => {
+    keys.forEach((_, key) => documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1));
+  });
+
+  // A key shared by just two articles (the least a shared key can have) scores 1
+  const scale = Math.log((keysByArticle.length + 1) / 2);
+  const specificity = new Map();
+  documentFrequency.forEach((df, key) => {
+    const rarity = scale > 0 ? Math.min(1, Math.log((keysByArticle.length + 1) / df) / scale) : 1;
+    // Squared so names mentioned across the batch fade quickly
+    specificity.set(key, rarity * rarity);
+  });
+
+  const vectors = new Map();
+  keysByArticle.forEach((keys, i) => {
+    let norm = 0;
+    keys.forEach(weight => { norm += weight * weight; });
+    norm = Math.sqrt(norm);
+    const vector = new Map();
+    if (norm > 0) keys.forEach((weight, key) => vector.set(key, weight / norm));
+    vectors.set(articles[i], vector);
+  });
+
+  return { vectors, specificity };
+}
+
+/**
+ * Entity similarity of two articles from the same buildEntityModel() batch:
+ * cosine of their entity vectors times the specificity of the rarest shared entity
+ *
+ * @returns {number} 0-1
+ */
+function entitySimilarity(model, article1, article2) {
+  const vector1 = model.vectors.get(article1);
+  const vector2 = model.vectors.get(article2);
+  if (!vector1 || !vector2 || vector1.size === 0 || vector2.size === 0) return 0;
+
+  let dot = 0;
+  let specificity = 0;
+  vector1.forEach((weight, key) => {
+    const other = vector2.get(key);
+    if (other === undefined) return;
+    dot += weight * other;
+    specificity = Math.max(specificity, model.specificity.get(key) || 0);
+  });
+  return Math.min(1, dot) * specificity;
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  extractEntities,
+  extractArticleEntities,
+  annotateArticleEntities,
+  mergeEntities,
+  getEntityKeys,
+  buildEntityModel,
+  entitySimilarity
+};
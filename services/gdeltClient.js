@@ -1,5 +1,10 @@
 const axios = require('axios');
 const { GDELT_API_KEY } = require('../config/apiKeys');
+const { normalizeArticles } = require('./normalize');
+const { getCountry, parseCountryCodes } = require('./countryRegistry');
+const { getProviderCategory } = require('./categoryTaxonomy');
+const { getDateWindow } = require('./dateRange');
+const { getRequestedLanguages } = require('./languageRegistry');
 
 // GDELT API documentation: https://blog.gdeltproject.org/gdelt-doc-2-0-api-debuts/
 // Free tier doesn't require API key, but rate limits apply
@@ -9,11 +14,15 @@ const GDELT_BASE_URL = 'https://api.gdeltproject.org/api/v2/doc/doc';
  * Fetches and normalizes articles from GDELT API
  * @param {Object} params - Query parameters
  * @param {string} params.query - Search term/topic
- * @param {string} [params.country] - Country code (e.g., 'us')
+ * @param {string} [params.country] - Country code(s) (e.g., 'US' or 'CA,MX,US')
  * @param {string} [params.category] - Category (not directly supported, but can filter)
- * @returns {Promise<Array>} Array of normalized GDELT articles
+ * @param {string} [params.from] - Earliest publication time (ISO, see services/dateRange.js)
+ * @param {string} [params.to] - Latest publication time (ISO)
+ * @param {string} [params.since] - Relative window (e.g., '24h', '7d')
+ * @param {string} [params.lang] - Language code(s) or 'all' (e.g., 'es', 'en,fr'; see services/languageRegistry.js)
+ * @returns {Promise<Array<NormalizedArticle>>} Array of normalized GDELT articles
  */
-async function fetchGdeltArticles({ query, country, category }) {
+async function fetchGdeltArticles({ query, country, category, from, to, since, lang }) {
   try {
     // Determine if this is a search query or category request
     const hasSearchQuery = query && query.trim().length > 0;
@@ -28,8 +37,10 @@ async function fetchGdeltArticles({ query, country, category }) {
     }
     // If category is provided but no search query, use category (category mode)
     else if (hasCategory) {
-      gdeltQuery = category;
-      console.log('[GDELT] CATEGORY MODE: Using category:', category);
+      // GDELT has no categories; the taxonomy (config/categories.json) gives query terms
+      const { value, keywords } = getProviderCategory('gdelt', category);
+      gdeltQuery = keywords || value || category;
+      console.log('[GDELT] CATEGORY MODE: Using category:', category, '->', gdeltQuery);
     }
     // If neither, return empty (shouldn't happen in normal flow)
     else {
@@ -45,10 +56,41 @@ async function fetchGdeltArticles({ query, country, category }) {
       sort: 'date'
     };
 
-    // Add country filter if provided (append to query)
-    if (country) {
-      const countryCode = country.toUpperCase();
-      params.query = `${params.query} sourcecountry:${countryCode}`;
+    // Add country filter if provided (append to query). GDELT names source
+    // countries by their English name without spaces ("unitedkingdom"), not ISO
+    // codes, and only allows parentheses around OR'd terms
+    const countryCodes = parseCountryCodes(country);
+    const knownCountries = countryCodes.map(code => getCountry(code)).filter(Boolean);
+    if (knownCountries.length < countryCodes.length) {
+      console.warn('[GDELT] Unknown country code(s), not filtering by them:', countryCodes.filter(code => !getCountry(code)).join(','));
+    }
+    const sourceCountries = knownCountries.map(
+      knownCountry => `sourcecountry:${knownCountry.name.toLowerCase().replace(/[^a-z]/g, '')}`
+    );
+    if (sourceCountries.length === 1) {
+      params.query = `${params.query} ${sourceCountries[0]}`;
+    } else if (sourceCountries.length > 1) {
+      params.query = `${params.query} (${sourceCountries.join(' OR ')})`;
+    }
+
+    // Language filter: GDELT names source languages in English ("sourcelang:spanish")
+    const sourceLanguages = getRequestedLanguages(lang).map(
+      language => `sourcelang:${language.name.toLowerCase().replace(/[^a-z]/g, '')}`
+    );
+    if (sourceLanguages.length === 1) {
+      params.query = `${params.query} ${sourceLanguages[0]}`;
+    } else if (sourceLanguages.length > 1) {
+      params.query = `${params.query} (${sourceLanguages.join(' OR ')})`;
+    }
+
+    // Date range: GDELT takes UTC timestamps as YYYYMMDDHHMMSS (it only searches
+    // the last three months, so older windows come back empty)
+    const dateWindow = getDateWindow({ from, to, since });
+    if (dateWindow && dateWindow.start) {
+      params.startdatetime = toGdeltDateTime(dateWindow.start);
+    }
+    if (dateWindow && dateWindow.end) {
+      params.enddatetime = toGdeltDateTime(dateWindow.end);
     }
 
     console.log('[GDELT] Fetching articles with query:', params.query);
@@ -93,51 +135,9 @@ async function fetchGdeltArticles({ query, country, category }) {
       }
     }
 
-    // Normalize GDELT articles to consistent format
-    const normalizedArticles = articleList
-      .filter(article => {
-        // Keep articles that have at least a URL or title
-        const url = article.url || article.shareurl || article.articleurl || article.articleURL || '';
-        const title = article.title || article.seotitle || article.seoTitle || '';
-        return url || title;
-      })
-      .map(article => {
-        const url = article.url || article.shareurl || article.articleurl || article.articleURL || '';
-        const title = article.title || article.seotitle || article.seoTitle || 'No title';
-        // Try multiple fields for description - but ensure it's not just the title
-        let description = article.seodescription || article.seoDescription || article.snippet || article.description || article.bodyText || article.summary || '';
-        
-        // Normalize both title and description for comparison
-        const normalizedTitle = (title || '').toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
-        const normalizedDesc = (description || '').toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
-        
-        // Calculate word overlap between title and description
-        const titleWords = new Set(normalizedTitle.split(/\s+/).filter(w => w.length > 2));
-        const descWords = normalizedDesc.split(/\s+/).filter(w => w.length > 2);
-        const matchingWords = descWords.filter(w => titleWords.has(w));
-        const overlapRatio = descWords.length > 0 ? matchingWords.length / descWords.length : 0;
-        
-        // If description is too short, same as title, has high word overlap with title, or just repeats title, use fallback
-        if (!description || 
-            description.length < 50 || 
-            normalizedDesc === normalizedTitle ||
-            normalizedDesc.startsWith(normalizedTitle) ||
-            normalizedTitle.startsWith(normalizedDesc) ||
-            overlapRatio > 0.6) { // Lowered from 0.7 to 0.6 - more aggressive filtering
-          description = 'No description available.';
-        }
-        
-        // Try multiple fields for date
-        const publishedAt = article.seendate || article.seenDate || article.date || article.time || article.publishedAt || article.published || '';
-        
-        return {
-          title: title,
-          description: description,
-          url: url,
-          publishedAt: publishedAt,
-          sourceName: 'GDELT'
-        };
-      })
+    // Normalize GDELT articles to the shared NormalizedArticle shape
+    // (the normalizer replaces descriptions that only repeat the title)
+    const normalizedArticles = normalizeArticles(articleList, 'gdelt')
       .filter(article => {
         // Final validation - must have URL, title, AND a valid description (not just "No description available")
         const hasUrl = article.url && article.url.trim() !== '';
@@ -165,4 +165,11 @@ async function fetchGdeltArticles({ query, country, category }) {
   }
 }
 
+/**
+ * GDELT date parameter format: 2026-10-18T09:30:00Z -> "20261018093000"
+ */
+function toGdeltDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, '').replace(/\D/g, '');
+}
+
 module.exports = { fetchGdeltArticles };
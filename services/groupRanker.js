@@ -0,0 +1,123 @@
+const { getSourcePriority } = require('./sourceRegistry');
+const { getPublisherKey } = require('./publisherRegistry');
+const { RANKING_WEIGHTS, RANKING_SETTINGS } = require('../config/ranking');
+
+/**
+ * Ranks story groups by a weighted sum of named signals (config/ranking.js).
+ *
+ * Every ranked group gets a `ranking` breakdown - its score plus each signal's
+ * value, weight and contribution - which /aggregate returns with ?debug=1 so
+ * editors can see why a story ranks where it does.
+ */
+
+/**
+ * Distinct publishers in a group (not providers - see getPublisherKey)
+ */
+function getUniqueSources(group) {
+  return new Set(group.articles.map(getPublisherKey));
+}
+
+function getLatestDate(group) {
+  const dates = group.articles
+    .map(article => (article.publishedAt ? new Date(article.publishedAt).getTime() : 0))
+    .filter(date => date > 0);
+  return dates.length > 0 ? Math.max(...dates) : 0;
+}
+
+/**
+ * 0-1 trust in one article: its publisher's registry trust score, or for
+ * unrated publishers the provider's adapter priority (1 = 1, 2 = 0.5, ...)
+ */
+function getArticleTrust(article) {
+  if (article.publisher && article.publisher.trust !== null && article.publisher.trust !== undefined) {
+    return article.publisher.trust / 100;
+  }
+  const priority = getSourcePriority(article.source);
+  return priority > 0 ? Math.min(1, 1 / priority) : 1;
+}
+
+function hasRealDescription(article) {
+  const description = (article.description || '').trim();
+  return description !== 'No description available.' && description.length >= 50;
+}
+
+// Each signal maps a group to 0-1
+const SIGNALS = {
+  sourceDiversity(group) {
+    const count = getUniqueSources(group).size;
+    return Math.min(1, Math.max(0, count - 1) / (RANKING_SETTINGS.diversitySaturation - 1));
+  },
+
+  sourceTrust(group) {
+    return Math.max(...group.articles.map(getArticleTrust));
+  },
+
+  recency(group, now) {
+    const latestDate = getLatestDate(group);
+    if (latestDate === 0) return 0;
+    const hoursAgo = Math.max(0, (now - latestDate) / (1000 * 60 * 60));
+    return Math.pow(0.5, hoursAgo / RANKING_SETTINGS.recencyHalfLifeHours);
+  },
+
+  articleCount(group) {
+    const count = group.articles.reduce(
+      (sum, article) => sum + 1 + (article.alsoPublishedBy ? article.alsoPublishedBy.length : 0),
+      0
+    );
+    return Math.min(1, Math.log(1 + count) / Math.log(1 + RANKING_SETTINGS.articleCountSaturation));
+  },
+
+  contentRichness(group) {
+    const perArticle = group.articles.map(article => {
+      const hasFullText = article.contentSource === 'extracted' ||
+        (article.content || '').length >= RANKING_SETTINGS.fullTextChars;
+      return (Number(hasRealDescription(article)) + Number(!!article.imageUrl) + Number(hasFullText)) / 3;
+    });
+    return perArticle.length > 0 ? perArticle.reduce((sum, value) => sum + value, 0) / perArticle.length : 0;
+  }
+};
+
+/**
+ * Score breakdown for one group
+ *
+ * @param {Object} group - { articles: Array<NormalizedArticle> }
+ * @param {number} [now] - Reference time for recency (ms)
+ * @returns {{score: number, signals: Object<string, {value: number, weight: number, contribution: number}>}}
+ */
+function scoreGroup(group, now = Date.now()) {
+  const signals = {};
+  let score = 0;
+  Object.entries(SIGNALS).forEach(([name, signal]) => {
+    const value = group.articles.length > 0 ? signal(group, now) : 0;
+    const weight = RANKING_WEIGHTS[name] || 0;
+    const contribution = value * weight;
+    signals[name] = {
+      value: Number(value.toFixed(4)),
+      weight,
+      contribution: Number(contribution.toFixed(4))
+    };
+    score += contribution;
+  });
+  return { score: Number(score.toFixed(4)), signals };
+}
+
+/**
+ * Sorts groups by score (highest first; the newest article breaks ties) and
+ * attaches each group's breakdown as `group.ranking`
+ *
+ * @param {Array<Object>} groups
+ * @param {number} [now]
+ * @returns {Array<Object>} The same array, sorted in place
+ */
+function rankGroups(groups, now = Date.now()) {
+  groups.forEach(group => {
+    group.ranking = scoreGroup(group, now);
+  });
+  return groups.sort((a, b) => b.ranking.score - a.ranking.score || getLatestDate(b) - getLatestDate(a));
+}
+
+module.exports = {
+  SIGNALS,
+  scoreGroup,
+  rankGroups
+};
@@ -1,5 +1,10 @@
 const axios = require('axios');
 const { GUARDIAN_API_KEY } = require('../config/apiKeys');
+const { normalizeArticles } = require('./normalize');
+const { getCountry, getCountryTerms, parseCountryCodes } = require('./countryRegistry');
+const { getProviderCategory } = require('./categoryTaxonomy');
+const { getDateWindow } = require('./dateRange');
+const { getRequestedLanguages } = require('./languageRegistry');
 
 const GUARDIAN_BASE_URL = 'https://content.guardianapis.com';
 
@@ -7,19 +12,31 @@ const GUARDIAN_BASE_URL = 'https://content.guardianapis.com';
  * Fetches and normalizes articles from The Guardian API
  * @param {Object} params - Query parameters
  * @param {string} params.query - Search term/topic
- * @param {string} [params.country] - Country code (e.g., 'us')
- * @param {string} [params.category] - Category (e.g., 'sports', 'business')
- * @returns {Promise<Array>} Array of normalized Guardian articles
+ * @param {string} [params.country] - Country code(s) (e.g., 'US' or 'CA,MX,US')
+ * @param {string} [params.category] - Category id (e.g., 'sport', 'sport/tennis')
+ * @param {string} [params.from] - Earliest publication time (ISO, see services/dateRange.js)
+ * @param {string} [params.to] - Latest publication time (ISO)
+ * @param {string} [params.since] - Relative window (e.g., '24h', '7d')
+ * @param {string} [params.lang] - Language code(s) or 'all' (e.g., 'es', 'en,fr'; see services/languageRegistry.js)
+ * @returns {Promise<Array<NormalizedArticle>>} Array of normalized Guardian articles
  */
-async function fetchGuardianArticles({ query, country, category }) {
+async function fetchGuardianArticles({ query, country, category, from, to, since, lang }) {
   try {
-    console.log('[Guardian] fetchGuardianArticles called with:', { query, country, category });
+    console.log('[Guardian] fetchGuardianArticles called with:', { query, country, category, from, to, since, lang });
     
     if (!GUARDIAN_API_KEY) {
       console.warn('[Guardian] No API key provided, returning empty array');
       return [];
     }
 
+    // The Guardian publishes in English only
+    const languages = getRequestedLanguages(lang);
+    if (languages.length > 0 && !languages.some(language => language.code === 'en')) {
+      console.log('[Guardian] English not requested - skipping:', languages.map(language => language.code).join(','));
+      console.log('Guardian returned 0 results');
+      return [];
+    }
+
     const params = {
       'api-key': GUARDIAN_API_KEY,
       'show-fields': 'trailText,bodyText,thumbnail',
@@ -46,40 +63,30 @@ async function fetchGuardianArticles({ query, country, category }) {
     if (hasSearchQuery) {
       // Build query with country filter if provided
       searchQuery = query.trim();
-      if (country) {
-        const countryName = getCountryName(country);
-        if (countryName) {
-          const countryTerms = [countryName, country.toUpperCase()].map(term => `"${term}"`).join(' OR ');
-          searchQuery = `(${searchQuery}) AND (${countryTerms})`;
-        }
+      const countryTerms = getGuardianCountryTerms(country);
+      if (countryTerms) {
+        searchQuery = `(${searchQuery}) AND (${countryTerms})`;
       }
       params.q = searchQuery;
       console.log('[Guardian] SEARCH MODE: Using search query:', searchQuery);
     } 
     // If category is provided but no search query, use category (category mode)
     else if (hasCategory) {
-      const categoryMap = {
-        'sports': 'sport',
-        'business': 'business',
-        'technology': 'technology',
-        'politics': 'politics',
-        'health': 'health',
-        'science': 'science',
-        'entertainment': 'culture',
-        'world': 'world',
-        'us': 'us-news'
-      };
-      params.section = categoryMap[category] || category;
-      console.log('[Guardian] CATEGORY MODE: Using category:', params.section);
-      
-      // Add country filter to category search if provided
-      if (country) {
-        const countryName = getCountryName(country);
-        if (countryName) {
-          const countryTerms = [countryName, country.toUpperCase()].map(term => `"${term}"`).join(' OR ');
-          params.q = countryTerms;
-          searchQuery = countryTerms; // Set for logging
-        }
+      // Taxonomy mapping (config/categories.json); values with a '/' are Guardian tags
+      const { value, keywords } = getProviderCategory('guardian', category);
+      if (value && value.includes('/')) {
+        params.tag = value;
+      } else if (value) {
+        params.section = value;
+      }
+      console.log('[Guardian] CATEGORY MODE: Using category:', value, keywords ? `(keywords: ${keywords})` : '');
+
+      // Sections without their own mapping and the country filter narrow the category by keyword
+      const countryTerms = getGuardianCountryTerms(country);
+      const terms = [keywords, countryTerms].filter(Boolean);
+      if (terms.length > 0) {
+        params.q = terms.length > 1 ? terms.map(term => `(${term})`).join(' AND ') : terms[0];
+        searchQuery = params.q; // Set for logging
       }
     }
     // If neither query nor category, return empty (shouldn't happen in normal flow)
@@ -88,9 +95,18 @@ async function fetchGuardianArticles({ query, country, category }) {
       return [];
     }
 
+    // Date range: Guardian filters by day (UTC); the pipeline trims the window's exact times
+    const dateWindow = getDateWindow({ from, to, since });
+    if (dateWindow && dateWindow.start) {
+      params['from-date'] = dateWindow.start.toISOString().slice(0, 10);
+    }
+    if (dateWindow && dateWindow.end) {
+      params['to-date'] = dateWindow.end.toISOString().slice(0, 10);
+    }
+
     console.log('[Guardian] Fetching articles with params:', {
       query: searchQuery || params.q || 'none',
-      section: params.section || 'none',
+      section: params.section || params.tag || 'none',
       country: country || 'none'
     });
 
@@ -111,17 +127,9 @@ async function fetchGuardianArticles({ query, country, category }) {
     const rawArticles = response.data.response.results || [];
     console.log('[Guardian] Raw articles received:', rawArticles.length);
     
-    // Normalize Guardian articles to consistent format
-    const normalizedArticles = rawArticles
-      .filter(article => article.webUrl && article.webTitle) // Only keep articles with required fields
-      .map(article => ({
-        title: article.webTitle || 'No title',
-        description: article.fields?.trailText || article.fields?.bodyText?.substring(0, 200) || 'No description available.',
-        url: article.webUrl || '',
-        publishedAt: article.webPublicationDate || '',
-        sourceName: 'Guardian'
-      }))
-      .filter(article => article.url && article.title); // Final validation
+    // Normalize Guardian articles to the shared NormalizedArticle shape
+    // (keeps bodyText as content, thumbnail as imageUrl and the byline as author)
+    const normalizedArticles = normalizeArticles(rawArticles, 'guardian');
 
     console.log(`Guardian returned ${normalizedArticles.length} results`);
     
@@ -139,27 +147,26 @@ async function fetchGuardianArticles({ query, country, category }) {
 }
 
 /**
- * Helper to get country name from code
+ * Guardian keyword filter for one or more countries from the country registry:
+ * "Canada" OR "Canadian" OR ... (null when no code is known). Guardian search
+ * ignores case and punctuation, so abbreviations like "US" or "U.S." would
+ * match ordinary words and are left out. Several countries only use their
+ * names to keep the query short.
  */
-function getCountryName(countryCode) {
-  const countryMap = {
-    'us': 'United States',
-    'gb': 'United Kingdom',
-    'ca': 'Canada',
-    'au': 'Australia',
-    'de': 'Germany',
-    'fr': 'France',
-    'it': 'Italy',
-    'es': 'Spain',
-    'jp': 'Japan',
-    'cn': 'China',
-    'in': 'India',
-    'br': 'Brazil',
-    'mx': 'Mexico',
-    'ru': 'Russia',
-    'kr': 'South Korea'
-  };
-  return countryMap[countryCode?.toLowerCase()] || null;
+function getGuardianCountryTerms(country) {
+  const codes = parseCountryCodes(country);
+  if (codes.length === 0) return null;
+
+  const unknown = codes.filter(code => !getCountry(code));
+  if (unknown.length > 0) {
+    console.warn('[Guardian] Unknown country code(s), not filtering by them:', unknown.join(','));
+  }
+  const knownCodes = codes.filter(code => !unknown.includes(code));
+  const terms = knownCodes.length === 1
+    ? getCountryTerms(knownCodes[0]).filter(term => /\p{Ll}/u.test(term))
+    : knownCodes.map(code => getCountry(code).name);
+  if (terms.length === 0) return null;
+  return terms.map(term => `"${term}"`).join(' OR ');
 }
 
 module.exports = { fetchGuardianArticles };
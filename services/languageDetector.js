@@ -0,0 +1,100 @@
+const { getLanguages, foldText } = require('./languageRegistry');
+
+/**
+ * Offline language detection for articles whose provider doesn't report a
+ * language (RSS feeds without <language>, some aggregator items).
+ *
+ * The writing system settles most non-Latin text (Han with kana is Japanese,
+ * Han alone Chinese). Within a script, the language whose stopwords
+ * (config/languages.json) cover the most words wins. Detection only answers
+ * when the text is long enough and one language clearly leads, so a short
+ * headline never gets a confident wrong label.
+ */
+
+// Writing systems, checked per letter
+const SCRIPT_PATTERNS = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Han', /\p{Script=Han}/u],
+  ['Kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/u]
+];
+
+// A language needs this many stopword hits, and more than the runner-up
+const MIN_STOPWORD_HITS = 2;
+// Letters below which the script count is not trusted either
+const MIN_LETTERS = 12;
+// Only the start of long bodies is read
+const MAX_TEXT_CHARS = 1000;
+
+/**
+ * The dominant writing system of a text
+ * @returns {string|null} "Latin", "Cyrillic", "Arabic", "Han", "Japanese" or null
+ */
+function getDominantScript(text) {
+  const counts = new Map();
+  let letters = 0;
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    letters++;
+    const entry = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    if (entry) counts.set(entry[0], (counts.get(entry[0]) || 0) + 1);
+  }
+  if (letters < MIN_LETTERS) return null;
+
+  // Japanese mixes kanji (Han) with kana
+  const kana = counts.get('Kana') || 0;
+  const han = counts.get('Han') || 0;
+  if (kana > 0 && kana + han > letters / 2) return 'Japanese';
+
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, script) => {
+    if (script !== 'Kana' && count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  });
+  return bestCount > letters / 2 ? best : null;
+}
+
+/**
+ * Detects the language of a text
+ * @param {string} text
+ * @returns {string|null} ISO 639-1 code, or null when unsure
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, MAX_TEXT_CHARS);
+  const script = getDominantScript(sample);
+  if (!script) return null;
+
+  const candidates = getLanguages().filter(language => language.script === script);
+  if (candidates.length === 0) return null;
+  if (candidates.length === 1 && candidates[0].stopwords.size === 0) return candidates[0].code;
+
+  const words = foldText(sample).match(/[\p{L}\p{N}]+/gu) || [];
+  const scores = candidates
+    .map(language => ({
+      code: language.code,
+      hits: words.filter(word => language.stopwords.has(word)).length
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (best.hits < MIN_STOPWORD_HITS) return null;
+  if (runnerUp && runnerUp.hits >= best.hits) return null;
+  return best.code;
+}
+
+/**
+ * Detects an article's language from its headline, description and the start of its body
+ * @param {NormalizedArticle} article
+ * @returns {string|null}
+ */
+function detectArticleLanguage(article) {
+  const description = article.description === 'No description available.' ? '' : article.description;
+  const content = article.content === article.description ? '' : article.content;
+  return detectLanguage([article.title, description, content].filter(Boolean).join('\n'));
+}
+
+module.exports = { detectLanguage, detectArticleLanguage };
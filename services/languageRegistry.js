@@ -0,0 +1,249 @@
+const fs = require('fs');
+const { LANGUAGES_FILE, DEFAULT_NEWS_LANGUAGES } = require('../config/languages');
+
+/**
+ * The languages the site can ingest, shared by every layer.
+ *
+ * config/languages.json is loaded once. The routes resolve ?lang= with
+ * resolveLanguageSelection, the provider clients turn the selection into each
+ * API's own language filter, the normalizer names the language of articles
+ * whose provider doesn't report it (services/languageDetector.js), story
+ * grouping leaves out each language's stopwords and the summarizer names the
+ * languages a story was covered in.
+ *
+ * A selection is one or more codes ("es", "en,fr") or "all". Like countries it
+ * has one canonical value - the sorted codes joined by commas - so the
+ * response cache sees the same key however it was written.
+ *
+ * @typedef {Object} Language
+ * @property {string} code - ISO 639-1, lower case
+ * @property {string} name - English name, e.g. "Spanish" (GDELT's sourcelang)
+ * @property {string} script - "Latin", "Cyrillic", "Arabic", "Han" or "Japanese"
+ * @property {Set<string>} stopwords - Folded (lower case, no accents)
+ *
+ * @typedef {Object} LanguageSelection
+ * @property {Array<string>} codes - Selected language codes, sorted; empty for all languages
+ * @property {string} lang - Canonical value ("en", "en,es" or "all")
+ * @property {string|null} error - Why the selection is invalid
+ */
+
+const ALL_LANGUAGES = 'all';
+
+let languages = null; // code -> Language, in file order
+let languagesByName = null; // lower-case English name -> code
+
+/**
+ * Lower case without accents or other combining marks, the form stopwords
+ * and article words are compared in
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+function ensureLoaded() {
+  if (languages) return;
+  languages = new Map();
+  languagesByName = new Map();
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LANGUAGES_FILE, 'utf8'));
+    Object.entries(parsed.languages || {}).forEach(([rawCode, entry]) => {
+      const code = rawCode.trim().toLowerCase();
+      if (!/^[a-z]{2}$/.test(code) || !entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        console.warn(`[Languages] Skipping invalid language entry "${rawCode}"`);
+        return;
+      }
+      const stopwords = (Array.isArray(entry.stopwords) ? entry.stopwords : [])
+        .filter(word => typeof word === 'string' && word.trim())
+        .map(word => foldText(word.trim()));
+      languages.set(code, {
+        code,
+        name: entry.name.trim(),
+        script: typeof entry.script === 'string' && entry.script.trim() ? entry.script.trim() : 'Latin',
+        stopwords: new Set(stopwords)
+      });
+      languagesByName.set(entry.name.trim().toLowerCase(), code);
+    });
+    console.log(`[Languages] Loaded ${languages.size} languages from ${LANGUAGES_FILE}`);
+  } catch (error) {
+    console.error('[Languages] Failed to load language registry:', error.message);
+  }
+}
+
+/**
+ * Every supported language, in registry order
+ * @returns {Array<Language>}
+ */
+function getLanguages() {
+  ensureLoaded();
+  return [...languages.values()];
+}
+
+/**
+ * @param {string} code - e.g. "es"
+ * @returns {Language|null}
+ */
+function getLanguage(code) {
+  ensureLoaded();
+  return languages.get(String(code || '').trim().toLowerCase()) || null;
+}
+
+/**
+ * A provider's language value as a supported code: "en", "en-US", "EN" and
+ * "English" all become "en"
+ * @param {string} value
+ * @returns {string} Empty when the language is missing or not supported
+ */
+function normalizeLanguageCode(value) {
+  ensureLoaded();
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return '';
+  const code = text.split(/[-_]/)[0];
+  if (languages.has(code)) return code;
+  return languagesByName.get(text) || '';
+}
+
+/**
+ * Stopwords of a language
+ * @param {string} code
+ * @returns {Set<string>|null} Null for unsupported languages
+ */
+function getStopwords(code) {
+  const language = getLanguage(code);
+  return language ? language.stopwords : null;
+}
+
+/**
+ * Parses ?lang= values into unique lower-case codes: "en,ES" -> ["en", "es"]
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+function parseLanguageCodes(value) {
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item || '').split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(parts)];
+}
+
+/**
+ * Resolves the ?lang= parameter of a request (DEFAULT_NEWS_LANGUAGES when missing)
+ *
+ * @param {string|Array<string>} [lang] - "es", "en,fr" or "all"
+ * @returns {LanguageSelection}
+ */
+function resolveLanguageSelection(lang) {
+  const requested = parseLanguageCodes(lang);
+  const codes = requested.length > 0 ? requested : parseLanguageCodes(DEFAULT_NEWS_LANGUAGES);
+
+  if (codes.includes(ALL_LANGUAGES)) {
+    return { codes: [], lang: ALL_LANGUAGES, error: null };
+  }
+  const unknown = codes.filter(code => !getLanguage(code));
+  if (unknown.length > 0) {
+    return {
+      codes: [],
+      lang: undefined,
+      error: `Unknown language code(s): ${unknown.join(', ')} (expected ${getLanguages().map(language => language.code).join(', ')} or ${ALL_LANGUAGES})`
+    };
+  }
+  const sorted = [...codes].sort();
+  return { codes: sorted, lang: sorted.join(','), error: null };
+}
+
+/**
+ * The languages a provider should ask for
+ * @param {string} [lang] - The newsQuery's lang (undefined uses DEFAULT_NEWS_LANGUAGES)
+ * @returns {Array<Language>} Empty for all languages
+ */
+function getRequestedLanguages(lang) {
+  const { codes, error } = resolveLanguageSelection(lang);
+  if (error) {
+    console.warn(`[Languages] ${error} - not filtering by language`);
+    return [];
+  }
+  return codes.map(getLanguage);
+}
+
+/**
+ * Keeps the articles in the requested languages. Articles the provider
+ * reported in a language the registry doesn't have (reportedLanguage) are
+ * dropped; only articles whose language could not be told at all are kept,
+ * since nothing says they are in another one.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {string} [lang] - The newsQuery's lang
+ * @returns {Array<NormalizedArticle>}
+ */
+function filterArticlesByLanguage(articles, lang) {
+  const codes = new Set(getRequestedLanguages(lang).map(language => language.code));
+  if (codes.size === 0) return articles;
+  return articles.filter(article => (
+    codes.has(article.language) || (!article.language && !article.reportedLanguage)
+  ));
+}
+
+/**
+ * Whether the selection is the default one, so cache keys without ?lang= stay as they were
+ * @param {string} [lang]
+ * @returns {boolean}
+ */
+function isDefaultLanguageSelection(lang) {
+  return resolveLanguageSelection(lang).lang === resolveLanguageSelection().lang;
+}
+
+/**
+ * The languages a group of articles was written in, most covered first
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Array<{code: string, name: string, articleCount: number, sources: Array<string>}>}
+ *   Articles of unknown language are left out
+ */
+function getLanguageCoverage(articles) {
+  const coverage = new Map();
+  (articles || []).forEach(article => {
+    const language = getLanguage(article.language);
+    if (!language) return;
+    if (!coverage.has(language.code)) {
+      coverage.set(language.code, { code: language.code, name: language.name, articleCount: 0, sources: [] });
+    }
+    const entry = coverage.get(language.code);
+    const source = article.sourceName || article.source || 'Unknown';
+    entry.articleCount++;
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+  });
+  return [...coverage.values()].sort((a, b) => b.sources.length - a.sources.length || b.articleCount - a.articleCount);
+}
+
+/**
+ * One sentence naming the language communities that covered a story, e.g.
+ * "Covered in English (3 sources) and German (1 source)."
+ *
+ * @param {Array<Object>} coverage - getLanguageCoverage() result
+ * @returns {string} Empty unless at least two languages are involved
+ */
+function describeLanguageCoverage(coverage) {
+  if (!coverage || coverage.length < 2) return '';
+  const parts = coverage.map(entry =>
+    `${entry.name} (${entry.sources.length} source${entry.sources.length === 1 ? '' : 's'})`
+  );
+  return `Covered in ${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}.`;
+}
+
+module.exports = {
+  ALL_LANGUAGES,
+  foldText,
+  getLanguages,
+  getLanguage,
+  normalizeLanguageCode,
+  getStopwords,
+  parseLanguageCodes,
+  resolveLanguageSelection,
+  getRequestedLanguages,
+  filterArticlesByLanguage,
+  isDefaultLanguageSelection,
+  getLanguageCoverage,
+  describeLanguageCoverage
+};
@@ -1,9 +1,19 @@
 const axios = require('axios');
 const { OPENROUTER_API_KEY, LLM_API_URL, LLM_MODEL } = require('../config/apiKeys');
+const { getCachedSummary, storeSummary } = require('./summaryCache');
+const { getLanguage, getLanguageCoverage, describeLanguageCoverage } = require('./languageRegistry');
+
+// How much of each article's body text is sent to the LLM
+// (Guardian/RSS articles carry full body text, the others only a description)
+const MAX_CONTENT_CHARS_PER_ARTICLE = 2000;
 
 /**
  * Summarizes a group of articles (multi-source).
  * Always returns an object with { groupId, groupTitle, summary }.
+ * LLM summaries are cached on disk by group membership (services/summaryCache.js),
+ * so a group that was already summarized never costs a second LLM call.
+ * Groups covered in several languages are synthesized in English and the
+ * summary ends by naming the language communities that covered the story.
  */
 async function summarizeArticleGroup(group) {
   try {
@@ -21,13 +31,25 @@ async function summarizeArticleGroup(group) {
       return generateBasicSummary(group);
     }
 
+    const cached = getCachedSummary(group);
+    if (cached) {
+      console.log(`[LLM] Using cached summary (${cached.match} match) for ${group.groupId}`);
+      return {
+        groupId: group.groupId,
+        groupTitle: cached.groupTitle,
+        summary: cached.summary,
+        aiSummary: cached.summary
+      };
+    }
+
     // Build text for all articles in the group
     const articlesText = group.articles.map((article, index) => {
       const src = (article.source || article.sourceName || 'Unknown').toUpperCase();
-      return `[${src} - Article ${index + 1}]
+      const language = getLanguage(article.language);
+      return `[${src} - Article ${index + 1}]${language ? `\nLanguage: ${language.name}` : ''}
 Title: ${article.title || 'No title'}
 Description: ${article.description || 'No description'}
-Content: ${(article.content || article.description || '').slice(0, 800) || 'No content available'}
+Content: ${(article.content || article.description || '').slice(0, MAX_CONTENT_CHARS_PER_ARTICLE) || 'No content available'}
 URL: ${article.url || 'Unknown URL'}
 Published: ${article.publishedAt || 'Unknown date'}
 ---`;
@@ -39,7 +61,7 @@ Your task is to create ONE extremely detailed, comprehensive, information-dense
 Here are the articles:
 
 ${articlesText}
-
+${getLanguageInstructions(group)}
 Return ONLY valid JSON with this exact shape:
 
 {
@@ -193,7 +215,7 @@ The summary should provide complete, comprehensive understanding of the story wi
       }
     }
 
-    const summary = cleanedSummary;
+    const summary = withLanguageCoverage(cleanedSummary, group);
 
     // Clean up / regenerate title if it's too generic
     const genericPatterns = ['news story', 'story 1', 'story 2', 'latest news', 'news coverage', 'breaking news'];
@@ -213,6 +235,8 @@ The summary should provide complete, comprehensive understanding of the story wi
       groupTitle = rawTitle;
     }
 
+    storeSummary(group, { groupTitle, summary });
+
     return {
       groupId: group.groupId,
       groupTitle,
@@ -227,6 +251,29 @@ The summary should provide complete, comprehensive understanding of the story wi
   }
 }
 
+/**
+ * Extra prompt instructions for groups covered in more than one language
+ */
+function getLanguageInstructions(group) {
+  const coverage = getLanguageCoverage(group.articles);
+  if (coverage.length < 2) return '';
+  const names = coverage.map(entry => entry.name);
+  return `
+These articles were written in ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}. Write the title and summary in English, synthesize the facts reported in every language, and end the summary with one sentence on which language communities covered the story and how their emphasis differed, if it did.
+`;
+}
+
+/**
+ * Appends the language-coverage sentence to a summary of a multilingual
+ * group unless the summary already names every language
+ */
+function withLanguageCoverage(summary, group) {
+  const coverage = getLanguageCoverage(group.articles);
+  const note = describeLanguageCoverage(coverage);
+  if (!note || coverage.every(entry => summary.includes(entry.name))) return summary;
+  return `${summary} ${note}`;
+}
+
 /**
  * Expand a short summary by adding more details from articles
  */
@@ -358,7 +405,7 @@ function generateBasicSummary(group) {
       : `Multiple sources (${sources.join(', ')}) reported on this story, but details are limited.`;
   }
 
-  summary = summary.replace(/\s+/g, ' ').trim();
+  summary = withLanguageCoverage(summary.replace(/\s+/g, ' ').trim(), group);
 
   const groupTitle = generateNeutralTitle(
     articles[0]?.title,
@@ -1,5 +1,11 @@
 const axios = require('axios');
 const { MEDIASTACK_API_KEY } = require('../config/apiKeys');
+const { normalizeArticles } = require('./normalize');
+const { getCountry, parseCountryCodes } = require('./countryRegistry');
+const { getProviderCategory } = require('./categoryTaxonomy');
+const { getDateWindow } = require('./dateRange');
+const { getRequestedLanguages } = require('./languageRegistry');
+const { DATE_RANGE_MAX_DAYS } = require('../config/dateRange');
 
 const MEDIASTACK_BASE_URL = 'http://api.mediastack.com/v1';
 
@@ -7,11 +13,15 @@ const MEDIASTACK_BASE_URL = 'http://api.mediastack.com/v1';
  * Fetches and normalizes articles from Mediastack API
  * @param {Object} params - Query parameters
  * @param {string} params.query - Search term/topic
- * @param {string} [params.country] - Country code (e.g., 'us')
- * @param {string} [params.category] - Category (e.g., 'sports', 'business')
- * @returns {Promise<Array>} Array of normalized Mediastack articles
+ * @param {string} [params.country] - Country code(s) (e.g., 'US' or 'CA,MX,US')
+ * @param {string} [params.category] - Category id (e.g., 'sport', 'sport/tennis')
+ * @param {string} [params.from] - Earliest publication time (ISO, see services/dateRange.js)
+ * @param {string} [params.to] - Latest publication time (ISO)
+ * @param {string} [params.since] - Relative window (e.g., '24h', '7d')
+ * @param {string} [params.lang] - Language code(s) or 'all' (e.g., 'es', 'en,fr'; see services/languageRegistry.js)
+ * @returns {Promise<Array<NormalizedArticle>>} Array of normalized Mediastack articles
  */
-async function fetchMediastackArticles({ query, country, category }) {
+async function fetchMediastackArticles({ query, country, category, from, to, since, lang }) {
   try {
     if (!MEDIASTACK_API_KEY) {
       console.warn('[Mediastack] No API key provided, returning empty array');
@@ -21,37 +31,53 @@ async function fetchMediastackArticles({ query, country, category }) {
 
     const params = {
       access_key: MEDIASTACK_API_KEY,
-      languages: 'en',
       limit: 50
     };
 
+    // Language filter (comma-separated ISO codes; none for all languages)
+    const languages = getRequestedLanguages(lang);
+    if (languages.length > 0) {
+      params.languages = languages.map(language => language.code).join(',');
+    }
+
     // Add keywords/search query
     if (query && query.trim()) {
       params.keywords = query;
     }
 
-    // Add country filter (Mediastack uses ISO country codes)
-    if (country) {
-      params.countries = country.toLowerCase();
+    // Add country filter (Mediastack takes a comma-separated list of ISO country codes)
+    const countryCodes = parseCountryCodes(country);
+    const knownCodes = countryCodes.filter(code => getCountry(code));
+    if (knownCodes.length < countryCodes.length) {
+      console.warn('[Mediastack] Unknown country code(s), not filtering by them:', countryCodes.filter(code => !knownCodes.includes(code)).join(','));
+    }
+    if (knownCodes.length > 0) {
+      params.countries = knownCodes.map(code => code.toLowerCase()).join(',');
+    }
+
+    // Add category filter (taxonomy mapping in config/categories.json)
+    const categoryMapping = getProviderCategory('mediastack', category);
+    if (categoryMapping) {
+      if (categoryMapping.value) {
+        params.categories = categoryMapping.value;
+      }
+      // Sections without their own category are narrowed by keyword
+      if (categoryMapping.keywords && !params.keywords) {
+        params.keywords = categoryMapping.keywords;
+      }
     }
 
-    // Add category filter
-    if (category) {
-      const categoryMap = {
-        'sports': 'sports',
-        'business': 'business',
-        'technology': 'technology',
-        'politics': 'politics',
-        'health': 'health',
-        'science': 'science',
-        'entertainment': 'entertainment',
-        'general': 'general'
-      };
-      const mediastackCategory = categoryMap[category] || category;
-      params.categories = mediastackCategory;
+    // Date range: Mediastack takes one day or a "start,end" range of days
+    const dateWindow = getDateWindow({ from, to, since });
+    if (dateWindow) {
+      const end = dateWindow.end || new Date();
+      const start = dateWindow.start || new Date(end.getTime() - DATE_RANGE_MAX_DAYS * 24 * 60 * 60 * 1000);
+      const startDay = start.toISOString().slice(0, 10);
+      const endDay = end.toISOString().slice(0, 10);
+      params.date = startDay === endDay ? startDay : `${startDay},${endDay}`;
     }
 
-    console.log('[Mediastack] Fetching articles with query:', query || 'none');
+    console.log('[Mediastack] Fetching articles with query:', query || 'none', params.date ? `(date: ${params.date})` : '');
 
     // Mediastack API endpoint: /news
     const endpoint = `${MEDIASTACK_BASE_URL}/news`;
@@ -69,31 +95,9 @@ async function fetchMediastackArticles({ query, country, category }) {
     // Mediastack API returns articles in data array
     const rawArticles = response.data?.data || [];
     
-    // Normalize Mediastack articles to consistent format
-    const normalizedArticles = rawArticles
-      .filter(article => article.url && article.title) // Only keep articles with required fields
-      .map(article => {
-        // Convert published_at timestamp to ISO string if needed
-        let publishedAt = article.published_at || article.publishedAt || '';
-        if (publishedAt && !publishedAt.includes('T') && !publishedAt.includes('-')) {
-          // If it's a timestamp, convert it
-          try {
-            const date = new Date(parseInt(publishedAt) * 1000);
-            publishedAt = date.toISOString();
-          } catch (e) {
-            // Keep original if conversion fails
-          }
-        }
-        
-        return {
-          title: article.title || 'No title',
-          description: article.description || 'No description available.',
-          url: article.url || '',
-          publishedAt: publishedAt,
-          sourceName: 'Mediastack'
-        };
-      })
-      .filter(article => article.url && article.title); // Final validation
+    // Normalize Mediastack articles to the shared NormalizedArticle shape
+    // (unix timestamps are converted to ISO strings by the normalizer)
+    const normalizedArticles = normalizeArticles(rawArticles, 'mediastack');
 
     console.log(`Mediastack returned ${normalizedArticles.length} results`);
     
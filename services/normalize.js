@@ -1,19 +1,28 @@
 const crypto = require('crypto');
+const { getArticlePublisher } = require('./publisherRegistry');
+const { normalizeLanguageCode } = require('./languageRegistry');
+const { detectArticleLanguage } = require('./languageDetector');
 
 /**
  * Normalized article shape that all sources map to
  * @typedef {Object} NormalizedArticle
  * @property {string} id - Unique ID (source + hash)
- * @property {'guardian'|'gdelt'|'mediastack'} source - Source identifier
+ * @property {'guardian'|'gdelt'|'currents'|'mediastack'|'rss'} source - Provider the article came through
  * @property {string} title - Article title
  * @property {string} [description] - Article description/summary
  * @property {string} [content] - Full article content
  * @property {string} url - Article URL
- * @property {string} sourceName - Source name for display
+ * @property {string} sourceName - Publisher (outlet) name for display, not the provider's
+ * @property {string} [providerName] - Provider display name (set by services/sourceRegistry.js)
  * @property {string} [imageUrl] - Article image URL
  * @property {string} [publishedAt] - ISO date string
  * @property {string} [author] - Author name
- * @property {string} [language] - Language code
+ * @property {string} [language] - ISO 639-1 code (config/languages.json) as reported by the
+ *   provider or detected from the text; empty when neither could tell
+ * @property {string} [reportedLanguage] - The provider's own language value, lower-cased, when
+ *   it names a language config/languages.json doesn't have ("hi", "korean"); language is empty then
+ * @property {{title: string, description: string, provider: string}} [gist] - English gist of an
+ *   article in another language, set before grouping (services/translation.js)
  */
 
 /**
@@ -25,6 +34,59 @@ function createArticleId(source, url, title) {
   return `${source}-${hash}`;
 }
 
+/**
+ * Display name of the outlet behind a URL: its publisher registry name
+ * (config/publishers.json), else the host name, else the fallback
+ */
+function getPublisherName(url, fallback) {
+  const publisher = url ? getArticlePublisher({ url }) : null;
+  return publisher ? publisher.name : fallback;
+}
+
+/**
+ * Converts the date formats returned by the providers to an ISO string
+ * Handles ISO strings, RFC 822 dates, unix timestamps (seconds),
+ * GDELT's compact "20261005T061200Z" and Currents' "2026-10-05 06:12:00 +0000"
+ */
+function toIsoDate(value) {
+  if (!value) return '';
+  const text = String(value).trim();
+
+  let date;
+  if (/^\d{9,11}$/.test(text)) {
+    date = new Date(parseInt(text, 10) * 1000);
+  } else if (/^\d{8}T\d{6}Z$/.test(text)) {
+    date = new Date(text.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  } else {
+    date = new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{4})$/, '$1T$2$3'));
+  }
+
+  return isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+/**
+ * The language fields of a provider's language value. Unsupported languages
+ * are kept as reportedLanguage, so the language filter can tell them from
+ * undetected ones.
+ * @param {string} value
+ * @returns {{language: string, reportedLanguage?: string}}
+ */
+function toLanguageFields(value) {
+  const language = normalizeLanguageCode(value);
+  const reported = String(value || '').trim().toLowerCase();
+  return language || !reported ? { language } : { language, reportedLanguage: reported };
+}
+
+/**
+ * Names the language when the provider didn't (services/languageDetector.js)
+ */
+function withLanguage(article) {
+  if (!article.language && !article.reportedLanguage) {
+    article.language = detectArticleLanguage(article) || '';
+  }
+  return article;
+}
+
 /**
  * Normalizes a Guardian API article to common shape
  * Guardian API fields used:
@@ -55,6 +117,35 @@ function normalizeGuardian(raw) {
   };
 }
 
+/**
+ * Picks a GDELT description, rejecting snippets that only repeat the title
+ */
+function getGdeltDescription(raw, title) {
+  const description = raw.seodescription || raw.seoDescription || raw.snippet || raw.description || raw.bodyText || raw.summary || '';
+
+  // Normalize both title and description for comparison
+  const normalizedTitle = (title || '').toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+  const normalizedDesc = (description || '').toLowerCase().trim().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+
+  // Calculate word overlap between title and description
+  const titleWords = new Set(normalizedTitle.split(/\s+/).filter(w => w.length > 2));
+  const descWords = normalizedDesc.split(/\s+/).filter(w => w.length > 2);
+  const matchingWords = descWords.filter(w => titleWords.has(w));
+  const overlapRatio = descWords.length > 0 ? matchingWords.length / descWords.length : 0;
+
+  // If description is too short, same as title, has high word overlap with title, or just repeats title, use fallback
+  if (!description ||
+      description.length < 50 ||
+      normalizedDesc === normalizedTitle ||
+      normalizedDesc.startsWith(normalizedTitle) ||
+      normalizedTitle.startsWith(normalizedDesc) ||
+      overlapRatio > 0.6) {
+    return 'No description available.';
+  }
+
+  return description;
+}
+
 /**
  * Normalizes a GDELT API article to common shape
  * GDELT API fields vary - handles multiple possible field names
@@ -66,16 +157,18 @@ function normalizeGdelt(raw) {
   // Common GDELT fields: url, shareurl, articleurl, title, seotitle, snippet, seodescription
   const url = raw.url || raw.shareurl || raw.articleurl || raw.articleURL || '';
   const title = raw.title || raw.seotitle || raw.seoTitle || 'No title';
-  const description = raw.seodescription || raw.seoDescription || raw.snippet || raw.description || 'No description available.';
+  const description = getGdeltDescription(raw, title);
   const content = raw.snippet || raw.body || description || 'No description available.';
   
   // GDELT date fields: seendate, date, time, publishedAt, published
-  const publishedAt = raw.seendate || raw.seenDate || raw.date || raw.time || raw.publishedAt || raw.published || '';
+  const publishedAt = toIsoDate(raw.seendate || raw.seenDate || raw.date || raw.time || raw.publishedAt || raw.published || '');
 
   // Extract source name from URL or source field
   let sourceName = 'GDELT';
   if (raw.source) {
     sourceName = raw.source;
+  } else if (raw.domain) {
+    sourceName = raw.domain.replace('www.', '');
   } else if (url) {
     try {
       const urlObj = new URL(url);
@@ -93,10 +186,11 @@ function normalizeGdelt(raw) {
     description: description,
     content: content,
     url: url,
-    imageUrl: raw.imageurl || raw.imageURL || raw.image || '',
+    imageUrl: raw.socialimage || raw.imageurl || raw.imageURL || raw.image || '',
     publishedAt: publishedAt,
-    author: raw.source || raw.sourceName || raw.author || '',
-    language: raw.language || 'en'
+    author: raw.author || '',
+    // GDELT reports languages by English name ("Spanish")
+    ...toLanguageFields(raw.language)
   };
 }
 
@@ -110,16 +204,14 @@ function normalizeGdelt(raw) {
  * - raw.image → imageUrl
  * - raw.author → author
  * - raw.language → language
- * - raw.source → sourceName
+ * - raw.source → sourceName (the publishing outlet; URL domain when missing)
  * @param {Object} raw - Raw Mediastack article
  * @returns {NormalizedArticle}
  */
 function normalizeMediastack(raw) {
-  // Extract source name
-  let sourceName = 'Mediastack';
-  if (raw.source) {
-    sourceName = typeof raw.source === 'string' ? raw.source : (raw.source.name || 'Mediastack');
-  }
+  // Mediastack relays hundreds of outlets - name the one that published it
+  const reportedSource = typeof raw.source === 'string' ? raw.source : (raw.source && raw.source.name);
+  const sourceName = (reportedSource && reportedSource.trim()) || getPublisherName(raw.url, 'Mediastack');
 
   const description = raw.description || 'No description available.';
 
@@ -132,16 +224,83 @@ function normalizeMediastack(raw) {
     content: raw.description || raw.content || description,
     url: raw.url || '',
     imageUrl: raw.image || '',
-    publishedAt: raw.published_at || raw.publishedAt || '',
+    publishedAt: toIsoDate(raw.published_at || raw.publishedAt || ''),
     author: raw.author || '',
-    language: raw.language || 'en'
+    ...toLanguageFields(raw.language)
+  };
+}
+
+/**
+ * Normalizes a Currents API article to common shape
+ * Currents API fields used:
+ * - raw.title → title
+ * - raw.url → url
+ * - raw.description → description, content
+ * - raw.published → publishedAt
+ * - raw.image → imageUrl ('None' when missing)
+ * - raw.author → author
+ * - raw.language → language
+ * - raw.url domain → sourceName (Currents does not name the publishing outlet)
+ * @param {Object} raw - Raw Currents article
+ * @returns {NormalizedArticle}
+ */
+function normalizeCurrents(raw) {
+  const description = raw.description || 'No description available.';
+  const imageUrl = raw.image && raw.image !== 'None' ? raw.image : '';
+
+  return {
+    id: createArticleId('currents', raw.url || '', raw.title),
+    source: 'currents',
+    sourceName: getPublisherName(raw.url, 'Currents'),
+    title: raw.title || 'No title',
+    description: description,
+    content: raw.description || description,
+    url: raw.url || '',
+    imageUrl: imageUrl,
+    publishedAt: toIsoDate(raw.published || raw.publishedAt || ''),
+    author: raw.author && raw.author !== 'None' ? raw.author : '',
+    ...toLanguageFields(raw.language)
   };
 }
 
+/**
+ * Normalizes an RSS / Atom feed item (as parsed by services/rssClient.js)
+ * Feed item fields used:
+ * - raw.title → title
+ * - raw.link → url
+ * - raw.description → description
+ * - raw.content (content:encoded / atom content) → content
+ * - raw.imageUrl (media:content / enclosure) → imageUrl
+ * - raw.author (dc:creator / atom author) → author
+ * - raw.sourceName (configured feed name or channel title) → sourceName
+ * - raw.language (channel <language>) → language
+ * @param {Object} raw - Parsed feed item
+ * @returns {NormalizedArticle}
+ */
+function normalizeRss(raw) {
+  const description = raw.description || (raw.content || '').substring(0, 200) || 'No description available.';
+
+  // services/rssClient.js normalizes items one by one, so feeds without a
+  // <language> are detected here rather than in normalizeArticles
+  return withLanguage({
+    id: createArticleId('rss', raw.link || raw.url || '', raw.title),
+    source: 'rss',
+    sourceName: raw.sourceName || 'RSS',
+    title: raw.title || 'No title',
+    description: description,
+    content: raw.content || description,
+    url: raw.link || raw.url || '',
+    imageUrl: raw.imageUrl || '',
+    publishedAt: toIsoDate(raw.publishedAt || ''),
+    author: raw.author || '',
+    ...toLanguageFields(raw.language)
+  });
+}
+
 /**
  * Normalizes an array of articles from a specific source
  * @param {Array} articles - Raw articles
- * @param {string} source - Source name ('guardian', 'gdelt', 'mediastack')
+ * @param {string} source - Source name ('guardian', 'gdelt', 'currents', 'mediastack', 'rss')
  * @returns {Array<NormalizedArticle>}
  */
 function normalizeArticles(articles, source) {
@@ -153,7 +312,9 @@ function normalizeArticles(articles, source) {
   const normalizers = {
     guardian: normalizeGuardian,
     gdelt: normalizeGdelt,
-    mediastack: normalizeMediastack
+    currents: normalizeCurrents,
+    mediastack: normalizeMediastack,
+    rss: normalizeRss
   };
 
   const normalizer = normalizers[source];
@@ -164,7 +325,7 @@ function normalizeArticles(articles, source) {
 
   const filtered = articles.filter(article => {
     // Filter out articles without required fields
-    const hasUrl = article.webUrl || article.url || article.articleurl || article.shareurl;
+    const hasUrl = article.webUrl || article.url || article.articleurl || article.shareurl || article.link;
     const hasTitle = article.webTitle || article.title || article.seotitle;
     return hasUrl && hasTitle;
   });
@@ -182,7 +343,7 @@ function normalizeArticles(articles, source) {
       if (!article.sourceName || article.sourceName.trim() === '') {
         article.sourceName = article.source || 'Unknown Source';
       }
-      return article;
+      return withLanguage(article);
     })
     .filter(article => {
       // Only filter out articles missing critical fields (url and title)
@@ -210,7 +371,11 @@ function normalizeArticles(articles, source) {
 module.exports = {
   normalizeGuardian,
   normalizeGdelt,
+  normalizeCurrents,
   normalizeMediastack,
-  normalizeArticles
+  normalizeRss,
+  normalizeArticles,
+  createArticleId,
+  toIsoDate
 };
 
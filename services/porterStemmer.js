@@ -0,0 +1,162 @@
+/**
+ * Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980)
+ *
+ * Reduces English words to a common stem so "elections", "elected" and
+ * "electing" compare equal ("elect"). Input is expected in lowercase.
+ */
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+// Porter applies the longest matching suffix
+const STEP2_BY_LENGTH = [...STEP2_SUFFIXES].sort((a, b) => b[0].length - a[0].length);
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word, i) {
+  const ch = word[i];
+  if ('aeiou'.includes(ch)) return false;
+  if (ch === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Number of vowel-consonant sequences in the stem ([C](VC){m}[V])
+ */
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  const n = stem.length;
+  while (i < n && isConsonant(stem, i)) i++;
+  while (i < n) {
+    while (i < n && !isConsonant(stem, i)) i++;
+    if (i >= n) break;
+    while (i < n && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+/**
+ * True for consonant-vowel-consonant endings where the last consonant is not w, x or y
+ */
+function endsWithCvc(word) {
+  const n = word.length;
+  if (n < 3) return false;
+  return isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
+
+/**
+ * Replaces the first matching suffix when the remaining stem has measure > minMeasure
+ */
+function replaceSuffix(word, rules, minMeasure) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function step1a(word) {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return word.slice(0, -2);
+  if (word.endsWith('ss')) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function step1b(word) {
+  if (word.endsWith('eed')) {
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  let stem = null;
+  if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) stem = word.slice(0, -2);
+  else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) stem = word.slice(0, -3);
+  if (stem === null) return word;
+
+  if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) return stem + 'e';
+  if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) return stem.slice(0, -1);
+  if (measure(stem) === 1 && endsWithCvc(stem)) return stem + 'e';
+  return stem;
+}
+
+function step1c(word) {
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) return word.slice(0, -1) + 'i';
+  return word;
+}
+
+function step4(word) {
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > 1 ? stem : word;
+    }
+  }
+  // -ion only drops after s or t
+  if (word.endsWith('ion')) {
+    const stem = word.slice(0, -3);
+    if (measure(stem) > 1 && /[st]$/.test(stem)) return stem;
+  }
+  return word;
+}
+
+function step5(word) {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Stems one lowercase English word
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (!word || word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+  let result = step1a(word);
+  result = step1b(result);
+  result = step1c(result);
+  result = replaceSuffix(result, STEP2_BY_LENGTH, 0);
+  result = replaceSuffix(result, STEP3_SUFFIXES, 0);
+  result = step4(result);
+  result = step5(result);
+  return result;
+}
+
+module.exports = { stem };
@@ -0,0 +1,251 @@
+const { runAggregatePipeline, isCacheableResult } = require('./aggregatePipeline');
+const { refresh } = require('./responseCache');
+const { parseCountryCodes } = require('./countryRegistry');
+const {
+  PREWARM_ENABLED,
+  PREWARM_SCHEDULE,
+  PREWARM_COUNTRIES,
+  PREWARM_TOP_COUNTRIES,
+  PREWARM_MAX_RUNS_PER_DAY,
+  PREWARM_INITIAL_DELAY_SECONDS
+} = require('../config/prewarm');
+
+/**
+ * Background scheduler that keeps the response cache warm for category pages.
+ *
+ * Jobs (category x country) run one at a time so providers never see a burst
+ * of parallel requests, and the schedule is stretched automatically when it
+ * would exceed PREWARM_MAX_RUNS_PER_DAY.
+ */
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const countryUsage = new Map(); // country code -> number of aggregate requests
+const jobStatus = new Map(); // job key -> last-run status
+
+const state = {
+  startedAt: null,
+  running: false,
+  currentJob: null,
+  lastTickAt: null,
+  runsToday: 0,
+  runsDay: null,
+  timer: null
+};
+
+/**
+ * Records that a visitor requested countries, so popular countries get warmed.
+ * Multi-country and region requests ("CA,MX,US") count once for each country.
+ * @param {string} [country] - Country value from the aggregate request
+ */
+function recordCountryUsage(country) {
+  parseCountryCodes(country)
+    .filter(code => code !== 'NONE')
+    .forEach(code => countryUsage.set(code, (countryUsage.get(code) || 0) + 1));
+}
+
+/**
+ * Configured countries plus the most requested ones (null = no country filter)
+ * @returns {Array<string|null>}
+ */
+function getPrewarmCountries() {
+  const topCountries = [...countryUsage.entries()]
+    .filter(([code]) => !PREWARM_COUNTRIES.includes(code))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, PREWARM_TOP_COUNTRIES)
+    .map(([code]) => code);
+  return [...PREWARM_COUNTRIES, ...topCountries];
+}
+
+function getJobKey(category, country) {
+  return `${category}|${country || '*'}`;
+}
+
+/**
+ * Every enabled (category, country) pair with its configured interval
+ */
+function getJobs() {
+  const countries = getPrewarmCountries();
+  const jobs = [];
+  Object.entries(PREWARM_SCHEDULE).forEach(([category, settings]) => {
+    if (!settings.enabled) return;
+    countries.forEach(country => {
+      jobs.push({ key: getJobKey(category, country), category, country, intervalMinutes: settings.intervalMinutes });
+    });
+  });
+  return jobs;
+}
+
+/**
+ * Factor (>= 1) applied to every interval so the planned runs fit the daily cap
+ */
+function getStretchFactor(jobs) {
+  if (!PREWARM_MAX_RUNS_PER_DAY) return 1;
+  const plannedRunsPerDay = jobs.reduce((sum, job) => sum + (24 * 60) / job.intervalMinutes, 0);
+  return Math.max(1, plannedRunsPerDay / PREWARM_MAX_RUNS_PER_DAY);
+}
+
+function resetDailyBudget(now) {
+  const day = now.toISOString().slice(0, 10);
+  if (state.runsDay !== day) {
+    state.runsDay = day;
+    state.runsToday = 0;
+  }
+}
+
+/**
+ * Runs the pipeline for one job and stores the result in the response cache
+ */
+async function runJob(job) {
+  const newsQuery = { query: '', category: job.category, country: job.country || undefined };
+  const startedAt = Date.now();
+  const status = { ...(jobStatus.get(job.key) || {}), category: job.category, country: job.country };
+
+  state.currentJob = job.key;
+  state.runsToday++;
+  console.log(`[Prewarm] Warming ${job.key}...`);
+
+  try {
+    const { value } = await refresh(newsQuery, () => runAggregatePipeline(newsQuery), {
+      shouldCache: isCacheableResult
+    });
+    Object.assign(status, {
+      lastRunAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ok: isCacheableResult(value),
+      groups: value.summarizedGroups.length,
+      articles: value.articlesWithSource.length,
+      warnings: value.warnings,
+      error: undefined
+    });
+    console.log(`[Prewarm] ${job.key}: ${status.groups} groups from ${status.articles} articles in ${status.durationMs}ms`);
+  } catch (error) {
+    Object.assign(status, {
+      lastRunAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ok: false,
+      error: error.message
+    });
+    console.error(`[Prewarm] ${job.key} failed:`, error.message);
+  } finally {
+    state.currentJob = null;
+    jobStatus.set(job.key, status);
+  }
+}
+
+/**
+ * Runs every job that is due, one after another
+ */
+async function tick() {
+  if (state.running) return;
+  state.running = true;
+  state.lastTickAt = new Date().toISOString();
+
+  try {
+    const jobs = getJobs();
+    const stretch = getStretchFactor(jobs);
+
+    for (const job of jobs) {
+      const now = new Date();
+      resetDailyBudget(now);
+
+      if (PREWARM_MAX_RUNS_PER_DAY && state.runsToday >= PREWARM_MAX_RUNS_PER_DAY) {
+        console.warn(`[Prewarm] Daily run budget (${PREWARM_MAX_RUNS_PER_DAY}) used up - skipping until tomorrow (UTC)`);
+        break;
+      }
+
+      const last = jobStatus.get(job.key);
+      const intervalMs = job.intervalMinutes * stretch * 60 * 1000;
+      if (last && last.lastRunAt && now.getTime() - new Date(last.lastRunAt).getTime() < intervalMs) {
+        continue;
+      }
+
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Prewarm] Scheduler tick failed:', error.message);
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Starts the scheduler (no-op when disabled or already started)
+ */
+function startPrewarmScheduler() {
+  if (!PREWARM_ENABLED) {
+    console.log('[Prewarm] Scheduler disabled (set PREWARM_ENABLED=true to enable)');
+    return;
+  }
+  if (state.timer) return;
+
+  state.startedAt = new Date().toISOString();
+  console.log(
+    `[Prewarm] Scheduler starting in ${PREWARM_INITIAL_DELAY_SECONDS}s for ${
+      Object.keys(PREWARM_SCHEDULE).filter(c => PREWARM_SCHEDULE[c].enabled).length
+    } categories`
+  );
+
+  // unref() so the timers never keep the process alive on their own
+  state.timer = setTimeout(() => {
+    tick();
+    state.timer = setInterval(tick, TICK_INTERVAL_MS);
+    state.timer.unref();
+  }, PREWARM_INITIAL_DELAY_SECONDS * 1000);
+  state.timer.unref();
+}
+
+/**
+ * Stops the scheduler (a job that is already running finishes normally)
+ */
+function stopPrewarmScheduler() {
+  if (state.timer) {
+    clearTimeout(state.timer);
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+}
+
+/**
+ * Last-run status of every job plus the scheduler state
+ */
+function getPrewarmStatus() {
+  const jobs = getJobs();
+  const stretch = getStretchFactor(jobs);
+  resetDailyBudget(new Date());
+
+  return {
+    enabled: PREWARM_ENABLED,
+    active: !!state.timer,
+    startedAt: state.startedAt,
+    running: state.running,
+    currentJob: state.currentJob,
+    lastTickAt: state.lastTickAt,
+    runsToday: state.runsToday,
+    maxRunsPerDay: PREWARM_MAX_RUNS_PER_DAY,
+    intervalStretch: Number(stretch.toFixed(2)),
+    countries: getPrewarmCountries().map(country => country || 'none'),
+    jobs: jobs.map(job => {
+      const status = jobStatus.get(job.key) || {};
+      const intervalMinutes = Number((job.intervalMinutes * stretch).toFixed(1));
+      return {
+        key: job.key,
+        category: job.category,
+        country: job.country,
+        intervalMinutes,
+        nextRunAt: status.lastRunAt
+          ? new Date(new Date(status.lastRunAt).getTime() + intervalMinutes * 60 * 1000).toISOString()
+          : null,
+        ...status
+      };
+    })
+  };
+}
+
+module.exports = {
+  startPrewarmScheduler,
+  stopPrewarmScheduler,
+  recordCountryUsage,
+  getPrewarmStatus,
+  runPrewarmTick: tick
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const { PUBLISHERS_FILE, PUBLISHERS_RELOAD_INTERVAL_MS } = require('../config/publishers');
+
+/**
+ * Who actually published an article.
+ *
+ * Providers (Guardian, GDELT, Currents, Mediastack, RSS) deliver articles from
+ * many outlets. The registry file (config/publishers.json) maps each outlet's
+ * domain to its name, trust score, political lean, country and ownership, and
+ * every article is annotated with the entry for its URL.
+ *
+ * @typedef {Object} PublisherInfo
+ * @property {string} domain - Registry domain, or the article's host when unrated
+ * @property {string} name
+ * @property {boolean} rated - False when the domain is not in the registry
+ * @property {number|null} trust - 0-100
+ * @property {string|null} lean - left | center-left | center | center-right | right
+ * @property {string|null} country - ISO 3166-1 alpha-2 code
+ * @property {string|null} ownership
+ */
+
+const LEANS = ['left', 'center-left', 'center', 'center-right', 'right'];
+
+let publishers = new Map(); // domain -> entry
+let loadedMtime = 0;
+let lastCheckedAt = 0;
+
+/**
+ * Validates one registry entry; invalid fields become null
+ */
+function toEntry(domain, raw) {
+  const trust = Number(raw.trust);
+  return {
+    domain,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : domain,
+    trust: raw.trust !== null && Number.isFinite(trust) ? Math.max(0, Math.min(100, trust)) : null,
+    lean: LEANS.includes(raw.lean) ? raw.lean : null,
+    country: typeof raw.country === 'string' && /^[A-Za-z]{2}$/.test(raw.country) ? raw.country.toUpperCase() : null,
+    ownership: typeof raw.ownership === 'string' && raw.ownership.trim() ? raw.ownership.trim() : null
+  };
+}
+
+/**
+ * Loads the registry, and reloads it when the file changed (checked at most
+ * once per PUBLISHERS_RELOAD_INTERVAL_MS). A broken file keeps the last good registry.
+ */
+function ensureLoaded() {
+  const now = Date.now();
+  if (now - lastCheckedAt < PUBLISHERS_RELOAD_INTERVAL_MS) return;
+  lastCheckedAt = now;
+
+  try {
+    const { mtimeMs } = fs.statSync(PUBLISHERS_FILE);
+    if (mtimeMs === loadedMtime) return;
+
+    const parsed = JSON.parse(fs.readFileSync(PUBLISHERS_FILE, 'utf8'));
+    const next = new Map();
+    Object.entries(parsed.publishers || {}).forEach(([domain, raw]) => {
+      if (raw && typeof raw === 'object') next.set(domain.toLowerCase(), toEntry(domain.toLowerCase(), raw));
+    });
+    publishers = next;
+    loadedMtime = mtimeMs;
+    console.log(`[Publishers] Loaded ${publishers.size} publishers from ${PUBLISHERS_FILE}`);
+  } catch (error) {
+    console.error('[Publishers] Failed to load publisher registry:', error.message);
+  }
+}
+
+// Mobile and AMP mirrors are the same outlet as the main site
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^(www\d*|m|mobile|amp|amp-[a-z]+)\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Registry entry for a URL. Subdomains match their parent domain, so
+ * edition.cnn.com and uk.reuters.com find cnn.com and reuters.com.
+ *
+ * @param {string} url
+ * @returns {PublisherInfo|null}
+ */
+function lookupPublisher(url) {
+  ensureLoaded();
+  const labels = getHostname(url).split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entry = publishers.get(labels.slice(i).join('.'));
+    if (entry) return { ...entry, rated: true };
+  }
+  return null;
+}
+
+/**
+ * Publisher info for an article; outlets missing from the registry get
+ * their host name and no ratings
+ *
+ * @param {NormalizedArticle} article
+ * @returns {PublisherInfo|null} null when the article has no usable URL
+ */
+function getArticlePublisher(article) {
+  const known = lookupPublisher(article.url);
+  if (known) return known;
+
+  const host = getHostname(article.url);
+  if (!host) return null;
+  return { domain: host, name: host, rated: false, trust: null, lean: null, country: null, ownership: null };
+}
+
+/**
+ * Identity of the outlet behind an article - the registry domain, else the
+ * URL host, else the source name. Grouping keeps one article per publisher and
+ * source diversity counts publishers, so two outlets delivered by the same
+ * provider (e.g. Currents) still count as two sources.
+ *
+ * @param {NormalizedArticle} article
+ * @returns {string}
+ */
+function getPublisherKey(article) {
+  const publisher = article.publisher || getArticlePublisher(article);
+  if (publisher) return publisher.domain;
+  return (article.sourceName || article.source || 'unknown').toLowerCase().trim();
+}
+
+/**
+ * Sets article.publisher on every article
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Array<NormalizedArticle>} The same articles
+ */
+function annotateArticlesWithPublisher(articles) {
+  (articles || []).forEach(article => {
+    article.publisher = getArticlePublisher(article);
+  });
+  return articles;
+}
+
+module.exports = {
+  LEANS,
+  lookupPublisher,
+  getArticlePublisher,
+  getPublisherKey,
+  annotateArticlesWithPublisher
+};
@@ -0,0 +1,254 @@
+const {
+  RESPONSE_CACHE_ENABLED,
+  RESPONSE_CACHE_TTLS,
+  RESPONSE_CACHE_MAX_ENTRIES
+} = require('../config/responseCache');
+const { resolveCategory, getParentCategoryId } = require('./categoryTaxonomy');
+const { parseCountryCodes, formatCountryCodes } = require('./countryRegistry');
+const { resolveLanguageSelection, isDefaultLanguageSelection } = require('./languageRegistry');
+
+/**
+ * In-memory TTL cache for aggregated (grouped + summarized) results.
+ *
+ * Entries are keyed by query/category/country, so every page of a category and
+ * every visitor asking for the same thing is served from one pipeline run.
+ * Concurrent misses for the same key share a single in-flight computation.
+ */
+
+const entries = new Map();
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Normalizes the parts of a request that select a result set
+ * @param {Object} newsQuery - { query, category, country, includeInternational, from, to, since, lang }
+ */
+function normalizeKeyParts({ query, category, country, includeInternational, from, to, since, lang } = {}) {
+  const normalizedQuery = (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  // "us,ca" and "CA,US" are the same selection
+  const normalizedCountry = formatCountryCodes(parseCountryCodes(country));
+  const resolvedCategory = resolveCategory(category);
+  return {
+    query: normalizedQuery,
+    // Category is ignored for searches (the pipeline ignores it too)
+    // Aliases share an entry with their canonical category ("sports" -> "sport")
+    category: normalizedQuery || !resolvedCategory ? '' : resolvedCategory.id,
+    country: normalizedCountry,
+    // Only changes the result when a country is set
+    includeInternational: !!normalizedCountry && !!includeInternational,
+    // Already normalized by parseDateRange (services/dateRange.js); since stays
+    // relative, so "24h" is one entry that moves with the TTL
+    from: from || '',
+    to: to || '',
+    since: since || '',
+    // Empty for the default languages; "es", "en,fr" or "all" otherwise
+    lang: isDefaultLanguageSelection(lang) ? '' : resolveLanguageSelection(lang).lang || ''
+  };
+}
+
+/**
+ * Builds the cache key for a request
+ * @param {Object} newsQuery - { query, category, country }
+ * @returns {string}
+ */
+function buildCacheKey(newsQuery) {
+  const { query, category, country, includeInternational, from, to, since, lang } = normalizeKeyParts(newsQuery);
+  let key = query
+    ? `search:${query}|country:${country || '*'}`
+    : `category:${category || '*'}|country:${country || '*'}`;
+  if (includeInternational) key += '|international';
+  // Languages and date filters only appear when set, so existing keys are unchanged
+  if (lang) key += `|lang:${lang}`;
+  if (since) key += `|since:${since}`;
+  if (from) key += `|from:${from}`;
+  if (to) key += `|to:${to}`;
+  return key;
+}
+
+/**
+ * TTL (seconds) for a request - searches use the "search" TTL, categories their own
+ * and sections their parent category's unless configured separately
+ * @param {Object} newsQuery - { query, category, country }
+ * @returns {number}
+ */
+function getTtlSeconds(newsQuery) {
+  const { query, category } = normalizeKeyParts(newsQuery);
+  const ttlKeys = query ? ['search'] : [category, getParentCategoryId(category)];
+  const ttlKey = ttlKeys.find(key => key && RESPONSE_CACHE_TTLS[key] !== undefined);
+  return ttlKey ? RESPONSE_CACHE_TTLS[ttlKey] : RESPONSE_CACHE_TTLS.default;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt <= now;
+}
+
+/**
+ * Drops expired entries, then the oldest ones while over the size limit
+ */
+function prune() {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (isExpired(entry, now)) entries.delete(key);
+  }
+  // Map iteration order is insertion order, so the first keys are the oldest
+  while (entries.size > RESPONSE_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Describes a cache entry for API responses
+ */
+function describeEntry(key, entry, hit) {
+  return {
+    hit,
+    key,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+    ttlSeconds: entry.ttlSeconds
+  };
+}
+
+/**
+ * Returns the cached value for a request, computing (and caching) it on a miss.
+ *
+ * @param {Object} newsQuery - { query, category, country }
+ * @param {function(): Promise<*>} compute - Produces the value on a miss
+ * @param {Object} [options]
+ * @param {function(*): boolean} [options.shouldCache] - Return false to skip caching a value
+ * @returns {Promise<{value: *, cache: Object}>} The value plus hit/miss metadata
+ */
+async function getOrCompute(newsQuery, compute, { shouldCache = () => true } = {}) {
+  const key = buildCacheKey(newsQuery);
+
+  if (!RESPONSE_CACHE_ENABLED) {
+    return { value: await compute(), cache: { hit: false, key, disabled: true } };
+  }
+
+  const cached = entries.get(key);
+  if (cached && !isExpired(cached)) {
+    stats.hits++;
+    console.log(`[ResponseCache] HIT ${key} (age ${Math.round((Date.now() - cached.storedAt) / 1000)}s)`);
+    return { value: cached.value, cache: describeEntry(key, cached, true) };
+  }
+
+  stats.misses++;
+
+  // Another request is already computing this key - wait for it instead of re-fetching
+  if (inFlight.has(key)) {
+    console.log(`[ResponseCache] MISS ${key} - joining in-flight request`);
+    const value = await inFlight.get(key);
+    const entry = entries.get(key);
+    return { value, cache: entry ? describeEntry(key, entry, false) : { hit: false, key } };
+  }
+
+  console.log(`[ResponseCache] MISS ${key}`);
+  return computeAndStore(key, newsQuery, compute, shouldCache);
+}
+
+/**
+ * Runs compute() for a key (registered as in-flight) and stores the value
+ */
+async function computeAndStore(key, newsQuery, compute, shouldCache) {
+  const ttlSeconds = getTtlSeconds(newsQuery);
+  const pending = Promise.resolve().then(compute);
+  inFlight.set(key, pending);
+
+  try {
+    const value = await pending;
+    if (ttlSeconds > 0 && shouldCache(value)) {
+      const storedAt = Date.now();
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        storedAt,
+        expiresAt: storedAt + ttlSeconds * 1000,
+        ttlSeconds,
+        parts: normalizeKeyParts(newsQuery)
+      });
+      prune();
+      return { value, cache: describeEntry(key, entries.get(key), false) };
+    }
+    return { value, cache: { hit: false, key, stored: false } };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Recomputes and stores a value even if a fresh one is cached (used by the
+ * pre-warming scheduler). Joins the in-flight computation if one is running.
+ *
+ * @param {Object} newsQuery - { query, category, country }
+ * @param {function(): Promise<*>} compute - Produces the value
+ * @param {Object} [options] - Same options as getOrCompute
+ * @returns {Promise<{value: *, cache: Object}>}
+ */
+async function refresh(newsQuery, compute, { shouldCache = () => true } = {}) {
+  const key = buildCacheKey(newsQuery);
+
+  if (!RESPONSE_CACHE_ENABLED) {
+    return { value: await compute(), cache: { hit: false, key, disabled: true } };
+  }
+
+  if (inFlight.has(key)) {
+    const value = await inFlight.get(key);
+    const entry = entries.get(key);
+    return { value, cache: entry ? describeEntry(key, entry, false) : { hit: false, key } };
+  }
+
+  return computeAndStore(key, newsQuery, compute, shouldCache);
+}
+
+/**
+ * Removes cached responses. Every provided filter must match; no filters clears everything.
+ *
+ * @param {Object} [filters] - { query, category, country }
+ * @returns {number} Number of entries removed
+ */
+function invalidate(filters = {}) {
+  const wanted = {};
+  ['query', 'category', 'country'].forEach(field => {
+    if (filters[field] && String(filters[field]).trim()) {
+      wanted[field] = normalizeKeyParts({ [field]: filters[field] })[field];
+    }
+  });
+
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    const matches = Object.entries(wanted).every(([field, value]) => entry.parts[field] === value);
+    if (matches) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+
+  console.log(`[ResponseCache] Invalidated ${removed} entr${removed === 1 ? 'y' : 'ies'}`, wanted);
+  return removed;
+}
+
+/**
+ * Cache statistics for the admin endpoint
+ */
+function getCacheStats() {
+  prune();
+  return {
+    enabled: RESPONSE_CACHE_ENABLED,
+    entries: entries.size,
+    maxEntries: RESPONSE_CACHE_MAX_ENTRIES,
+    hits: stats.hits,
+    misses: stats.misses,
+    ttls: RESPONSE_CACHE_TTLS,
+    keys: [...entries.entries()].map(([key, entry]) => describeEntry(key, entry, true))
+  };
+}
+
+module.exports = {
+  buildCacheKey,
+  getTtlSeconds,
+  getOrCompute,
+  refresh,
+  invalidate,
+  getCacheStats
+};
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const { RSS_FEEDS } = require('../config/rssFeeds');
+const { normalizeRss } = require('./normalize');
+const { resolveCategory } = require('./categoryTaxonomy');
+const { parseCountryCodes } = require('./countryRegistry');
+const { decodeEntities, stripHtml } = require('./htmlText');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const FEED_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_ITEMS_PER_FEED = 25;
+
+/**
+ * Returns the text of a CDATA section, or the entity-decoded text otherwise
+ */
+function unwrapText(raw) {
+  if (!raw) return '';
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1] : decodeEntities(raw);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the inner text of the first matching element (tag names may include a prefix)
+ */
+function getTagText(block, tagNames) {
+  for (const tagName of tagNames) {
+    const pattern = new RegExp(
+      `<${escapeRegExp(tagName)}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${escapeRegExp(tagName)}>`,
+      'i'
+    );
+    const match = block.match(pattern);
+    if (match && match[1].trim()) {
+      return unwrapText(match[1].trim()).trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Returns an attribute value from the first matching self-closing or open tag
+ */
+function getTagAttribute(block, tagNames, attribute, filter) {
+  for (const tagName of tagNames) {
+    const pattern = new RegExp(`<${escapeRegExp(tagName)}\\b([^>]*)>`, 'gi');
+    let match;
+    while ((match = pattern.exec(block)) !== null) {
+      const attrs = parseAttributes(match[1]);
+      if (attrs[attribute] && (!filter || filter(attrs))) {
+        return decodeEntities(attrs[attribute]);
+      }
+    }
+  }
+  return '';
+}
+
+function parseAttributes(attrText) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(attrText)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attrs;
+}
+
+/**
+ * Collects <category> values (RSS text content or Atom term attribute)
+ */
+function getCategories(block) {
+  const categories = [];
+  const pattern = /<category\b([^>]*?)(?:\/>|>([\s\S]*?)<\/category>)/gi;
+  let match;
+  while ((match = pattern.exec(block)) !== null) {
+    const value = stripHtml(unwrapText(match[2] || '')) || parseAttributes(match[1]).term || '';
+    if (value) categories.push(value);
+  }
+  return categories;
+}
+
+function toIsoDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Parses an RSS 2.0 / RSS 1.0 (RDF) / Atom document into plain feed items
+ * @param {string} xml - Raw feed XML
+ * @returns {{ feedTitle: string, language: string, format: 'rss'|'atom'|'unknown', items: Array<Object> }}
+ *   language is the feed's declared language as written ("en-gb"), empty when it has none
+ */
+function parseFeed(xml) {
+  if (!xml || typeof xml !== 'string') {
+    return { feedTitle: '', language: '', format: 'unknown', items: [] };
+  }
+
+  const doc = xml.replace(/<!--[\s\S]*?-->/g, '');
+  const isAtom = /<feed\b[^>]*>/i.test(doc) && !/<(rss|rdf:RDF)\b/i.test(doc);
+  const itemTag = isAtom ? 'entry' : 'item';
+  const itemPattern = new RegExp(`<${itemTag}\\b[^>]*>([\\s\\S]*?)<\\/${itemTag}>`, 'gi');
+
+  const firstItemIndex = doc.search(new RegExp(`<${itemTag}\\b`, 'i'));
+  const header = firstItemIndex >= 0 ? doc.slice(0, firstItemIndex) : doc;
+  const feedTitle = stripHtml(getTagText(header, ['title']));
+  // RSS <language> / <dc:language>, Atom <feed xml:lang="...">
+  const language = isAtom
+    ? getTagAttribute(header, ['feed'], 'xml:lang')
+    : getTagText(header, ['language', 'dc:language']);
+
+  const items = [];
+  let match;
+  while ((match = itemPattern.exec(doc)) !== null) {
+    const block = match[1];
+
+    const link = isAtom
+      ? getTagAttribute(block, ['link'], 'href', attrs => !attrs.rel || attrs.rel === 'alternate')
+      : getTagText(block, ['link']) ||
+        getTagText(block, ['guid']).match(/^https?:\/\/\S+$/)?.[0] ||
+        '';
+
+    const summaryHtml = isAtom
+      ? getTagText(block, ['summary', 'content'])
+      : getTagText(block, ['description', 'content:encoded']);
+    const contentHtml = isAtom
+      ? getTagText(block, ['content'])
+      : getTagText(block, ['content:encoded']);
+
+    const atomAuthor = isAtom ? block.match(/<author\b[^>]*>([\s\S]*?)<\/author>/i) : null;
+    const author = isAtom
+      ? stripHtml(atomAuthor ? getTagText(atomAuthor[1], ['name']) : '')
+      : stripHtml(getTagText(block, ['dc:creator', 'author']));
+
+    const imageUrl =
+      getTagAttribute(block, ['media:content', 'media:thumbnail'], 'url', attrs => (!attrs.medium || attrs.medium === 'image') && (!attrs.type || attrs.type.startsWith('image/'))) ||
+      getTagAttribute(block, ['enclosure'], 'url', attrs => (attrs.type || '').startsWith('image/')) ||
+      '';
+
+    items.push({
+      title: stripHtml(getTagText(block, ['title'])),
+      link: (link || '').trim(),
+      description: stripHtml(summaryHtml),
+      content: stripHtml(contentHtml),
+      publishedAt: toIsoDate(
+        getTagText(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date', 'published'])
+      ),
+      author,
+      imageUrl,
+      categories: getCategories(block)
+    });
+  }
+
+  let format = 'unknown';
+  if (isAtom) format = 'atom';
+  else if (/<(rss|rdf:RDF)\b/i.test(doc)) format = 'rss';
+
+  return { feedTitle, language: (language || '').trim(), format, items };
+}
+
+/**
+ * Normalizes a feed entry from config into { name, url }
+ */
+function toFeedEntry(entry) {
+  if (!entry) return null;
+  if (typeof entry === 'string') return { name: '', url: entry };
+  if (typeof entry.url === 'string') return { name: entry.name || '', url: entry.url };
+  return null;
+}
+
+/**
+ * The feed config key for a category: the category itself when it has feeds,
+ * otherwise its parent category (sport/tennis -> sport)
+ */
+function getFeedCategory(category, feedConfig = RSS_FEEDS) {
+  const resolved = resolveCategory(category);
+  if (!resolved) return '';
+  return (feedConfig.categories || {})[resolved.id] ? resolved.id : resolved.category;
+}
+
+/**
+ * Picks the feeds to pull for a request
+ * - Category mode: the category's feeds plus the selected countries' feeds for that category
+ *   (a section without feeds of its own uses its parent category's)
+ * - Search mode: every configured category feed plus all of the selected countries' feeds
+ */
+function selectFeeds({ query, country, category }, feedConfig = RSS_FEEDS) {
+  const categories = feedConfig.categories || {};
+  const countries = feedConfig.countries || {};
+  const countryFeedSets = parseCountryCodes(country).map(code => countries[code] || {});
+  const hasSearchQuery = query && query.trim().length > 0;
+
+  let entries = [];
+  if (hasSearchQuery) {
+    entries = [
+      ...Object.values(categories).flat(),
+      ...countryFeedSets.flatMap(countryFeeds => Object.values(countryFeeds).flat())
+    ];
+  } else if (category) {
+    const feedKey = getFeedCategory(category, feedConfig);
+    entries = [
+      ...(categories[feedKey] || []),
+      ...countryFeedSets.flatMap(countryFeeds => countryFeeds[feedKey] || [])
+    ];
+  }
+
+  const seen = new Set();
+  return entries
+    .map(toFeedEntry)
+    .filter(feed => {
+      if (!feed || seen.has(feed.url)) return false;
+      seen.add(feed.url);
+      return true;
+    });
+}
+
+/**
+ * Reads a feed from a local file (fixtures) or downloads it over HTTP(S)
+ */
+async function loadFeedXml(url) {
+  if (/^https?:\/\//i.test(url)) {
+    const response = await axios.get(url, {
+      timeout: FEED_TIMEOUT_MS,
+      responseType: 'text',
+      maxContentLength: MAX_FEED_BYTES,
+      headers: {
+        'User-Agent': 'MultiNewsSynthesizer/1.0 (+RSS reader)',
+        Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8'
+      }
+    });
+    return typeof response.data === 'string' ? response.data : String(response.data || '');
+  }
+
+  const filePath = url.startsWith('file://') ? fileURLToPath(url) : path.resolve(REPO_ROOT, url);
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
+/**
+ * True when every query term appears in the item's text
+ */
+function matchesQuery(item, query) {
+  const terms = query
+    .toLowerCase()
+    .split(/\s+/)
+    .map(term => term.replace(/[^\w-]/g, ''))
+    .filter(term => term.length > 1);
+  if (terms.length === 0) return true;
+
+  const text = `${item.title} ${item.description} ${item.content}`.toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+/**
+ * Fetches and normalizes articles from the configured RSS / Atom feeds
+ * @param {Object} params - Query parameters
+ * @param {string} params.query - Search term/topic
+ * @param {string} [params.country] - Country code(s) (e.g., 'US' or 'CA,MX,US')
+ * @param {string} [params.category] - Category id (e.g., 'business', 'sport')
+ * @param {Object} [feedConfig] - Feed configuration override ({ categories, countries })
+ * @returns {Promise<Array<NormalizedArticle>>} Array of normalized feed articles
+ */
+async function fetchRssArticles({ query, country, category }, feedConfig = RSS_FEEDS) {
+  try {
+    const hasSearchQuery = query && query.trim().length > 0;
+    const feeds = selectFeeds({ query, country, category }, feedConfig);
+    // A section read from its parent category's feeds keeps only items about the section
+    const resolvedCategory = !hasSearchQuery && resolveCategory(category);
+    const sectionKeywords = resolvedCategory && resolvedCategory.section &&
+      getFeedCategory(category, feedConfig) !== resolvedCategory.id
+      ? resolvedCategory.section.keywords
+      : '';
+
+    if (feeds.length === 0) {
+      console.log('[RSS] No feeds configured for request:', { query, country, category });
+      console.log('RSS returned 0 results');
+      return [];
+    }
+
+    console.log(`[RSS] Pulling ${feeds.length} feed(s) in ${hasSearchQuery ? 'SEARCH' : 'CATEGORY'} mode`);
+
+    const results = await Promise.allSettled(
+      feeds.map(async feed => {
+        const xml = await loadFeedXml(feed.url);
+        const parsed = parseFeed(xml);
+        console.log(`[RSS] ${feed.name || feed.url}: ${parsed.items.length} items (${parsed.format})`);
+        return { feed, parsed };
+      })
+    );
+
+    const articles = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`[RSS] Failed to load feed ${feeds[index].url}:`, result.reason?.message);
+        return;
+      }
+
+      const { feed, parsed } = result.value;
+      const sourceName = feed.name || parsed.feedTitle || 'RSS';
+
+      parsed.items
+        .filter(item => item.link && item.title)
+        .filter(item => !hasSearchQuery || matchesQuery(item, query))
+        .filter(item => !sectionKeywords || matchesQuery(item, sectionKeywords))
+        .slice(0, MAX_ITEMS_PER_FEED)
+        .forEach(item => {
+          articles.push(normalizeRss({ ...item, sourceName, language: parsed.language }));
+        });
+    });
+
+    // Newest first so the per-source cap keeps the most recent items
+    articles.sort((a, b) => {
+      const da = a.publishedAt ? new Date(a.publishedAt).getTime() : 0;
+      const db = b.publishedAt ? new Date(b.publishedAt).getTime() : 0;
+      return db - da;
+    });
+
+    console.log(`RSS returned ${articles.length} results`);
+
+    return articles;
+
+  } catch (error) {
+    console.error('[RSS] Error fetching feeds:', error.message);
+    console.log('RSS returned 0 results');
+    return [];
+  }
+}
+
+module.exports = { fetchRssArticles, parseFeed, selectFeeds };
@@ -0,0 +1,231 @@
+const { loadArchivedArticles } = require('./archiveStore');
+const { SEARCH_INDEX_MAX_DOCS } = require('../config/searchIndex');
+const { isPublishedInWindow } = require('./dateRange');
+const { filterArticlesByLanguage } = require('./languageRegistry');
+const { filterArticlesByCountry } = require('./countryFilter');
+const { getArticlePublisher } = require('./publisherRegistry');
+
+/**
+ * In-memory inverted index over every article the server has fetched,
+ * ranked with BM25. Titles count double so headline matches rank first.
+ *
+ * The index is rebuilt from the article archive on first use and then kept
+ * up to date by the aggregate pipeline (indexArticles).
+ */
+
+// Standard BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;
+
+// Only the text needed to render a result is kept in memory
+const MAX_STORED_CONTENT_CHARS = 1000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the',
+  'their', 'they', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+const docs = new Map(); // docNum -> { article, terms: Map(term -> tf), length }
+const docNumByKey = new Map(); // url or id -> docNum
+const postings = new Map(); // term -> Set of docNums
+
+let nextDocNum = 0;
+let totalLength = 0;
+let loadPromise = null;
+
+/**
+ * Lowercased, accent-folded word tokens without stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const words = String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+function getDocKey(article) {
+  return article.url || article.id;
+}
+
+function removeDoc(docNum) {
+  const doc = docs.get(docNum);
+  if (!doc) return;
+  doc.terms.forEach((tf, term) => {
+    const posting = postings.get(term);
+    if (!posting) return;
+    posting.delete(docNum);
+    if (posting.size === 0) postings.delete(term);
+  });
+  totalLength -= doc.length;
+  docs.delete(docNum);
+  docNumByKey.delete(getDocKey(doc.article));
+}
+
+function addDoc(article) {
+  const key = getDocKey(article);
+  if (!key || !article.title) return false;
+
+  // Re-fetched articles replace their earlier copy (and move to the newest slot)
+  if (docNumByKey.has(key)) {
+    removeDoc(docNumByKey.get(key));
+  }
+
+  const terms = new Map();
+  tokenize(article.title).forEach(term => terms.set(term, (terms.get(term) || 0) + TITLE_WEIGHT));
+  tokenize(`${article.description || ''} ${article.content || ''}`).forEach(term =>
+    terms.set(term, (terms.get(term) || 0) + 1)
+  );
+  if (terms.size === 0) return false;
+
+  const docNum = nextDocNum++;
+  const length = [...terms.values()].reduce((sum, tf) => sum + tf, 0);
+  docs.set(docNum, {
+    article: {
+      id: article.id,
+      title: article.title,
+      description: article.description || '',
+      content: (article.content || '').slice(0, MAX_STORED_CONTENT_CHARS),
+      url: article.url,
+      imageUrl: article.imageUrl || '',
+      author: article.author || '',
+      publishedAt: article.publishedAt || '',
+      source: article.source || '',
+      sourceName: article.sourceName || article.source || 'Unknown',
+      language: article.language || '',
+      reportedLanguage: article.reportedLanguage || '',
+      // Its country counts towards country-filtered searches
+      publisher: article.publisher || getArticlePublisher(article)
+    },
+    terms,
+    length
+  });
+  docNumByKey.set(key, docNum);
+  totalLength += length;
+
+  terms.forEach((tf, term) => {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(docNum);
+  });
+
+  // Map iteration order is insertion order, so the first docs are the oldest
+  while (docs.size > SEARCH_INDEX_MAX_DOCS) {
+    removeDoc(docs.keys().next().value);
+  }
+  return true;
+}
+
+/**
+ * Rebuilds the index from the archive once per process
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = loadArchivedArticles(SEARCH_INDEX_MAX_DOCS)
+      .then(articles => {
+        // Archive returns newest first; insert oldest first so eviction order stays right
+        const added = articles.reverse().filter(addDoc).length;
+        console.log(`[SearchIndex] Indexed ${added} archived articles (${postings.size} terms)`);
+      })
+      .catch(error => console.error('[SearchIndex] Failed to load archived articles:', error.message));
+  }
+  return loadPromise;
+}
+
+/**
+ * Adds freshly fetched articles to the index
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Promise<number>} Number of articles indexed
+ */
+async function indexArticles(articles) {
+  await ensureLoaded();
+  return (articles || []).filter(addDoc).length;
+}
+
+/**
+ * BM25 search over the index. Every query term must appear in a result.
+ *
+ * @param {string} query - Free-text query
+ * @param {Object} [options]
+ * @param {number} [options.limit=30] - Max results
+ * @param {DateWindow|null} [options.dateWindow] - Only articles published inside it (services/dateRange.js)
+ * @param {string} [options.lang] - Only articles in these languages (services/languageRegistry.js)
+ * @param {string} [options.country] - Only articles relevant to these countries (services/countryFilter.js)
+ * @returns {Promise<{results: Array<NormalizedArticle & {score: number}>, total: number}>}
+ */
+async function searchLocal(query, { limit = 30, dateWindow = null, lang, country } = {}) {
+  await ensureLoaded();
+
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || docs.size === 0) {
+    return { results: [], total: 0 };
+  }
+
+  // Intersect postings, rarest term first
+  const termPostings = queryTerms.map(term => postings.get(term) || new Set());
+  if (termPostings.some(posting => posting.size === 0)) {
+    return { results: [], total: 0 };
+  }
+  const [rarest, ...others] = [...termPostings].sort((a, b) => a.size - b.size);
+  const inWindow = [...rarest].filter(docNum =>
+    others.every(posting => posting.has(docNum)) && isPublishedInWindow(docs.get(docNum).article, dateWindow)
+  );
+  // Copies, since the country filter records each article's countryMatch on it
+  const docNumByCandidate = new Map(inWindow.map(docNum => [{ ...docs.get(docNum).article }, docNum]));
+  let candidates = filterArticlesByLanguage([...docNumByCandidate.keys()], lang);
+  if (country) {
+    candidates = filterArticlesByCountry(candidates, country);
+  }
+  const matches = candidates.map(article => docNumByCandidate.get(article));
+
+  const docCount = docs.size;
+  const avgLength = totalLength / docCount;
+  const idf = queryTerms.map((term, i) => {
+    const df = termPostings[i].size;
+    return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  });
+
+  const scored = matches.map(docNum => {
+    const doc = docs.get(docNum);
+    const score = queryTerms.reduce((sum, term, i) => {
+      const tf = doc.terms.get(term) || 0;
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+      return sum + idf[i] * ((tf * (BM25_K1 + 1)) / norm);
+    }, 0);
+    return { doc, score };
+  });
+
+  // Best score first; newer articles win ties
+  scored.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return (b.doc.article.publishedAt || '').localeCompare(a.doc.article.publishedAt || '');
+  });
+
+  return {
+    results: scored.slice(0, limit).map(({ doc, score }) => ({ ...doc.article, score: Number(score.toFixed(4)) })),
+    total: scored.length
+  };
+}
+
+/**
+ * Index size information
+ */
+function getSearchIndexStats() {
+  return {
+    documents: docs.size,
+    terms: postings.size,
+    maxDocuments: SEARCH_INDEX_MAX_DOCS
+  };
+}
+
+module.exports = {
+  tokenize,
+  indexArticles,
+  searchLocal,
+  getSearchIndexStats
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registry of news-source adapters used by the aggregate pipeline.
+ *
+ * Every module in services/sources/ is loaded automatically, so adding a new
+ * provider only requires dropping one adapter module into that directory.
+ */
+
+/**
+ * @typedef {Object} SourceAdapter
+ * @property {string} id - Stable lowercase identifier (e.g. 'guardian')
+ * @property {string} displayName - Human readable name used in logs/warnings
+ * @property {number} priority - Lower number = preferred source
+ * @property {number} maxArticles - Max articles taken from this source per request
+ * @property {number} maxGroupShare - Max share (0-1) of single-source groups from this source
+ * @property {boolean} [requiresDescription] - Single-source groups need a usable description
+ * @property {function(Object): Promise<Array>} fetchArticles - Fetches normalized articles
+ */
+
+const SOURCES_DIR = path.join(__dirname, 'sources');
+
+const adapters = new Map();
+
+/**
+ * Registers a source adapter (replaces any adapter with the same id)
+ * @param {SourceAdapter} adapter
+ * @returns {SourceAdapter}
+ */
+function registerSource(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id.trim()) {
+    throw new Error('Source adapter must declare a string id');
+  }
+  if (typeof adapter.fetchArticles !== 'function') {
+    throw new Error(`Source adapter "${adapter.id}" must implement fetchArticles()`);
+  }
+
+  const normalized = {
+    displayName: adapter.id,
+    priority: 10,
+    maxArticles: 30,
+    maxGroupShare: 0.4,
+    requiresDescription: false,
+    ...adapter,
+    id: adapter.id.trim().toLowerCase()
+  };
+
+  adapters.set(normalized.id, normalized);
+  return normalized;
+}
+
+/**
+ * Loads every adapter module in services/sources/
+ */
+function loadBuiltInSources() {
+  const files = fs
+    .readdirSync(SOURCES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+  for (const file of files) {
+    try {
+      registerSource(require(path.join(SOURCES_DIR, file)));
+    } catch (error) {
+      console.error(`[SourceRegistry] Failed to load adapter ${file}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Returns all registered adapters ordered by priority (then id)
+ * @returns {Array<SourceAdapter>}
+ */
+function getSources() {
+  return [...adapters.values()].sort((a, b) => {
+    if (a.priority !== b.priority) return a.priority - b.priority;
+    return a.id.localeCompare(b.id);
+  });
+}
+
+/**
+ * Looks up an adapter by id (case-insensitive)
+ * @param {string} id
+ * @returns {SourceAdapter|null}
+ */
+function getSource(id) {
+  if (!id) return null;
+  return adapters.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * Priority of a source id; unknown sources sort after every registered one
+ * @param {string} id
+ * @returns {number}
+ */
+function getSourcePriority(id) {
+  const adapter = getSource(id);
+  return adapter ? adapter.priority : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Fetches from every registered source in parallel.
+ * A failing source never rejects - it contributes an empty list and a warning.
+ *
+ * @param {Object} newsQuery - { query, country, category }
+ * @param {Array<string>} warnings - Collected warning messages (mutated)
+ * @returns {Promise<Array<{adapter: SourceAdapter, articles: Array}>>}
+ */
+async function fetchFromAllSources(newsQuery, warnings = []) {
+  const sources = getSources();
+
+  const results = await Promise.allSettled(
+    sources.map(adapter =>
+      Promise.resolve()
+        .then(() => adapter.fetchArticles(newsQuery))
+        .catch(err => {
+          console.error(`[SourceRegistry] ${adapter.displayName} API FAILED:`, err.message);
+          if (err.response) {
+            console.error(`[SourceRegistry] ${adapter.displayName} response status:`, err.response.status);
+          }
+          warnings.push(`${adapter.displayName} API: ${err.message}`);
+          return [];
+        })
+    )
+  );
+
+  return sources.map((adapter, index) => {
+    const result = results[index];
+    let articles = result.status === 'fulfilled' ? result.value : [];
+
+    if (!Array.isArray(articles)) {
+      console.warn(`[SourceRegistry] ${adapter.displayName} returned non-array:`, typeof articles);
+      articles = [];
+    }
+
+    // Tag every article with the adapter id so grouping/ranking never has to
+    // infer the provider from the display name
+    return {
+      adapter,
+      articles: articles.map(article => ({ ...article, source: adapter.id, providerName: adapter.displayName }))
+    };
+  });
+}
+
+loadBuiltInSources();
+
+module.exports = {
+  registerSource,
+  getSources,
+  getSource,
+  getSourcePriority,
+  fetchFromAllSources
+};
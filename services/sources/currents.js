@@ -0,0 +1,13 @@
+const { fetchCurrentsArticles } = require('../currentsClient');
+
+/**
+ * Currents API - broad commercial aggregator
+ */
+module.exports = {
+  id: 'currents',
+  displayName: 'Currents',
+  priority: 2,
+  maxArticles: 30,
+  maxGroupShare: 0.4,
+  fetchArticles: fetchCurrentsArticles
+};
@@ -0,0 +1,16 @@
+const { fetchGdeltArticles } = require('../gdeltClient');
+
+/**
+ * GDELT DOC API - lowest priority, produces the weakest summaries.
+ * Only short snippets are available, so single-source GDELT groups are
+ * only used to fill remaining slots and must carry a usable description.
+ */
+module.exports = {
+  id: 'gdelt',
+  displayName: 'GDELT',
+  priority: 4,
+  maxArticles: 15,
+  maxGroupShare: 0.15,
+  requiresDescription: true,
+  fetchArticles: fetchGdeltArticles
+};
@@ -0,0 +1,13 @@
+const { fetchGuardianArticles } = require('../guardianClient');
+
+/**
+ * The Guardian Open Platform - highest quality source, full body text
+ */
+module.exports = {
+  id: 'guardian',
+  displayName: 'Guardian',
+  priority: 1,
+  maxArticles: 30,
+  maxGroupShare: 0.4,
+  fetchArticles: fetchGuardianArticles
+};
@@ -0,0 +1,13 @@
+const { fetchMediastackArticles } = require('../mediastackClient');
+
+/**
+ * Mediastack API - broad commercial aggregator (same tier as Currents)
+ */
+module.exports = {
+  id: 'mediastack',
+  displayName: 'Mediastack',
+  priority: 2,
+  maxArticles: 30,
+  maxGroupShare: 0.4,
+  fetchArticles: fetchMediastackArticles
+};
@@ -0,0 +1,13 @@
+const { fetchRssArticles } = require('../rssClient');
+
+/**
+ * RSS / Atom feeds configured in config/rssFeeds.js - outlets without a paid API
+ */
+module.exports = {
+  id: 'rss',
+  displayName: 'RSS',
+  priority: 3,
+  maxArticles: 30,
+  maxGroupShare: 0.3,
+  fetchArticles: fetchRssArticles
+};
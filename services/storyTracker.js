@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  STORIES_ENABLED,
+  STORIES_FILE,
+  STORIES_MATCH_WINDOW_HOURS,
+  STORIES_MATCH_SIMILARITY,
+  STORIES_MAX_AGE_DAYS
+} = require('../config/stories');
+const { tokenize, cosineSimilarity } = require('./textSimilarity');
+const { getUrlKey } = require('./urlCanonicalizer');
+
+/**
+ * Persistent story ids for summarized groups.
+ *
+ * Group ids only reflect the order groups were built in, so each pipeline run
+ * matches its groups against the stories it has seen before:
+ * 1. a group that contains an article already filed under a story continues it
+ * 2. otherwise a story shown within STORIES_MATCH_WINDOW_HOURS (lastSeenAt) whose
+ *    recent headlines and descriptions read alike (STORIES_MATCH_SIMILARITY) continues
+ * 3. otherwise the group starts a new story
+ *
+ * Each story records when every article joined it. Stories are kept in memory
+ * and appended to a JSON-lines file whenever they change (last line wins); the
+ * file is compacted to one line per story whenever superseded lines outnumber
+ * the live ones.
+ *
+ * @typedef {Object} StoryArticle
+ * @property {string} key - URL identity (see getUrlKey)
+ * @property {string} joinedAt - ISO time the article was first seen in the story
+ *
+ * @typedef {Object} Story
+ * @property {string} id - "story-" + 12 hex characters
+ * @property {string} firstSeenAt
+ * @property {string} lastUpdatedAt - Last time an article joined
+ * @property {string} lastSeenAt - Last time a pipeline run showed the story
+ * @property {string} title
+ * @property {string} summary
+ * @property {Object} [entities]
+ * @property {Array<StoryArticle>} articles - In the order they joined
+ */
+
+// Headlines of a story's most recent articles are what new groups are
+// compared with, so a developing story can drift away from its first angle
+const MATCH_RECENT_ARTICLES = 20;
+// lastSeenAt alone is persisted at most this often
+const SEEN_WRITE_INTERVAL_MS = 60 * 60 * 1000;
+// Files smaller than this are never compacted
+const MIN_COMPACT_LINES = 100;
+
+const stories = new Map(); // id -> Story
+const storyIdByArticle = new Map(); // article key -> story id
+const termVectors = new Map(); // story id -> term vector (rebuilt when articles join)
+
+let loaded = false;
+let lastPrunedAt = 0;
+let writeQueue = Promise.resolve();
+let fileLineCount = 0; // lines in STORIES_FILE, including superseded ones
+
+/**
+ * Identity of an article across providers and runs
+ */
+function getArticleKey(article) {
+  return (article.url && getUrlKey(article.url)) || article.id || '';
+}
+
+function isExpired(story, now = Date.now()) {
+  const maxAgeMs = STORIES_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return now - new Date(story.lastSeenAt || story.lastUpdatedAt).getTime() > maxAgeMs;
+}
+
+function indexStory(story) {
+  stories.set(story.id, story);
+  termVectors.delete(story.id);
+  story.articles.forEach(article => {
+    if (!storyIdByArticle.has(article.key)) storyIdByArticle.set(article.key, story.id);
+  });
+}
+
+function forgetStory(story) {
+  stories.delete(story.id);
+  termVectors.delete(story.id);
+  story.articles.forEach(article => {
+    if (storyIdByArticle.get(article.key) === story.id) storyIdByArticle.delete(article.key);
+  });
+}
+
+/**
+ * Reads the JSON-lines store into memory (once). Expired stories and
+ * superseded lines are dropped, and the file is rewritten when that makes it
+ * noticeably smaller.
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  let lines = [];
+  try {
+    lines = fs.readFileSync(STORIES_FILE, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[StoryTracker] Failed to read stories file:', error.message);
+    }
+    return;
+  }
+
+  const latest = new Map();
+  lines.forEach(line => {
+    try {
+      const story = JSON.parse(line);
+      if (story && story.id && Array.isArray(story.articles)) latest.set(story.id, story);
+    } catch (error) {
+      // A partially written last line is expected after a crash - skip it
+    }
+  });
+
+  const now = Date.now();
+  latest.forEach(story => {
+    if (!isExpired(story, now)) indexStory(story);
+  });
+  lastPrunedAt = now;
+
+  console.log(`[StoryTracker] Loaded ${stories.size} stories from ${STORIES_FILE}`);
+
+  fileLineCount = lines.length;
+  compactIfBloated();
+}
+
+/**
+ * Compacts the store once it holds more than twice as many lines as live stories
+ */
+function compactIfBloated() {
+  if (fileLineCount > stories.size * 2 && fileLineCount > MIN_COMPACT_LINES) {
+    compact();
+  }
+}
+
+/**
+ * Rewrites the store with one line per live story
+ */
+function compact() {
+  const body = [...stories.values()].map(story => JSON.stringify(story)).join('\n');
+  fileLineCount = stories.size;
+  writeQueue = writeQueue
+    .then(() => fs.promises.writeFile(STORIES_FILE, body ? body + '\n' : ''))
+    .then(() => console.log(`[StoryTracker] Compacted stories file to ${stories.size} stories`))
+    .catch(error => console.error('[StoryTracker] Failed to compact stories file:', error.message));
+}
+
+function persistStory(story) {
+  const line = JSON.stringify(story) + '\n';
+  fileLineCount++;
+  writeQueue = writeQueue
+    .then(() => fs.promises.mkdir(path.dirname(STORIES_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(STORIES_FILE, line))
+    .catch(error => console.error('[StoryTracker] Failed to persist story:', error.message));
+}
+
+/**
+ * Drops stories nobody has seen for STORIES_MAX_AGE_DAYS (at most hourly)
+ */
+function pruneExpired(now) {
+  if (now - lastPrunedAt < SEEN_WRITE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  [...stories.values()].filter(story => isExpired(story, now)).forEach(forgetStory);
+}
+
+/**
+ * L2-normalized word counts of headlines (counted twice) and descriptions,
+ * read from the English gist of translated articles
+ */
+function buildTermVector(articles) {
+  const counts = new Map();
+  const add = (text, language, weight) =>
+    tokenize(text, language).forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+  articles.forEach(article => {
+    if (article.gist) {
+      add(article.gist.title, 'en', 2);
+      add(article.gist.description, 'en', 1);
+      return;
+    }
+    add(article.title, article.language, 2);
+    const description = (article.description || '').trim();
+    if (description !== 'No description available.') add(description, article.language, 1);
+  });
+
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, term) => {
+    const weight = 1 + Math.log(count);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+  norm = Math.sqrt(norm);
+  if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+function getStoryVector(story) {
+  let vector = termVectors.get(story.id);
+  if (!vector) {
+    vector = buildTermVector(story.articles.slice(-MATCH_RECENT_ARTICLES));
+    termVectors.set(story.id, vector);
+  }
+  return vector;
+}
+
+/**
+ * The earlier story a group continues, or null
+ */
+function findStory(articles, claimed, now) {
+  // 1. Shared articles: the story holding most of the group's articles
+  const sharedCounts = new Map();
+  articles.forEach(article => {
+    const storyId = storyIdByArticle.get(getArticleKey(article));
+    if (storyId && !claimed.has(storyId)) sharedCounts.set(storyId, (sharedCounts.get(storyId) || 0) + 1);
+  });
+  if (sharedCounts.size > 0) {
+    const [storyId] = [...sharedCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return stories.get(storyId);
+  }
+
+  // 2. Recently active story with the most similar wording
+  const windowMs = STORIES_MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+  const groupVector = buildTermVector(articles);
+  let best = null;
+  let bestSimilarity = STORIES_MATCH_SIMILARITY;
+  stories.forEach(story => {
+    if (claimed.has(story.id) || now - new Date(story.lastSeenAt).getTime() > windowMs) return;
+    const similarity = cosineSimilarity(groupVector, getStoryVector(story));
+    if (similarity >= bestSimilarity) {
+      best = story;
+      bestSimilarity = similarity;
+    }
+  });
+  return best;
+}
+
+function createStory(articles, nowIso) {
+  const seed = `${getArticleKey(articles[0])}|${nowIso}`;
+  const story = {
+    id: `story-${crypto.createHash('sha1').update(seed).digest('hex').slice(0, 12)}`,
+    firstSeenAt: nowIso,
+    lastUpdatedAt: nowIso,
+    lastSeenAt: nowIso,
+    title: '',
+    summary: '',
+    articles: []
+  };
+  stories.set(story.id, story);
+  return story;
+}
+
+function toStoryArticle(article, key, joinedAt) {
+  return {
+    key,
+    id: article.id,
+    url: article.url,
+    title: article.title || '',
+    description: article.description || '',
+    source: article.source,
+    sourceName: article.sourceName || article.source || 'Unknown',
+    imageUrl: article.imageUrl || null,
+    publishedAt: article.publishedAt || null,
+    joinedAt
+  };
+}
+
+/**
+ * Files the group's new articles under the story and refreshes its headline,
+ * summary and entities. Returns true when the story changed.
+ */
+function updateStory(story, group, articles, nowIso) {
+  const isNew = story.articles.length === 0;
+  let changed = isNew;
+
+  articles.forEach(article => {
+    const key = getArticleKey(article);
+    const owner = storyIdByArticle.get(key);
+    // An article stays with the story it joined first; a new story still
+    // lists every article it started with
+    if (owner === story.id || (owner && !isNew)) return;
+    story.articles.push(toStoryArticle(article, key, nowIso));
+    if (!owner) storyIdByArticle.set(key, story.id);
+    story.lastUpdatedAt = nowIso;
+    changed = true;
+  });
+  if (changed) termVectors.delete(story.id);
+
+  const title = group.groupTitle || story.title;
+  const summary = group.aiSummary || group.summary || story.summary;
+  if (title !== story.title || summary !== story.summary) {
+    story.title = title;
+    story.summary = summary;
+    changed = true;
+  }
+  if (group.entities) story.entities = group.entities;
+
+  const seenChanged = new Date(nowIso) - new Date(story.lastSeenAt) >= SEEN_WRITE_INTERVAL_MS;
+  story.lastSeenAt = nowIso;
+  return changed || seenChanged;
+}
+
+/**
+ * Assigns a persistent storyId to each summarized group and files its
+ * articles under that story. Each story is given to at most one group per run.
+ *
+ * @param {Array<Object>} groups - Summarized groups ({ groupTitle, aiSummary, articles, entities })
+ * @returns {Array<Object>} The same groups, with storyId set
+ */
+function trackStories(groups) {
+  if (!STORIES_ENABLED || !Array.isArray(groups)) return groups;
+  ensureLoaded();
+
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  pruneExpired(now);
+
+  const claimed = new Set();
+  let created = 0;
+  let continued = 0;
+
+  groups.forEach(group => {
+    const articles = (group.articles || []).filter(article => getArticleKey(article));
+    if (articles.length === 0) return;
+
+    let story = findStory(articles, claimed, now);
+    if (story) {
+      continued++;
+    } else {
+      story = createStory(articles, nowIso);
+      created++;
+    }
+    claimed.add(story.id);
+    group.storyId = story.id;
+
+    if (updateStory(story, group, articles, nowIso)) persistStory(story);
+  });
+  compactIfBloated();
+
+  console.log(`[StoryTracker] ${continued} groups continued earlier stories, ${created} new stories`);
+  return groups;
+}
+
+/**
+ * A story with its full article history (oldest first)
+ *
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getStory(id) {
+  ensureLoaded();
+  const story = stories.get(id);
+  if (!story) return null;
+
+  const articles = story.articles.map(({ key, ...article }) => article);
+  return {
+    id: story.id,
+    title: story.title,
+    summary: story.summary,
+    entities: story.entities,
+    firstSeenAt: story.firstSeenAt,
+    lastUpdatedAt: story.lastUpdatedAt,
+    lastSeenAt: story.lastSeenAt,
+    articleCount: articles.length,
+    sources: [...new Set(articles.map(article => article.sourceName))],
+    articles
+  };
+}
+
+module.exports = {
+  trackStories,
+  getStory
+};
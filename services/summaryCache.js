@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  SUMMARY_CACHE_ENABLED,
+  SUMMARY_CACHE_FILE,
+  SUMMARY_CACHE_MAX_AGE_DAYS,
+  SUMMARY_CACHE_MAX_ENTRIES,
+  SUMMARY_CACHE_MAX_NEW_ARTICLES
+} = require('../config/summaryCache');
+
+/**
+ * Disk-backed cache of LLM group summaries.
+ *
+ * Each entry is keyed by a hash of the group's sorted article URLs and stored
+ * as one JSON line, so the file can be appended to cheaply and read back on
+ * startup. A group that only gained a few articles since it was summarized
+ * (see SUMMARY_CACHE_MAX_NEW_ARTICLES) reuses the earlier summary.
+ *
+ * Expired entries are pruned hourly as summaries are stored, at most
+ * SUMMARY_CACHE_MAX_ENTRIES are kept, and the file is compacted once it holds
+ * more than twice as many lines as live entries.
+ */
+
+// Expired entries are looked for at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Files smaller than this are never compacted
+const MIN_COMPACT_LINES = 100;
+
+const entries = new Map(); // key -> entry (insertion order = age)
+const keysByUrl = new Map(); // url -> Set<key>, used to find near matches
+const stats = { hits: 0, nearHits: 0, misses: 0, writes: 0 };
+
+let loaded = false;
+let writeQueue = Promise.resolve();
+let lastPrunedAt = 0;
+let fileLineCount = 0; // lines in SUMMARY_CACHE_FILE, including dropped ones
+
+/**
+ * URL identity used for membership (fragment and trailing slash ignored)
+ */
+function normalizeUrl(url) {
+  return String(url || '')
+    .trim()
+    .replace(/#.*$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Sorted, de-duplicated URL list for a group's articles
+ */
+function getGroupUrls(group) {
+  const urls = (group.articles || [])
+    .map(article => normalizeUrl(article.url) || article.id)
+    .filter(Boolean);
+  return [...new Set(urls)].sort();
+}
+
+/**
+ * Cache key for a group - SHA-1 of its sorted article URLs
+ * @param {Object} group - { articles: Array<NormalizedArticle> }
+ * @returns {string}
+ */
+function getGroupKey(group) {
+  return crypto.createHash('sha1').update(getGroupUrls(group).join('\n')).digest('hex');
+}
+
+function isExpired(entry, now = Date.now()) {
+  const maxAgeMs = SUMMARY_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return maxAgeMs > 0 && now - new Date(entry.createdAt).getTime() > maxAgeMs;
+}
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  entry.urls.forEach(url => {
+    const keys = keysByUrl.get(url);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) keysByUrl.delete(url);
+  });
+}
+
+function indexEntry(entry) {
+  // Re-stored summaries move to the newest slot
+  removeEntry(entry.key);
+  entries.set(entry.key, entry);
+  entry.urls.forEach(url => {
+    if (!keysByUrl.has(url)) keysByUrl.set(url, new Set());
+    keysByUrl.get(url).add(entry.key);
+  });
+  while (entries.size > SUMMARY_CACHE_MAX_ENTRIES) {
+    removeEntry(entries.keys().next().value);
+  }
+}
+
+/**
+ * Drops expired entries (at most hourly)
+ */
+function pruneExpired(now) {
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  [...entries.values()].filter(entry => isExpired(entry, now)).forEach(entry => removeEntry(entry.key));
+}
+
+/**
+ * Compacts the store once it holds more than twice as many lines as live entries
+ */
+function compactIfBloated() {
+  if (fileLineCount > entries.size * 2 && fileLineCount > MIN_COMPACT_LINES) {
+    compact();
+  }
+}
+
+/**
+ * Reads the JSON-lines store into memory (once). Expired and duplicate lines
+ * are dropped and the file is rewritten when that makes it noticeably smaller.
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  let lines = [];
+  try {
+    lines = fs.readFileSync(SUMMARY_CACHE_FILE, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[SummaryCache] Failed to read cache file:', error.message);
+    }
+    return;
+  }
+
+  const now = Date.now();
+  lastPrunedAt = now;
+  lines.forEach(line => {
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.key && Array.isArray(entry.urls) && entry.summary && !isExpired(entry, now)) {
+        indexEntry(entry);
+      }
+    } catch (error) {
+      // A partially written last line is expected after a crash - skip it
+    }
+  });
+
+  console.log(`[SummaryCache] Loaded ${entries.size} cached summaries from ${SUMMARY_CACHE_FILE}`);
+
+  fileLineCount = lines.length;
+  compactIfBloated();
+}
+
+/**
+ * Rewrites the store with only the live entries
+ */
+function compact() {
+  const body = [...entries.values()].map(entry => JSON.stringify(entry)).join('\n');
+  fileLineCount = entries.size;
+  writeQueue = writeQueue
+    .then(() => fs.promises.writeFile(SUMMARY_CACHE_FILE, body ? body + '\n' : ''))
+    .then(() => console.log(`[SummaryCache] Compacted cache file to ${entries.size} entries`))
+    .catch(error => console.error('[SummaryCache] Failed to compact cache file:', error.message));
+}
+
+/**
+ * Finds a cached summary for a group that only gained a few articles since it
+ * was summarized: the cached URL set must be a subset of the group's URLs.
+ */
+function findNearMatch(urls) {
+  if (SUMMARY_CACHE_MAX_NEW_ARTICLES <= 0) return null;
+
+  const urlSet = new Set(urls);
+  const candidateKeys = new Set();
+  urls.forEach(url => (keysByUrl.get(url) || []).forEach(key => candidateKeys.add(key)));
+
+  let best = null;
+  for (const key of candidateKeys) {
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) continue;
+
+    const added = urls.length - entry.urls.length;
+    // A single-article summary says nothing about the rest of a grown group
+    if (entry.urls.length < 2 || added < 1 || added > SUMMARY_CACHE_MAX_NEW_ARTICLES) continue;
+    if (!entry.urls.every(url => urlSet.has(url))) continue;
+
+    if (!best || entry.urls.length > best.urls.length) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+/**
+ * Looks up a cached summary for a group (exact membership first, then near match)
+ * @param {Object} group - { groupId, articles }
+ * @returns {{groupTitle: string, summary: string, match: 'exact'|'near', createdAt: string}|null}
+ */
+function getCachedSummary(group) {
+  if (!SUMMARY_CACHE_ENABLED || !group || !Array.isArray(group.articles)) return null;
+  ensureLoaded();
+
+  const urls = getGroupUrls(group);
+  if (urls.length === 0) return null;
+
+  const key = getGroupKey(group);
+  const exact = entries.get(key);
+  if (exact && !isExpired(exact)) {
+    stats.hits++;
+    return { groupTitle: exact.groupTitle, summary: exact.summary, match: 'exact', createdAt: exact.createdAt };
+  }
+
+  const near = findNearMatch(urls);
+  if (near) {
+    stats.nearHits++;
+    console.log(
+      `[SummaryCache] Reusing summary of ${near.urls.length} articles for ${group.groupId} (${urls.length} articles)`
+    );
+    return { groupTitle: near.groupTitle, summary: near.summary, match: 'near', createdAt: near.createdAt };
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Stores a group's summary and appends it to the on-disk store
+ * @param {Object} group - { articles }
+ * @param {{groupTitle: string, summary: string}} result - Summary produced for the group
+ */
+function storeSummary(group, { groupTitle, summary }) {
+  if (!SUMMARY_CACHE_ENABLED || !summary) return;
+  ensureLoaded();
+
+  const urls = getGroupUrls(group);
+  if (urls.length === 0) return;
+  pruneExpired(Date.now());
+
+  const entry = {
+    key: getGroupKey(group),
+    urls,
+    groupTitle,
+    summary,
+    createdAt: new Date().toISOString()
+  };
+  indexEntry(entry);
+  stats.writes++;
+
+  fileLineCount++;
+  writeQueue = writeQueue
+    .then(() => fs.promises.mkdir(path.dirname(SUMMARY_CACHE_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(SUMMARY_CACHE_FILE, JSON.stringify(entry) + '\n'))
+    .catch(error => console.error('[SummaryCache] Failed to persist summary:', error.message));
+  compactIfBloated();
+}
+
+/**
+ * Cache statistics (exposed by GET /api/news/cache)
+ */
+function getSummaryCacheStats() {
+  ensureLoaded();
+  return {
+    enabled: SUMMARY_CACHE_ENABLED,
+    file: SUMMARY_CACHE_FILE,
+    entries: entries.size,
+    ...stats
+  };
+}
+
+module.exports = {
+  getGroupKey,
+  getCachedSummary,
+  storeSummary,
+  getSummaryCacheStats
+};
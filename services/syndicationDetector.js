@@ -0,0 +1,236 @@
+const { normalizeText } = require('./articleGrouper');
+const {
+  SYNDICATION_ENABLED,
+  SYNDICATION_SIMILARITY,
+  SYNDICATION_MIN_WORDS
+} = require('../config/syndication');
+
+/**
+ * Detects syndicated (wire) copies with MinHash over word shingles of each
+ * article's headline and lead. Copies are collapsed under one canonical
+ * article that lists the others in `alsoPublishedBy`, so a story carried by
+ * twenty outlets from one agency feed counts as one source, not twenty.
+ *
+ * Candidate pairs come from locality-sensitive hashing (bands of the
+ * signature), so the cost stays close to linear in the number of articles.
+ */
+
+const SHINGLE_SIZE = 3;
+// Outlets keep the agency headline and lead but trim or extend the body
+const LEAD_WORDS = 60;
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+
+// Agency copies make the best canonical article when they are in the pool
+const WIRE_SERVICE_PATTERN = /\breuters\b|associated press|\bap news\b|apnews\.com|\bafp\b|agence france|\bdpa\b|\bupi\b|press association/i;
+
+/**
+ * 32-bit FNV-1a string hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * murmur3 finalizer: turns one base hash into independent-looking variants
+ */
+function mix(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(0x9e3779b9 * (i + 1)));
+
+/**
+ * Words used for fingerprinting: the headline plus the first LEAD_WORDS of the body
+ */
+function getFingerprintWords(article) {
+  const description = (article.description || '').trim();
+  const body = description && description !== 'No description available.'
+    ? description
+    : article.content || '';
+  const title = normalizeText(article.title || '').split(' ').filter(Boolean);
+  const lead = normalizeText(body).split(' ').filter(Boolean).slice(0, LEAD_WORDS);
+  return [...title, ...lead];
+}
+
+/**
+ * MinHash signature of an article's headline + lead, or null when there is too little text
+ *
+ * @param {NormalizedArticle} article
+ * @returns {Uint32Array|null}
+ */
+function computeSignature(article) {
+  const words = getFingerprintWords(article);
+  if (words.length < SYNDICATION_MIN_WORDS) return null;
+
+  const shingleHashes = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingleHashes.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  shingleHashes.forEach(shingleHash => {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(shingleHash ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the two shingle sets
+ */
+function estimateSimilarity(sig1, sig2) {
+  let equal = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (sig1[i] === sig2[i]) equal++;
+  }
+  return equal / NUM_HASHES;
+}
+
+function getPublisher(article) {
+  try {
+    return new URL(article.url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+function isWireCopy(article) {
+  return WIRE_SERVICE_PATTERN.test(`${article.sourceName || ''} ${article.author || ''} ${getPublisher(article)}`);
+}
+
+/**
+ * Picks the article that represents a cluster of copies: a wire service's own
+ * copy if present, else the earliest published, else the first in pool order
+ */
+function pickCanonical(cluster) {
+  return [...cluster].sort((a, b) => {
+    const aWire = isWireCopy(a.article);
+    const bWire = isWireCopy(b.article);
+    if (aWire !== bWire) return aWire ? -1 : 1;
+
+    const aTime = Date.parse(a.article.publishedAt) || Infinity;
+    const bTime = Date.parse(b.article.publishedAt) || Infinity;
+    if (aTime !== bTime) return aTime - bTime;
+    return a.index - b.index;
+  })[0];
+}
+
+/**
+ * Collapses syndicated copies. The canonical article of each cluster keeps its
+ * place in the pool and gains `alsoPublishedBy` (one entry per copy); the copies
+ * are removed so they don't count as independent sources when groups are ranked.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {{articles: Array<NormalizedArticle>, collapsed: number, clusters: number}}
+ */
+function collapseSyndicatedCopies(articles) {
+  const pool = articles || [];
+  if (!SYNDICATION_ENABLED || pool.length < 2) {
+    return { articles: pool, collapsed: 0, clusters: 0 };
+  }
+
+  const signatures = pool.map(computeSignature);
+
+  // Union-find over confirmed near-duplicate pairs
+  const parent = pool.map((_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const buckets = new Map();
+  const compared = new Set();
+  signatures.forEach((signature, i) => {
+    if (!signature) return;
+    for (let start = 0; start < NUM_HASHES; start += BAND_ROWS) {
+      const bandKey = `${start}:${Array.from(signature.subarray(start, start + BAND_ROWS)).join(',')}`;
+      const bucket = buckets.get(bandKey);
+      if (!bucket) {
+        buckets.set(bandKey, [i]);
+        continue;
+      }
+      bucket.forEach(j => {
+        const pairKey = `${j}:${i}`;
+        if (compared.has(pairKey)) return;
+        compared.add(pairKey);
+        if (estimateSimilarity(signatures[j], signature) >= SYNDICATION_SIMILARITY) {
+          parent[find(i)] = find(j);
+        }
+      });
+      bucket.push(i);
+    }
+  });
+
+  const clusters = new Map();
+  pool.forEach((article, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push({ article, index });
+  });
+
+  const removed = new Set();
+  const replacements = new Map();
+  let clusterCount = 0;
+  clusters.forEach(cluster => {
+    if (cluster.length < 2) return;
+    clusterCount++;
+
+    const canonical = pickCanonical(cluster);
+    const copies = cluster.filter(entry => entry !== canonical);
+    const merged = {
+      ...canonical.article,
+      alsoPublishedBy: [
+        ...(canonical.article.alsoPublishedBy || []),
+        ...copies.map(({ article }) => ({
+          id: article.id,
+          source: article.source,
+          sourceName: article.sourceName,
+          publisher: getPublisher(article),
+          url: article.url,
+          publishedAt: article.publishedAt || ''
+        }))
+      ]
+    };
+    if (!merged.imageUrl) {
+      merged.imageUrl = (copies.find(({ article }) => article.imageUrl) || { article: {} }).article.imageUrl || '';
+    }
+
+    // The cluster takes the pool position of its earliest member
+    const firstIndex = Math.min(...cluster.map(entry => entry.index));
+    replacements.set(firstIndex, merged);
+    cluster.forEach(entry => {
+      if (entry.index !== firstIndex) removed.add(entry.index);
+    });
+  });
+
+  const result = [];
+  pool.forEach((article, index) => {
+    if (removed.has(index)) return;
+    result.push(replacements.get(index) || article);
+  });
+
+  return { articles: result, collapsed: removed.size, clusters: clusterCount };
+}
+
+module.exports = {
+  computeSignature,
+  estimateSimilarity,
+  collapseSyndicatedCopies
+};
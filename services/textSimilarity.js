@@ -0,0 +1,156 @@
+const { stem } = require('./porterStemmer');
+const { getStopwords } = require('./languageRegistry');
+
+/**
+ * TF-IDF text vectors and cosine similarity for comparing articles.
+ *
+ * Document frequencies come from the batch being grouped, so words that
+ * appear in most of today's articles ("said", "government", the category
+ * name) carry little weight and distinctive names and terms carry a lot.
+ *
+ * Articles in other languages (article.language) leave out their own
+ * language's stopwords from config/languages.json and are not stemmed, since
+ * the Porter stemmer only knows English suffixes. Articles with an English
+ * gist (services/translation.js) are compared through the gist instead, so
+ * they share terms with English coverage of the same event.
+ */
+
+// Standard English function words plus newsroom boilerplate
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'ago', 'all', 'almost', 'also', 'although',
+  'am', 'among', 'an', 'and', 'another', 'any', 'anyone', 'anything', 'are', 'around', 'as', 'at',
+  'be', 'became', 'because', 'become', 'been', 'before', 'being', 'below', 'between', 'both',
+  'but', 'by', 'can', 'cannot', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during',
+  'each', 'either', 'else', 'enough', 'even', 'ever', 'every', 'few', 'for', 'from', 'further',
+  'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'however', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+  'just', 'last', 'least', 'less', 'like', 'made', 'make', 'many', 'may', 'me', 'might', 'more',
+  'most', 'much', 'must', 'my', 'myself', 'near', 'neither', 'never', 'next', 'no', 'nor', 'not',
+  'now', 'of', 'off', 'often', 'on', 'once', 'one', 'only', 'or', 'other', 'others', 'our',
+  'ours', 'ourselves', 'out', 'over', 'own', 'per', 'perhaps', 'put', 'rather', 'really', 'same',
+  'say', 'says', 'said', 'see', 'seen', 'several', 'shall', 'she', 'should', 'since', 'so', 'some',
+  'still', 'such', 'take', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+  'there', 'these', 'they', 'this', 'those', 'though', 'through', 'thus', 'to', 'too', 'toward',
+  'towards', 'under', 'until', 'up', 'upon', 'us', 'very', 'via', 'was', 'we', 'well', 'were',
+  'what', 'whatever', 'when', 'where', 'whether', 'which', 'while', 'who', 'whom', 'whose', 'why',
+  'will', 'with', 'within', 'without', 'would', 'yet', 'you', 'your', 'yours', 'yourself',
+  // News boilerplate
+  'news', 'new', 'latest', 'update', 'updated', 'live', 'breaking', 'exclusive', 'report',
+  'reports', 'reported', 'according', 'told', 'read', 'week', 'today', 'yesterday',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+/**
+ * True for English and for text whose language is unknown (treated as English)
+ */
+function isEnglish(language) {
+  return !language || language === 'en' || !getStopwords(language);
+}
+
+/**
+ * Lowercased, stopword-free word tokens, stemmed for English
+ * @param {string} text
+ * @param {string} [language] - ISO 639-1 code; English when missing
+ * @returns {Array<string>}
+ */
+function tokenize(text, language) {
+  if (!text) return [];
+  const english = isEnglish(language);
+  const stopwords = english ? STOPWORDS : getStopwords(language);
+  const words = String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/['’]s\b/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  const tokens = words.filter(word => word.length > 1 && !stopwords.has(word));
+  return english ? tokens.map(stem) : tokens;
+}
+
+/**
+ * Term frequencies for an article: headline words count `titleWeight` times,
+ * then the description and the start of the body (only the gist for
+ * translated articles)
+ */
+function getArticleTerms(article, { titleWeight = 2, bodyWords = 120 } = {}) {
+  const counts = new Map();
+  const add = (terms, weight) => terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+
+  if (article.gist) {
+    add(tokenize(article.gist.title, 'en'), titleWeight);
+    add(tokenize(article.gist.description, 'en').slice(0, bodyWords), 1);
+    return counts;
+  }
+
+  add(tokenize(article.title, article.language), titleWeight);
+
+  const rawDescription = (article.description || '').trim();
+  const description = rawDescription === 'No description available.' ? '' : rawDescription;
+  const content = (article.content || '').trim();
+  const body = content && !content.startsWith(description.slice(0, 80))
+    ? `${description} ${content}`
+    : content || description;
+  add(tokenize(body, article.language).slice(0, bodyWords), 1);
+
+  return counts;
+}
+
+/**
+ * Builds L2-normalized TF-IDF vectors for a batch of articles
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @param {Object} [options] - { titleWeight, bodyWords }
+ * @returns {{vectors: Map<NormalizedArticle, Map<string, number>>, idf: Map<string, number>}}
+ */
+function buildTfidfModel(articles, options = {}) {
+  const termCounts = (articles || []).map(article => getArticleTerms(article, options));
+
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => {
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  // Smoothed IDF: a term in every document still keeps a small weight
+  const docCount = termCounts.length;
+  const idf = new Map();
+  documentFrequency.forEach((df, term) => idf.set(term, Math.log((docCount + 1) / (df + 1)) + 1));
+
+  const vectors = new Map();
+  termCounts.forEach((counts, i) => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((tf, term) => {
+      // Sublinear tf so one repeated word can't dominate the vector
+      const weight = (1 + Math.log(tf)) * idf.get(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+    vectors.set(articles[i], vector);
+  });
+
+  return { vectors, idf };
+}
+
+/**
+ * Cosine similarity of two L2-normalized sparse vectors
+ * @returns {number} 0-1
+ */
+function cosineSimilarity(vector1, vector2) {
+  if (!vector1 || !vector2 || vector1.size === 0 || vector2.size === 0) return 0;
+  const [small, large] = vector1.size <= vector2.size ? [vector1, vector2] : [vector2, vector1];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other !== undefined) dot += weight * other;
+  });
+  return Math.min(1, dot);
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  buildTfidfModel,
+  cosineSimilarity
+};
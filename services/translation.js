@@ -0,0 +1,314 @@
+const fs = require('fs');
+const axios = require('axios');
+const { OPENROUTER_API_KEY, LLM_API_URL, LLM_MODEL } = require('../config/apiKeys');
+const {
+  TRANSLATION_PROVIDER,
+  TRANSLATION_GLOSSARY_FILE,
+  TRANSLATION_BATCH_SIZE,
+  TRANSLATION_CONCURRENCY,
+  TRANSLATION_RUN_BUDGET_MS,
+  TRANSLATION_CACHE_SIZE
+} = require('../config/translation');
+const { getLanguage, getStopwords, foldText } = require('./languageRegistry');
+
+/**
+ * English gists for articles in other languages, so story grouping can put a
+ * German and an English article about the same event together.
+ *
+ * annotateEnglishGists sets article.gist ({ title, description, provider }) on
+ * every article whose language is known and not English. TF-IDF grouping and
+ * story tracking compare the gist instead of the original text; the original
+ * is what readers and the summarizer see.
+ *
+ * Gists come from a translation provider (config/translation.js). Providers are
+ * registered by id, so a real translation API can be added next to the
+ * built-in llm and glossary providers with registerTranslationProvider.
+ *
+ * @typedef {Object} TranslationItem
+ * @property {string} title
+ * @property {string} description
+ * @property {string} language - ISO 639-1 code of the text
+ *
+ * @typedef {Object} Gist
+ * @property {string} title - English headline
+ * @property {string} description - One English sentence on what happened
+ * @property {string} [provider] - Id of the provider that wrote it (set on article.gist)
+ *
+ * @typedef {Object} TranslationProvider
+ * @property {string} id - e.g. 'llm', 'glossary'
+ * @property {function(Array<TranslationItem>, {deadline: number}): Promise<Array<Gist|null>>} translate -
+ *   One gist per item, in order; null where the item could not be translated.
+ *   Remote providers should give up by `deadline` (ms timestamp).
+ */
+
+const MAX_DESCRIPTION_CHARS = 400;
+const LLM_TIMEOUT_MS = 30000;
+
+const providers = new Map();
+const gistCache = new Map(); // language|title|description -> Gist (insertion order = age)
+
+let glossaries = null; // language -> Map(folded word -> English)
+
+/**
+ * Registers a translation provider (replaces any provider with the same id)
+ * @param {TranslationProvider} provider
+ * @returns {TranslationProvider}
+ */
+function registerTranslationProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id.trim()) {
+    throw new Error('Translation provider must declare a string id');
+  }
+  if (typeof provider.translate !== 'function') {
+    throw new Error(`Translation provider "${provider.id}" must implement translate()`);
+  }
+  const normalized = { ...provider, id: provider.id.trim().toLowerCase() };
+  providers.set(normalized.id, normalized);
+  return normalized;
+}
+
+function loadGlossaries() {
+  if (glossaries) return glossaries;
+  glossaries = new Map();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(TRANSLATION_GLOSSARY_FILE, 'utf8'));
+    Object.entries(parsed.glossaries || {}).forEach(([code, entries]) => {
+      const words = new Map();
+      Object.entries(entries || {}).forEach(([word, english]) => {
+        if (typeof english === 'string' && english.trim()) words.set(foldText(word.trim()), english.trim());
+      });
+      glossaries.set(code.trim().toLowerCase(), words);
+    });
+    console.log(`[Translation] Loaded glossaries for ${glossaries.size} languages from ${TRANSLATION_GLOSSARY_FILE}`);
+  } catch (error) {
+    console.error('[Translation] Failed to load translation glossary:', error.message);
+  }
+  return glossaries;
+}
+
+/**
+ * Word-by-word English rendering: glossary words are translated, the
+ * language's stopwords dropped and everything else (names, numbers) kept
+ */
+function glossaryTranslate(text, language) {
+  const words = loadGlossaries().get(language) || new Map();
+  const stopwords = getStopwords(language) || new Set();
+  return (String(text || '').match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => {
+      const folded = foldText(word);
+      if (words.has(folded)) return words.get(folded);
+      return stopwords.has(folded) ? '' : word;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Offline stub: config/translationGlossary.json, always available
+ */
+const glossaryProvider = {
+  id: 'glossary',
+  translate: async items => items.map(item => ({
+    title: glossaryTranslate(item.title, item.language),
+    description: glossaryTranslate(item.description, item.language)
+  }))
+};
+
+/**
+ * The summarizer's LLM, one call per batch of articles
+ */
+const llmProvider = {
+  id: 'llm',
+  translate: async (items, { deadline = Date.now() + LLM_TIMEOUT_MS } = {}) => {
+    const timeout = Math.min(LLM_TIMEOUT_MS, deadline - Date.now());
+    if (!OPENROUTER_API_KEY || timeout <= 0) return items.map(() => null);
+
+    const articlesText = items.map((item, index) => `[${index + 1}] (${getLanguage(item.language)?.name || item.language})
+Title: ${item.title || 'No title'}
+Description: ${(item.description || '').slice(0, MAX_DESCRIPTION_CHARS) || 'No description'}`).join('\n\n');
+
+    const prompt = `Translate the gist of each news article below into English.
+
+${articlesText}
+
+Return ONLY valid JSON with this exact shape:
+
+{
+  "items": [
+    { "index": 1, "title": "The headline in English", "gist": "One plain English sentence saying what happened, keeping every name, place and number" }
+  ]
+}`;
+
+    try {
+      const response = await axios.post(
+        LLM_API_URL || 'https://openrouter.ai/api/v1/chat/completions',
+        {
+          model: LLM_MODEL || 'gpt-4.1-mini',
+          messages: [
+            { role: 'system', content: 'You are a news translator. Translate faithfully and concisely. Always respond with valid JSON only.' },
+            { role: 'user', content: prompt }
+          ],
+          max_tokens: 150 * items.length,
+          temperature: 0,
+          response_format: { type: 'json_object' }
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${OPENROUTER_API_KEY}`,
+            'Content-Type': 'application/json',
+            'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:4000',
+            'X-Title': 'News Summarizer'
+          },
+          timeout
+        }
+      );
+
+      const content = response.data.choices?.[0]?.message?.content;
+      const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+      const gists = new Map();
+      (Array.isArray(parsed?.items) ? parsed.items : []).forEach(entry => {
+        if (entry && typeof entry.title === 'string' && entry.title.trim()) {
+          gists.set(Number(entry.index), {
+            title: entry.title.trim(),
+            description: typeof entry.gist === 'string' ? entry.gist.trim() : ''
+          });
+        }
+      });
+      return items.map((_, index) => gists.get(index + 1) || null);
+    } catch (error) {
+      console.error('[Translation] LLM translation failed:', error.response?.status, error.message);
+      return items.map(() => null);
+    }
+  }
+};
+
+registerTranslationProvider(glossaryProvider);
+registerTranslationProvider(llmProvider);
+
+/**
+ * The configured provider ('auto' picks llm when an API key is set)
+ * @returns {TranslationProvider|null} Null when translation is turned off
+ */
+function getTranslationProvider() {
+  if (TRANSLATION_PROVIDER === 'none') return null;
+  const id = TRANSLATION_PROVIDER === 'auto'
+    ? (OPENROUTER_API_KEY ? 'llm' : 'glossary')
+    : TRANSLATION_PROVIDER;
+  if (!providers.has(id)) {
+    console.warn(`[Translation] Unknown TRANSLATION_PROVIDER "${id}" - using glossary`);
+    return providers.get('glossary');
+  }
+  return providers.get(id);
+}
+
+function getCacheKey(item) {
+  return `${item.language}|${item.title}|${item.description}`;
+}
+
+function cacheGist(key, gist) {
+  gistCache.set(key, gist);
+  if (gistCache.size > TRANSLATION_CACHE_SIZE) {
+    gistCache.delete(gistCache.keys().next().value);
+  }
+}
+
+/**
+ * Translates items with a provider in batches, TRANSLATION_CONCURRENCY at a
+ * time; no batch starts after TRANSLATION_RUN_BUDGET_MS. Items the provider
+ * can't translate or never reaches fall back to the glossary.
+ *
+ * @param {TranslationProvider} provider
+ * @param {Array<TranslationItem>} items
+ * @returns {Promise<Array<Gist>>} Gists carry the id of the provider that wrote them
+ */
+async function translateItems(provider, items) {
+  const gists = new Array(items.length).fill(null);
+  const deadline = Date.now() + TRANSLATION_RUN_BUDGET_MS;
+  const batchStarts = [];
+  for (let i = 0; i < items.length; i += TRANSLATION_BATCH_SIZE) batchStarts.push(i);
+
+  let next = 0;
+  async function worker() {
+    while (next < batchStarts.length && Date.now() < deadline) {
+      const start = batchStarts[next++];
+      const batch = await provider.translate(items.slice(start, start + TRANSLATION_BATCH_SIZE), { deadline });
+      batch.forEach((gist, offset) => {
+        if (gist) gists[start + offset] = { ...gist, provider: provider.id };
+      });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(TRANSLATION_CONCURRENCY, batchStarts.length) }, worker));
+
+  const missing = items.map((_, index) => index).filter(index => !gists[index]);
+  if (missing.length > 0 && provider.id !== glossaryProvider.id) {
+    console.warn(`[Translation] No ${provider.id} gist for ${missing.length} articles (failed or over budget) - using glossary`);
+    const fallback = await glossaryProvider.translate(missing.map(index => items[index]));
+    missing.forEach((index, i) => { gists[index] = { ...fallback[i], provider: glossaryProvider.id }; });
+  }
+  return gists;
+}
+
+/**
+ * Sets article.gist on every article in a known language other than English.
+ * Never throws - without gists articles still group within their own language.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {Promise<number>} How many articles got a gist
+ */
+async function annotateEnglishGists(articles) {
+  const foreign = (articles || []).filter(article =>
+    article.language && article.language !== 'en' && getLanguage(article.language) && !article.gist
+  );
+  if (foreign.length === 0) return 0;
+
+  const provider = getTranslationProvider();
+  if (!provider) return 0;
+
+  try {
+    const items = foreign.map(article => {
+      const description = (article.description || '').trim();
+      return {
+        title: (article.title || '').trim(),
+        description: description === 'No description available.' ? '' : description.slice(0, MAX_DESCRIPTION_CHARS),
+        language: article.language
+      };
+    });
+
+    // Gists of this run are read from here, since caching them may evict others of the same run
+    const runGists = new Map();
+    items.forEach(item => {
+      const key = getCacheKey(item);
+      if (gistCache.has(key)) runGists.set(key, gistCache.get(key));
+    });
+
+    const uncached = items.filter(item => !runGists.has(getCacheKey(item)));
+    if (uncached.length > 0) {
+      const gists = await translateItems(provider, uncached);
+      uncached.forEach((item, index) => {
+        if (!gists[index]) return;
+        runGists.set(getCacheKey(item), gists[index]);
+        // Glossary stand-ins for failed LLM calls are not cached, so the next run retries the LLM
+        if (gists[index].provider === provider.id) cacheGist(getCacheKey(item), gists[index]);
+      });
+    }
+
+    let annotated = 0;
+    foreign.forEach((article, index) => {
+      const gist = runGists.get(getCacheKey(items[index]));
+      if (gist) {
+        article.gist = gist;
+        annotated++;
+      }
+    });
+    console.log(`[Translation] English gists for ${annotated}/${foreign.length} non-English articles (${provider.id}, ${uncached.length} new)`);
+    return annotated;
+  } catch (error) {
+    console.error('[Translation] Failed to translate articles:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  registerTranslationProvider,
+  getTranslationProvider,
+  annotateEnglishGists
+};
@@ -0,0 +1,164 @@
+/**
+ * Canonical article URLs
+ *
+ * The same story often reaches us through several providers with different
+ * tracking parameters, AMP or mobile variants, or a trailing slash. These
+ * helpers reduce such URLs to one form so duplicates can be merged before
+ * grouping while every provider keeps its attribution.
+ *
+ * Only the tracking clean-up changes the link readers click; mirror hosts
+ * (m., amp., www.), AMP paths and trailing slashes are ignored when comparing
+ * URLs, since some outlets only serve their m. host.
+ */
+
+// Query parameters that never change which page is served
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'mkt_tok',
+  '_ga', '_gl', '_hsenc', '_hsmi', 'ref', 'ref_src', 'ref_url', 'referrer', 'src', 'source',
+  'cmpid', 'cmp', 'ocid', 'smid', 'smtyp', 'taid', 'ito', 'ns_mchannel', 'ns_source',
+  'ns_campaign', 'ns_linkname', 'ns_fee', 'spm', 'share', 'via', 'amp', 'outputtype',
+  'output', 'rss'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'at_', 'ga_', 'hsa_', 'oly_'];
+
+// Host prefixes that serve the same article as the main site
+const MIRROR_SUBDOMAINS = /^(m|mobile|amp|amp-[a-z]+|www\d*)\./i;
+
+function isTrackingParam(name, value) {
+  const key = name.toLowerCase();
+  if (TRACKING_PREFIXES.some(prefix => key.startsWith(prefix))) return true;
+  if (!TRACKING_PARAMS.has(key)) return false;
+  // ?output=amp / ?outputType=amp are AMP switches; other values may pick content
+  if (key === 'output' || key === 'outputtype') return /amp/i.test(value);
+  return true;
+}
+
+/**
+ * Removes AMP markers from a path (/amp/, /amp, .amp.html, /amp.html)
+ */
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/\/amp(\/|$)/gi, '/')
+    .replace(/\.amp(\.html?)$/i, '$1')
+    .replace(/\/amp\.html?$/i, '/')
+    .replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Cleans an article URL without changing which page it opens: tracking
+ * parameters, fragments and credentials are removed and the rest of the
+ * query is sorted. Host and path stay as the provider gave them.
+ *
+ * @param {string} url
+ * @returns {string} Canonical URL, or the trimmed input when it is not http(s)
+ */
+function canonicalizeUrl(url) {
+  const raw = String(url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return raw;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return raw;
+
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+  const kept = [...parsed.searchParams.entries()]
+    .filter(([name, value]) => !isTrackingParam(name, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(kept).toString();
+
+  const result = parsed.toString();
+  return parsed.pathname === '/' && !parsed.search ? result.replace(/\/$/, '') : result;
+}
+
+/**
+ * Comparison key for a URL: the canonical URL without scheme, mirror
+ * subdomain, AMP path or trailing slash (http/https, www/m/amp hosts and
+ * AMP pages count as the same page). Not a link - only for matching.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function getUrlKey(url) {
+  const canonical = canonicalizeUrl(url);
+  let parsed;
+  try {
+    parsed = new URL(canonical);
+  } catch (error) {
+    return canonical.toLowerCase();
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return canonical.toLowerCase();
+
+  let pathname = stripAmpPath(parsed.pathname);
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  const path = pathname === '/' && !parsed.search ? '' : pathname || '/';
+  return `${parsed.host.replace(MIRROR_SUBDOMAINS, '')}${path}${parsed.search}`.toLowerCase();
+}
+
+/**
+ * Merges articles that point at the same page. The first article for a URL
+ * (sources are interleaved by priority, so the most trusted copy) is kept;
+ * it borrows missing fields from the duplicates and lists them in
+ * `mergedSources` so their attribution survives.
+ *
+ * Every kept article's `url` loses its tracking parameters
+ * (`article.canonicalUrl`, e.g. from <link rel=canonical>, wins when set);
+ * its host and path are left alone so the link keeps working.
+ *
+ * @param {Array<NormalizedArticle>} articles
+ * @returns {{articles: Array<NormalizedArticle>, merged: number}}
+ */
+function mergeDuplicateArticles(articles) {
+  const byKey = new Map();
+  const result = [];
+  let merged = 0;
+
+  (articles || []).forEach(article => {
+    if (!article || !article.url) {
+      if (article) result.push(article);
+      return;
+    }
+
+    const canonicalUrl = canonicalizeUrl(article.canonicalUrl || article.url);
+    const key = getUrlKey(canonicalUrl);
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      const kept = { ...article, url: canonicalUrl };
+      if (canonicalUrl !== article.url) kept.originalUrl = article.url;
+      byKey.set(key, kept);
+      result.push(kept);
+      return;
+    }
+
+    merged++;
+    existing.mergedSources = existing.mergedSources || [];
+    existing.mergedSources.push({
+      id: article.id,
+      source: article.source,
+      sourceName: article.sourceName,
+      url: article.url
+    });
+
+    // Fill gaps from the duplicate; longer text wins for description/content
+    ['imageUrl', 'author', 'publishedAt', 'language'].forEach(field => {
+      if (!existing[field] && article[field]) existing[field] = article[field];
+    });
+    ['description', 'content'].forEach(field => {
+      if ((article[field] || '').length > (existing[field] || '').length) existing[field] = article[field];
+    });
+  });
+
+  return { articles: result, merged };
+}
+
+module.exports = {
+  canonicalizeUrl,
+  getUrlKey,
+  mergeDuplicateArticles
+};